@@ -0,0 +1,122 @@
+/**
+ * @brief Error listing the assets that couldn't be loaded.
+ */
+export class AssetError extends Error {
+  /**
+   * @brief AssetError object constructor.
+   *
+   * @param failures Array of { path, error } objects.
+   */
+  constructor(failures) {
+    super(`Missing assets: ${failures.map((failure) => `${failure.path} (${failure.error.message})`).join(", ")}`);
+    this.name = "AssetError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * @brief Loads an image.
+ *
+ * @param path Image path.
+ * @return Promise resolved with the loaded image.
+ */
+function loadImage(path) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("image could not be loaded"));
+    image.src = path;
+  });
+}
+
+/**
+ * @brief Loads a sound.
+ *
+ * The sound is fetched first, so a missing file is reported right away
+ * instead of failing silently on the first play.
+ *
+ * @param path Sound path.
+ * @return Promise resolved with the encoded sound data, see SoundManager.load().
+ */
+async function loadSound(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * @brief Loads a JSON data file.
+ *
+ * @param path Data file path.
+ * @return Promise resolved with the parsed data.
+ */
+async function loadData(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * @brief Loads every asset of a manifest, see scripts/data/assets.js.
+ */
+export class AssetLoader {
+  /**
+   * @brief AssetLoader object constructor.
+   *
+   * @param manifest Asset manifest.
+   * @param environment Optional object with the loadImage(path),
+   *        loadSound(path) and loadData(path) functions returning promises,
+   *        default to loading through the browser.
+   */
+  constructor(manifest, environment = {}) {
+    this.manifest = manifest;
+    this.loadImage = environment.loadImage || loadImage;
+    this.loadSound = environment.loadSound || loadSound;
+    this.loadData = environment.loadData || loadData;
+  }
+
+  /**
+   * @brief Loads the assets.
+   *
+   * @param progress Optional function called with the number of settled and
+   *        all assets every time an asset is loaded or fails.
+   * @return Promise resolved with { images, sounds, data }: images is a Map
+   *         of the images and sprites keyed by path, sounds and data Maps
+   *         keyed by name. Rejected with an AssetError if any asset is
+   *         missing.
+   */
+  async load(progress = () => {}) {
+    const images = [...this.manifest.images, ...this.manifest.sprites];
+    const sounds = Object.entries(this.manifest.sounds);
+    const data = Object.entries(this.manifest.data || {});
+    const total = images.length + sounds.length + data.length;
+    let settled = 0;
+    const failures = [];
+    const assets = { images: new Map(), sounds: new Map(), data: new Map() };
+
+    const track = async (path, promise, store) => {
+      try {
+        store(await promise);
+      } catch (error) {
+        failures.push({ path: path, error: error });
+      }
+      progress(++settled, total);
+    };
+
+    progress(0, total);
+    await Promise.all([
+      ...images.map((path) => track(path, this.loadImage(path), (image) => assets.images.set(path, image))),
+      ...sounds.map(([name, sound]) => track(sound.path, this.loadSound(sound.path), (audio) => assets.sounds.set(name, audio))),
+      ...data.map(([name, file]) => track(file.path, this.loadData(file.path), (contents) => assets.data.set(name, contents))),
+    ]);
+
+    if (failures.length > 0) {
+      throw new AssetError(failures);
+    }
+    return assets;
+  }
+}
@@ -0,0 +1,245 @@
+import { MemoryStorage } from "../core/storage.js";
+import { SoundSets } from "../data/sounds.js";
+
+// Volume used until the player moves the slider
+const DefaultEffectsVolume = 0.8;
+// Synthesized sounds fade out to this gain, exponential ramps can't reach 0
+const SilentGain = 0.001;
+
+/**
+ * @brief Clamps a volume to [0, 1].
+ */
+function clampVolume(volume) {
+  return Math.min(Math.max(Number(volume) || 0, 0), 1);
+}
+
+/**
+ * @brief Plays sound effects through Web Audio.
+ *
+ * Every effect gets its own source node, so quick slices overlap instead of
+ * cutting each other off. The effects volume is saved in the storage, mute
+ * silences everything.
+ */
+export class SoundManager {
+  /**
+   * @brief SoundManager object constructor.
+   *
+   * @param environment Optional object with the createContext() function
+   *        returning an AudioContext, the storage keeping the volume, the
+   *        rng (random number generator) and the soundSets to use, default to
+   *        a new AudioContext, an in-memory storage, Math.random and the sets
+   *        in scripts/data/sounds.js.
+   */
+  constructor(environment = {}) {
+    this.context = (environment.createContext || (() => new AudioContext()))();
+    this.storage = environment.storage || new MemoryStorage();
+    this.rng = environment.rng || Math.random;
+    this.soundSets = environment.soundSets || SoundSets;
+    // decoded sounds keyed by name
+    this.buffers = new Map();
+    this.muted = false;
+
+    this.masterGain = this.context.createGain();
+    this.masterGain.connect(this.context.destination);
+    this.effectsGain = this.context.createGain();
+    this.effectsGain.connect(this.masterGain);
+
+    const effectsVolume = this.storage.getItem("effectsVolume");
+    this.effectsVolume = effectsVolume === null ? DefaultEffectsVolume : clampVolume(effectsVolume);
+    this.effectsGain.gain.value = this.effectsVolume;
+
+    // page listeners are kept so that detach() can remove them
+    this.target = null;
+    this.listeners = {
+      visibilitychange: () => this.processVisibilityChange(),
+      // browsers only start audio after a user gesture
+      pointerdown: () => this.unlock(),
+      keydown: () => this.unlock(),
+    };
+    this.suspendedByPage = false;
+  }
+
+  /**
+   * @brief Decodes loaded sounds.
+   *
+   * @param sounds Map of the loaded sound data (ArrayBuffer) keyed by name.
+   * @return Promise resolved once every sound is decoded, rejected with an
+   *         error naming the first sound that can't be decoded.
+   */
+  async load(sounds) {
+    await Promise.all(
+      [...sounds].map(async ([name, data]) => {
+        try {
+          this.buffers.set(name, await this.context.decodeAudioData(data));
+        } catch (error) {
+          throw new Error(`Sound "${name}" could not be decoded: ${error.message}`);
+        }
+      })
+    );
+  }
+
+  /**
+   * @brief Starts listening to the page, audio is suspended while it's hidden.
+   *
+   * @param target Page document.
+   */
+  attach(target) {
+    this.detach();
+    this.target = target;
+    Object.entries(this.listeners).forEach(([type, listener]) => {
+      this.target.addEventListener(type, listener);
+    });
+  }
+
+  /**
+   * @brief Stops listening to the page.
+   */
+  detach() {
+    if (this.target) {
+      Object.entries(this.listeners).forEach(([type, listener]) => {
+        this.target.removeEventListener(type, listener);
+      });
+      this.target = null;
+    }
+  }
+
+  /**
+   * @brief Resumes an audio context blocked by the autoplay policy.
+   */
+  unlock() {
+    if (this.context.state === "suspended" && !this.suspendedByPage) {
+      this.context.resume();
+    }
+  }
+
+  processVisibilityChange() {
+    if (this.target.hidden) {
+      if (this.context.state === "running") {
+        this.suspendedByPage = true;
+        this.context.suspend();
+      }
+    } else if (this.suspendedByPage) {
+      this.suspendedByPage = false;
+      this.context.resume();
+    }
+  }
+
+  /**
+   * @brief Plays a one-shot sound of a sound set.
+   *
+   * @param name Sound set name, e.g. "slice".
+   */
+  play(name) {
+    const set = this.soundSets[name];
+    if (!set) {
+      throw new Error(`Unknown sound set "${name}"`);
+    }
+
+    const variant = set.variants[Math.floor(this.rng() * set.variants.length)];
+    const pitch = set.pitch[0] + this.rng() * (set.pitch[1] - set.pitch[0]);
+    const gain = this.context.createGain();
+    gain.gain.value = set.volume;
+    gain.connect(this.effectsGain);
+    if (variant.sound) {
+      this.playSample(variant.sound, pitch, gain);
+    } else {
+      this.playSweep(variant, pitch, gain);
+    }
+  }
+
+  /**
+   * @brief Plays a decoded sound, sounds that weren't loaded are skipped.
+   *
+   * @param name Sound name in the asset manifest.
+   * @param pitch Playback rate.
+   * @param output Node the sound is played to.
+   */
+  playSample(name, pitch, output) {
+    const buffer = this.buffers.get(name);
+    if (!buffer) {
+      return;
+    }
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = pitch;
+    source.connect(output);
+    source.start();
+  }
+
+  /**
+   * @brief Plays a synthesized frequency sweep fading out.
+   *
+   * @param sweep Sweep variant, see SoundSets.
+   * @param pitch Frequency multiplier.
+   * @param output Node the sound is played to.
+   */
+  playSweep(sweep, pitch, output) {
+    const now = this.context.currentTime;
+    const end = now + sweep.duration;
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(1, now);
+    envelope.gain.exponentialRampToValueAtTime(SilentGain, end);
+    envelope.connect(output);
+
+    let source;
+    let frequency;
+    if (sweep.wave === "noise") {
+      source = this.context.createBufferSource();
+      source.buffer = this.noiseBuffer(sweep.duration);
+      const filter = this.context.createBiquadFilter();
+      filter.type = "lowpass";
+      filter.connect(envelope);
+      source.connect(filter);
+      frequency = filter.frequency;
+    } else {
+      source = this.context.createOscillator();
+      source.type = sweep.wave;
+      source.connect(envelope);
+      frequency = source.frequency;
+    }
+    frequency.setValueAtTime(sweep.from * pitch, now);
+    frequency.exponentialRampToValueAtTime(sweep.to * pitch, end);
+    source.start(now);
+    source.stop(end);
+  }
+
+  /**
+   * @brief Returns a buffer of white noise.
+   *
+   * @param duration Length in seconds.
+   */
+  noiseBuffer(duration) {
+    const length = Math.ceil(duration * this.context.sampleRate);
+    const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  /**
+   * @brief Changes and saves the effects volume.
+   *
+   * @param volume Volume in [0, 1].
+   */
+  setEffectsVolume(volume) {
+    this.effectsVolume = clampVolume(volume);
+    this.effectsGain.gain.value = this.effectsVolume;
+    this.storage.setItem("effectsVolume", this.effectsVolume);
+  }
+
+  /**
+   * @brief Mutes or unmutes every sound.
+   *
+   * @param muted True to mute.
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    this.masterGain.gain.value = muted ? 0 : 1;
+    if (!muted) {
+      this.unlock();
+    }
+  }
+}
@@ -0,0 +1,89 @@
+// Storage key and format version of the accessibility settings
+const StorageKey = "accessibility";
+const Version = 1;
+
+/**
+ * @brief Ways to move the blade.
+ */
+export const BladeControl = Object.freeze({
+  // mouse, pen or touch, see PointerInput
+  Pointer: "pointer",
+  // a blade cursor steered with the keyboard or a gamepad, see CursorInput
+  Cursor: "cursor",
+});
+
+/**
+ * @brief Choices of every setting, the first one is the default.
+ *
+ * gameSpeed scales the game time (1 is the normal speed), fruitScale the
+ * size of everything thrown, see FruitCatalog.scaled(). highContrast draws
+ * blade trails with a dark outline, reducedMotion turns off the screen shake
+ * and particles, bombSymbols marks bombs with a symbol of their type on top
+ * of their color.
+ */
+export const SettingOptions = Object.freeze({
+  controls: Object.freeze([BladeControl.Pointer, BladeControl.Cursor]),
+  gameSpeed: Object.freeze([1, 0.75, 0.5]),
+  fruitScale: Object.freeze([1, 1.25, 1.5]),
+  highContrast: Object.freeze([false, true]),
+  reducedMotion: Object.freeze([false, true]),
+  bombSymbols: Object.freeze([false, true]),
+});
+
+/**
+ * @brief Accessibility settings of the player, they apply to every mode.
+ */
+export class AccessibilitySettings {
+  /**
+   * @brief AccessibilitySettings object constructor.
+   *
+   * @param storage Storage keeping the settings.
+   * @param defaults Optional object with the values used until a setting is
+   *        changed, e.g. { reducedMotion: true } if the system asks for it.
+   *        Defaults to the first choice of every setting.
+   */
+  constructor(storage, defaults = {}) {
+    this.storage = storage;
+    this.defaults = Object.fromEntries(Object.entries(SettingOptions).map(([name, options]) => [name, options.includes(defaults[name]) ? defaults[name] : options[0]]));
+    this.data = this.read();
+  }
+
+  /**
+   * @brief Reads the settings from the storage, unreadable values get their default.
+   */
+  read() {
+    let data = null;
+    try {
+      data = JSON.parse(this.storage.getItem(StorageKey));
+    } catch (error) {
+      data = null;
+    }
+    if (data === null || typeof data !== "object" || data.version !== Version) {
+      data = {};
+    }
+    return Object.fromEntries(Object.entries(SettingOptions).map(([name, options]) => [name, options.includes(data[name]) ? data[name] : this.defaults[name]]));
+  }
+
+  save() {
+    this.storage.setItem(StorageKey, JSON.stringify({ version: Version, ...this.data }));
+  }
+
+  /**
+   * @brief Changes a setting and saves the settings.
+   *
+   * @param name Setting name, see SettingOptions.
+   * @param value New value, one of the choices of the setting.
+   * @throws Error if there's no such setting or choice.
+   */
+  set(name, value) {
+    const options = SettingOptions[name];
+    if (!options) {
+      throw new Error(`Unknown setting "${name}"`);
+    }
+    if (!options.includes(value)) {
+      throw new Error(`Setting "${name}" can't be ${value}`);
+    }
+    this.data[name] = value;
+    this.save();
+  }
+}
@@ -0,0 +1,82 @@
+import { BladeTrailDuration, SwipeMinDistance } from "./constants.js";
+
+/**
+ * @brief Swipe implementation.
+ *
+ * A swipe collects the fruits a blade cuts in one continuous movement.
+ */
+export class Swipe {
+  /**
+   * @brief Swipe object constructor.
+   *
+   * @param id Unique swipe id.
+   */
+  constructor(id) {
+    this.id = id;
+    this.fruits = [];
+    // where the last fruit was cut
+    this.position = null;
+  }
+
+  /**
+   * @brief Adds a sliced fruit to a swipe.
+   *
+   * @param fruit Sliced fruit.
+   * @param position Point where the fruit was cut.
+   */
+  add(fruit, position) {
+    this.fruits.push(fruit);
+    this.position = position;
+  }
+}
+
+/**
+ * @brief Blade object implementation.
+ *
+ * A blade follows a single pointer (the mouse, a pen or one finger) and
+ * remembers its recent positions to draw a trail.
+ */
+export class Blade {
+  /**
+   * @brief Blade object constructor.
+   *
+   * @param position Initial position of a blade.
+   * @param time Current board time in seconds.
+   */
+  constructor(position, time) {
+    this.position = position;
+    this.trail = [{ position: position, time: time }];
+    // fruits the blade has entered but not left yet, mapped to the entry point
+    this.entries = new Map();
+    // swipe in progress, null until the blade cuts a fruit
+    this.swipe = null;
+    // last time the blade moved noticeably
+    this.lastMoveTime = time;
+  }
+
+  /**
+   * @brief Moves a blade to a new position.
+   *
+   * Trail points older than BladeTrailDuration are dropped.
+   *
+   * @param position New position of a blade.
+   * @param time Current board time in seconds.
+   */
+  moveTo(position, time) {
+    if (Math.hypot(position.x - this.position.x, position.y - this.position.y) >= SwipeMinDistance) {
+      this.lastMoveTime = time;
+    }
+    this.position = position;
+    this.trail.push({ position: position, time: time });
+    this.trimTrail(time);
+  }
+
+  /**
+   * @brief Drops trail points older than BladeTrailDuration.
+   *
+   * @param time Current board time in seconds.
+   */
+  trimTrail(time) {
+    this.trail = this.trail.filter((point) => time - point.time <= BladeTrailDuration);
+  }
+}
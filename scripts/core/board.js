@@ -0,0 +1,611 @@
+import { Point, Velocity } from "./geometry.js";
+import { Fruit } from "./fruit.js";
+import { Blade, Swipe } from "./blade.js";
+import { DefaultCatalog } from "./catalog.js";
+import { SwipeIdleTime } from "./constants.js";
+import { GameEvent } from "./events.js";
+import { BombClearance, BombPlacementAttempts, BombSafeTime, BombSettings, BombType } from "./bombs.js";
+
+// Bomb paths are checked against the fruits every 1/30 sec of flight
+const PathCheckStep = 1 / 30;
+// up to 10 seconds ahead
+const PathCheckTime = 10;
+
+/**
+ * @brief Board object implementation.
+ *
+ * The board simulates flying fruits and blades. It has no access to the DOM,
+ * a renderer draws it and an input handler drives its blades. What happens
+ * to the fruits is emitted on the event bus of the game: fruitSpawned,
+ * fruitSliced, fruitMissed, bombSliced, bombDetonated, bombDefused and
+ * swipeEnded, see GameEvent.
+ */
+export class Board {
+  /**
+   * @brief Board object constructor.
+   *
+   * @param size Size of the board.
+   * @param environment Object with the rng (random number generator) to use
+   *        and an optional fruit catalog, defaults to scripts/data/fruits.js.
+   * @param events Event bus of the game, see EventBus.
+   */
+  constructor(size, environment, events) {
+    this.size = size;
+    this.rng = environment.rng;
+    this.catalog = environment.catalog || DefaultCatalog;
+    this.events = events;
+    // simulation time in seconds
+    this.time = 0;
+
+    // flying objects
+    this.fruits = [];
+    // fruits move slower while the board is frozen
+    this.fruitTimeScale = 1;
+
+    // active blades keyed by pointer id (mouse, pen or a single finger)
+    this.blades = new Map();
+    this.nextSwipeId = 1;
+  }
+
+  reset() {
+    this.fruits = [];
+    this.blades.clear();
+  }
+
+  /**
+   * @brief Stretches the board to a new size, e.g. after the screen was turned.
+   *
+   * Fruits in the air keep their place relative to the board and their
+   * flight time: centers, velocities and gravities are scaled along, images
+   * keep their size. Blades and their trails are scaled the same way.
+   *
+   * @param size New size of the board.
+   */
+  resize(size) {
+    const sx = size.width / this.size.width;
+    const sy = size.height / this.size.height;
+    const scale = (point) => new Point(point.x * sx, point.y * sy);
+    // fruit positions are top left corners, their centers are scaled
+    const scaleCorner = (point, imageSize) => new Point((point.x + imageSize.width / 2) * sx - imageSize.width / 2, (point.y + imageSize.height / 2) * sy - imageSize.height / 2);
+    this.size = size;
+
+    this.fruits.forEach((fruit) => {
+      fruit.position = scaleCorner(fruit.position, fruit.imageSize);
+      fruit.previousPosition = scaleCorner(fruit.previousPosition, fruit.imageSize);
+      fruit.velocity = new Velocity(fruit.velocity.vx * sx, fruit.velocity.vy * sy);
+      fruit.gravity *= sy;
+    });
+    this.blades.forEach((blade) => {
+      blade.position = scale(blade.position);
+      blade.trail = blade.trail.map((point) => ({ position: scale(point.position), time: point.time }));
+      blade.entries.forEach((entry, fruit) => blade.entries.set(fruit, scale(entry)));
+      if (blade.swipe && blade.swipe.position) {
+        blade.swipe.position = scale(blade.swipe.position);
+      }
+    });
+  }
+
+  /**
+   * @brief Returns the state of the board as plain data, blades aren't kept.
+   *
+   * @return Object with the simulation time and the snapshots of the flying
+   *         objects, see Fruit.snapshot().
+   */
+  snapshot() {
+    return { time: this.time, fruits: this.fruits.map((fruit) => fruit.snapshot()) };
+  }
+
+  /**
+   * @brief Puts the flying objects of a snapshot back on the board.
+   *
+   * Nothing is emitted, the fruits were thrown before the snapshot was taken.
+   *
+   * @param snapshot Snapshot of a board of the same size, see snapshot().
+   * @throws Error if a fruit kind isn't in the catalog.
+   */
+  restore(snapshot) {
+    this.reset();
+    this.time = snapshot.time;
+    this.fruits = snapshot.fruits.map((fruit) => Fruit.fromSnapshot(fruit, this.catalog.get(fruit.kind)));
+  }
+
+  /**
+   * @brief Generates random position for a fruit.
+   *
+   * 5% margin left and 5% margin right applied to the working area.
+   *
+   * @param width Width of the board.
+   * @param height Height of the board.
+   * @param rng Random number generator returning values in [0, 1).
+   * @param size Size of the fruit image.
+   * @return Fruit position.
+   */
+  static randomPosition(width, height, rng, size) {
+    const Margin = 0.05;
+    const x = Math.floor(width * Margin + rng() * (width * (1 - 2 * Margin) - size.width));
+    return new Point(x, height);
+  }
+
+  /**
+   * @brief Generates random velocity for a fruit.
+   *
+   * Fruit is expected to start falling in the top half of a screen.
+   * The exact fall position is randomized in range [0.05 * height / 2,
+   * 0.95 * height / 2].
+   * Uniformly accelerated equations are used to calculate initial
+   * velocity for a fruit: it reaches the fall position above the board
+   * center and lands on the mirrored side.
+   *
+   * @param startPosition Starting position of a fruit.
+   * @param width Width of the board.
+   * @param height Height of the board.
+   * @param gravity Gravity pulling fruit down, in pixels per second squared.
+   * @param rng Random number generator returning values in [0, 1).
+   * @param size Size of the fruit image.
+   * @return Fruit velocity in pixels per second.
+   */
+  static randomVelocity(startPosition, width, height, gravity, rng, size) {
+    const Margin = 0.05;
+    // The point where a fruit will start to fall due to the Gravity.
+    const peekHeight = (height / 2) * (Margin + rng() * (1 - Margin));
+    // The distance fruit travels before falling.
+    const distanceY = height - peekHeight;
+    // The time needed for a fruit to rise, it's the same as the falling time.
+    const risingTime = Math.sqrt((distanceY * 2) / gravity);
+    // The initial velocity needed for a fruit to reach peekHeight.
+    const velocityY = -gravity * risingTime;
+    const distanceX = width / 2 - (startPosition.x + size.width / 2);
+    const velocityX = distanceX / risingTime;
+    return new Velocity(velocityX, velocityY);
+  }
+
+  /**
+   * @brief Calculates the launch of a fruit reaching an apex.
+   *
+   * The fruit rises for half of its flight time and falls back for the other
+   * half, its gravity is chosen to match.
+   *
+   * @param start Launch position.
+   * @param apex Highest position of the flight.
+   * @param flightTime Seconds until the fruit is back at the launch height.
+   * @return Object with the launch velocity and the gravity, in pixels per
+   *         second and pixels per second squared.
+   */
+  static launchVelocity(start, apex, flightTime) {
+    const risingTime = flightTime / 2;
+    const gravity = (2 * (start.y - apex.y)) / risingTime / risingTime;
+    return { velocity: new Velocity((apex.x - start.x) / risingTime, -gravity * risingTime), gravity: gravity };
+  }
+
+  /**
+   * @brief Returns how long a fruit can be cut without touching the bombs.
+   *
+   * The flights are predicted until the fruit falls below the board, the
+   * fruit counts as safe while its hit circle stays BombClearance pixels away
+   * from the hit circle of every bomb.
+   *
+   * @param fruit Whole fruit.
+   * @param bombs Bombs in the air.
+   * @param height Height of the board.
+   * @return Safe time in seconds.
+   */
+  static safeTime(fruit, bombs, height) {
+    const radius = fruit.hitCircle().radius;
+    let safe = 0;
+    for (let time = 0; time <= PathCheckTime; time += PathCheckStep) {
+      const center = fruit.centerAt(time);
+      if (time > 0 && center.y - fruit.imageSize.height / 2 > height) {
+        break;
+      }
+      const clear = bombs.every((bomb) => {
+        const bombCenter = bomb.centerAt(time);
+        return Math.hypot(center.x - bombCenter.x, center.y - bombCenter.y) - radius - bomb.hitCircle().radius >= BombClearance;
+      });
+      if (clear) {
+        safe += PathCheckStep;
+      }
+    }
+    return safe;
+  }
+
+  /**
+   * @brief Returns the angle of a cut between two points.
+   *
+   * @param from Point where the blade entered a fruit.
+   * @param to Point where the blade left it.
+   * @return Direction of the cut in radians, 0 points right, PI / 2 down.
+   */
+  static sliceAngle(from, to) {
+    return Math.atan2(to.y - from.y, to.x - from.x);
+  }
+
+  /**
+   * @brief Finds where a segment crosses a circle.
+   *
+   * The segment is parametrized as from + t * (to - from), t in [0, 1].
+   *
+   * @param from Segment start.
+   * @param to Segment end.
+   * @param center Circle center.
+   * @param radius Circle radius.
+   * @return Object with the entry and exit points, a point is null if the
+   *         segment doesn't cross the circle boundary in that direction.
+   */
+  static segmentCircleCrossings(from, to, center, radius) {
+    const crossings = { entry: null, exit: null };
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const fx = from.x - center.x;
+    const fy = from.y - center.y;
+    const a = dx * dx + dy * dy;
+    if (a === 0) {
+      // the blade didn't move
+      return crossings;
+    }
+
+    const b = 2 * (fx * dx + fy * dy);
+    const c = fx * fx + fy * fy - radius * radius;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant <= 0) {
+      // the line misses the circle or only touches it
+      return crossings;
+    }
+
+    const root = Math.sqrt(discriminant);
+    const pointAt = (t) => new Point(from.x + t * dx, from.y + t * dy);
+    const entryT = (-b - root) / (2 * a);
+    const exitT = (-b + root) / (2 * a);
+    if (entryT >= 0 && entryT <= 1) {
+      crossings.entry = pointAt(entryT);
+    }
+    if (exitT >= 0 && exitT <= 1) {
+      crossings.exit = pointAt(exitT);
+    }
+    return crossings;
+  }
+
+  /**
+   * @brief Starts a new blade.
+   *
+   * A blade pressed again, e.g. a hovering mouse being clicked, ends its
+   * swipe first so the fruits already cut in it are scored.
+   *
+   * @param id Blade id (pointer id).
+   * @param position Initial blade position.
+   */
+  pressBlade(id, position) {
+    const previous = this.blades.get(id);
+    if (previous) {
+      this.endSwipe(previous);
+    }
+    this.blades.set(id, new Blade(position, this.time));
+
+    // a tap on a fuse bomb puts it out
+    const bomb = this.fruits.find((fruit) => {
+      const circle = fruit.hitCircle();
+      return fruit.isFused() && Math.hypot(position.x - circle.center.x, position.y - circle.center.y) <= circle.radius;
+    });
+    if (bomb) {
+      bomb.defuse();
+      this.events.emit(GameEvent.BombDefused, { bomb: bomb });
+    }
+  }
+
+  /**
+   * @brief Moves a blade and slices fruits on its way.
+   *
+   * Unknown blades are ignored.
+   *
+   * @param id Blade id (pointer id).
+   * @param position New blade position.
+   */
+  moveBlade(id, position) {
+    const blade = this.blades.get(id);
+    if (blade) {
+      this.sweep(blade, position);
+    }
+  }
+
+  /**
+   * @brief Removes a blade, its swipe is over.
+   *
+   * @param id Blade id (pointer id).
+   */
+  releaseBlade(id) {
+    const blade = this.blades.get(id);
+    if (blade) {
+      this.blades.delete(id);
+      this.endSwipe(blade);
+    }
+  }
+
+  /**
+   * @brief Ends the swipe of a blade.
+   *
+   * @param blade Blade whose swipe is over.
+   */
+  endSwipe(blade) {
+    const swipe = blade.swipe;
+    if (swipe) {
+      blade.swipe = null;
+      this.events.emit(GameEvent.SwipeEnded, { swipe: swipe });
+    }
+  }
+
+  /**
+   * @brief Moves a blade to a new position and slices fruits on its way.
+   *
+   * The segment between the previous and the new blade position is tested
+   * against fruit hit circles, so fast swipes can't skip a fruit. A fruit is
+   * sliced only when the blade enters and then leaves it, a blade resting on
+   * a fruit (or a fruit flying into a resting blade) doesn't slice it.
+   *
+   * @param blade Blade to move.
+   * @param newPosition New blade position.
+   */
+  sweep(blade, newPosition) {
+    const from = blade.position;
+    blade.moveTo(newPosition, this.time);
+
+    // forget fruits that are already gone
+    blade.entries.forEach((entry, fruit) => {
+      if (fruit.isSliced() || !this.fruits.includes(fruit)) {
+        blade.entries.delete(fruit);
+      }
+    });
+
+    this.fruits.slice().forEach((fruit) => {
+      if (fruit.isSliced() || fruit.defused) {
+        return;
+      }
+
+      const circle = fruit.hitCircle();
+      const crossings = Board.segmentCircleCrossings(from, newPosition, circle.center, circle.radius);
+      if (crossings.entry) {
+        blade.entries.set(fruit, crossings.entry);
+      }
+      if (crossings.exit && blade.entries.has(fruit)) {
+        // blade went through a fruit
+        const entry = blade.entries.get(fruit);
+        blade.entries.delete(fruit);
+        if (fruit.isFruit()) {
+          blade.swipe = blade.swipe || new Swipe(this.nextSwipeId++);
+          blade.swipe.add(fruit, crossings.exit);
+        }
+        this.slice(fruit, Board.sliceAngle(entry, crossings.exit), entry, blade.swipe);
+      }
+    });
+  }
+
+  /**
+   * @brief Aims a fruit or a bomb of a kind from a random spot at the bottom.
+   *
+   * @param kind Kind of the object, see FruitCatalog.
+   * @param gravity Gravity pulling it down.
+   * @return The new fruit, not on the board yet.
+   */
+  aimKind(kind, gravity) {
+    const image = kind.sprite(this.rng);
+    const position = Board.randomPosition(this.size.width, this.size.height, this.rng, kind.size);
+    const velocity = Board.randomVelocity(position, this.size.width, this.size.height, gravity, this.rng, kind.size);
+    return new Fruit(position, velocity, gravity, kind, image);
+  }
+
+  /**
+   * @brief Puts a thrown fruit or bomb on the board.
+   *
+   * @param fruit New fruit.
+   * @return The fruit.
+   */
+  add(fruit) {
+    this.fruits.push(fruit);
+    this.events.emit(GameEvent.FruitSpawned, { fruit: fruit, kind: fruit.kind.id });
+    return fruit;
+  }
+
+  /**
+   * @brief Generates random fruit, picked by the weights of the catalog.
+   *
+   * Kinds that can't be special are thrown as plain fruits.
+   *
+   * @param gravity Gravity pulling fruit down.
+   * @param special Effect kind of a special fruit, null for a plain one.
+   * @return The new fruit.
+   */
+  generateRandomFruit(gravity, special = null) {
+    const fruit = this.aimKind(this.catalog.pickFruit(this.rng), gravity);
+    fruit.special = fruit.kind.special ? special : null;
+    return this.add(fruit);
+  }
+
+  /**
+   * @brief Launches a fruit or a bomb on an explicit path.
+   *
+   * @param kind Kind of the object, see FruitCatalog.
+   * @param start Launch position.
+   * @param apex Highest position of the flight.
+   * @param flightTime Seconds until it's back at the launch height.
+   * @param special Optional effect kind of a special fruit, kinds that can't
+   *        be special are thrown as plain fruits.
+   * @return The new fruit.
+   */
+  launch(kind, start, apex, flightTime, special = null) {
+    const launch = Board.launchVelocity(start, apex, flightTime);
+    const fruit = new Fruit(start, launch.velocity, launch.gravity, kind, kind.sprite(this.rng));
+    fruit.special = kind.special ? special : null;
+    return this.add(fruit);
+  }
+
+  /**
+   * @brief Throws a bonus fruit from a side of the board.
+   *
+   * The fruit starts in the lower half of the board, just outside of it, and
+   * peaks in the top half somewhere between 30% and 60% of the board width
+   * away from its side.
+   *
+   * @param gravity Gravity pulling fruit down.
+   * @param fromLeft True to throw from the left side, false from the right one.
+   * @param rng Optional random number generator, defaults to the board one.
+   */
+  generateSideFruit(gravity, fromLeft, rng = this.rng) {
+    const kind = this.catalog.pickFruit(rng);
+    const image = kind.sprite(rng);
+    const startY = this.size.height * (0.5 + rng() * 0.3);
+    const peekHeight = this.size.height * (0.1 + rng() * 0.3);
+    const risingTime = Math.sqrt((2 * (startY - peekHeight)) / gravity);
+    const distanceX = this.size.width * (0.3 + rng() * 0.3);
+    const position = new Point(fromLeft ? -kind.size.width : this.size.width, startY);
+    const velocity = new Velocity(((fromLeft ? 1 : -1) * distanceX) / risingTime, -gravity * risingTime);
+    const fruit = new Fruit(position, velocity, gravity, kind, image);
+    fruit.bonus = true;
+    this.add(fruit);
+  }
+
+  /**
+   * @brief Generates a bomb, picked by the weights of the catalog.
+   *
+   * A bomb must never make a fruit impossible to cut: the first of
+   * BombPlacementAttempts aims leaving every whole fruit in the air, bonus
+   * fruits included, BombSafeTime seconds of safe flight (or the safe time
+   * it had before, if that was shorter) is used. If no aim does, the one
+   * leaving the fruits the most time is used. The aims are all drawn up
+   * front, so the rng is used the same way whatever the player sliced.
+   *
+   * @param gravity Gravity pulling the bomb down.
+   * @return The new bomb.
+   */
+  generateBomb(gravity) {
+    const kind = this.catalog.pickBomb(this.rng);
+    const aims = Array.from({ length: BombPlacementAttempts }, () => this.aimKind(kind, gravity));
+    const fruits = this.fruits.filter((fruit) => fruit.isFruit() && !fruit.isSliced());
+    const bombs = this.fruits.filter((fruit) => fruit.isBomb() && !fruit.isSliced() && !fruit.defused);
+    const needed = fruits.map((fruit) => Math.min(Board.safeTime(fruit, bombs, this.size.height), BombSafeTime));
+    let best = null;
+    for (const bomb of aims) {
+      // the shortest safe time left relative to the needed one
+      const margin = Math.min(0, ...fruits.map((fruit, i) => Board.safeTime(fruit, [...bombs, bomb], this.size.height) - needed[i]));
+      if (!best || margin > best.margin) {
+        best = { bomb: bomb, margin: margin };
+      }
+      if (margin >= 0) {
+        break;
+      }
+    }
+    return this.add(best.bomb);
+  }
+
+  /**
+   * @brief Sets off a fuse bomb.
+   *
+   * Whole fruits within the blast radius are blown into halves without
+   * earning points, the bomb leaves the board.
+   *
+   * @param bomb Fuse bomb.
+   */
+  detonate(bomb) {
+    bomb.fuse = null;
+    bomb.slice();
+    const center = bomb.center();
+    const reach = BombSettings[BombType.Fuse].blastRadius;
+    const blasted = this.fruits.filter((fruit) => {
+      const circle = fruit.hitCircle();
+      return fruit.isFruit() && !fruit.isSliced() && Math.hypot(circle.center.x - center.x, circle.center.y - center.y) <= reach + circle.radius;
+    });
+    this.fruits = this.fruits.filter((fruit) => fruit !== bomb);
+    blasted.forEach((fruit) => {
+      fruit.slice();
+      // the cut runs across the blast direction, so the halves fly apart from the bomb
+      const fruitCenter = fruit.center();
+      const angle = Math.atan2(fruitCenter.y - center.y, fruitCenter.x - center.x) + Math.PI / 2;
+      this.fruits.splice(this.fruits.indexOf(fruit), 1, ...fruit.split(angle, fruitCenter));
+    });
+    this.events.emit(GameEvent.BombDetonated, { bomb: bomb, blasted: blasted });
+  }
+
+  /**
+   * @brief Burns the fuses of the bombs in the air, a burnt out one goes off.
+   *
+   * @param dt Time step in seconds.
+   */
+  burnFuses(dt) {
+    this.fruits
+      .filter((fruit) => fruit.isFused())
+      .forEach((bomb) => {
+        bomb.fuse -= dt;
+        if (bomb.fuse <= 0) {
+          this.detonate(bomb);
+        }
+      });
+  }
+
+  /**
+   * @brief Advances the board by one physics step.
+   *
+   * @param dt Time step in seconds.
+   */
+  update(dt) {
+    this.time += dt;
+    this.moveFruits(dt);
+    this.burnFuses(dt * this.fruitTimeScale);
+
+    // a resting blade ends its swipe
+    this.blades.forEach((blade) => {
+      if (blade.swipe && this.time - blade.lastMoveTime >= SwipeIdleTime) {
+        this.endSwipe(blade);
+      }
+    });
+  }
+
+  /**
+   * @brief Updated fruit position.
+   *
+   * Fruits outside of the board (too far below, too far right or too far left)
+   * are removed.
+   *
+   * @param dt Time step in seconds.
+   */
+  moveFruits(dt) {
+    this.fruits.forEach((fruit) => {
+      fruit.move(dt * this.fruitTimeScale);
+
+      // handle a missed fruit
+      if (!fruit.isSliced() && !fruit.isBomb() && !fruit.bonus && fruit.position.y > this.size.height) {
+        this.events.emit(GameEvent.FruitMissed, { fruit: fruit, kind: fruit.kind.id });
+      }
+    });
+
+    // remove fruits outside of the board
+    this.fruits = this.fruits.filter(
+      (fruit) =>
+        fruit.position.y <= this.size.height && // too far below
+        fruit.position.x <= this.size.width && // too far right
+        fruit.position.x >= -fruit.imageSize.width // too far left
+    );
+  }
+
+  /**
+   * @brief Slices a fruit.
+   *
+   * Removes sliced fruit from the board, two fruits that represent sliced
+   * halves are added, see Fruit.split().
+   *
+   * @param fruit Fruit that had been sliced.
+   * @param angle Direction of the cut in radians.
+   * @param through Board point on the cut line.
+   * @param swipe Swipe of the blade that cut the fruit, null for a bomb cut before any fruit.
+   */
+  slice(fruit, angle, through, swipe) {
+    fruit.slice();
+    this.events.emit(GameEvent.FruitSliced, { fruit: fruit, kind: fruit.kind.id, position: fruit.center(), swipeId: swipe ? swipe.id : null });
+    if (fruit.isBomb()) {
+      this.events.emit(GameEvent.BombSliced, { bomb: fruit, bombType: fruit.bombType() });
+      // a sliced fuse bomb goes off right away
+      if (fruit.bombType() === BombType.Fuse) {
+        this.detonate(fruit);
+      }
+      return;
+    }
+
+    this.fruits.splice(this.fruits.indexOf(fruit), 1, ...fruit.split(angle, through));
+  }
+}
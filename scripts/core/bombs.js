@@ -0,0 +1,31 @@
+/**
+ * @brief Types of bombs, every bomb kind of the fruit catalog has one.
+ */
+export const BombType = Object.freeze({
+  // slicing it ends the game, the modes decide what that costs in a timed game
+  Classic: "classic",
+  // slicing it costs a chance and some points
+  Penalty: "penalty",
+  // goes off by itself after a few seconds blowing up nearby fruits, unless it's tapped
+  Fuse: "fuse",
+});
+
+/**
+ * @brief Bomb settings keyed by BombType.
+ *
+ * A sliced penalty or fuse bomb costs points. A fuse bomb goes off fuseTime
+ * seconds after it's thrown, whole fruits within blastRadius pixels of it are
+ * blown up and count as missed. shake scales the screen shake of the explosion.
+ */
+export const BombSettings = Object.freeze({
+  [BombType.Classic]: { name: "Bomb", color: "#ff3b30", shake: 1 },
+  [BombType.Penalty]: { name: "Penalty bomb", color: "#ff9f1c", shake: 0.5, points: 30 },
+  [BombType.Fuse]: { name: "Fuse bomb", color: "#d65cff", shake: 0.7, points: 30, fuseTime: 2.5, blastRadius: 180 },
+});
+
+// A fruit is safe to cut while its hit circle is at least 20 pixels away from every bomb
+export const BombClearance = 20;
+// and a bomb must leave every fruit in the air at least 0.75 sec to be cut safely
+export const BombSafeTime = 0.75;
+// Random bombs try up to 8 launch spots to find such a path
+export const BombPlacementAttempts = 8;
@@ -0,0 +1,207 @@
+import { FruitEntries } from "../data/fruits.js";
+import { Size } from "./geometry.js";
+import { BombType } from "./bombs.js";
+
+/**
+ * @brief One kind of fruit or bomb, see scripts/data/fruits.js for the fields.
+ */
+export class FruitKind {
+  /**
+   * @brief FruitKind object constructor.
+   *
+   * @param entry Catalog entry, checked by FruitCatalog.validate().
+   */
+  constructor(entry) {
+    this.id = entry.id;
+    this.sprites = entry.sprites.slice();
+    this.size = new Size(entry.size[0], entry.size[1]);
+    this.hitRadius = entry.hitRadius;
+    this.juiceColor = entry.juiceColor;
+    this.points = entry.points;
+    this.weight = entry.weight;
+    this.bomb = entry.bomb;
+    this.special = entry.special;
+    Object.freeze(this);
+  }
+
+  /**
+   * @brief Picks the image of a whole fruit of this kind.
+   *
+   * A kind with a single image doesn't use the rng.
+   *
+   * @param rng Random number generator.
+   */
+  sprite(rng) {
+    return this.sprites.length === 1 ? this.sprites[0] : this.sprites[Math.floor(rng() * this.sprites.length)];
+  }
+}
+
+/**
+ * @brief Picks one of the kinds, in proportion to their weights.
+ */
+function pickWeighted(kinds, totalWeight, rng) {
+  let roll = rng() * totalWeight;
+  for (const kind of kinds) {
+    roll -= kind.weight;
+    if (roll < 0) {
+      return kind;
+    }
+  }
+  // rounding errors land on the last kind with a weight
+  return kinds.filter((kind) => kind.weight > 0).pop();
+}
+
+/**
+ * @brief Sums the weights of the kinds.
+ */
+function totalWeight(kinds) {
+  return kinds.reduce((sum, kind) => sum + kind.weight, 0);
+}
+
+/**
+ * @brief Every kind of fruit and bomb the game can throw.
+ */
+export class FruitCatalog {
+  /**
+   * @brief Checks that catalog entries are usable.
+   *
+   * @param entries Array of entries, see scripts/data/fruits.js.
+   * @throws Error describing the first problem found.
+   */
+  static validate(entries) {
+    if (!Array.isArray(entries)) {
+      throw new Error("Fruit catalog must be an array of entries");
+    }
+
+    const ids = new Set();
+    entries.forEach((entry, index) => {
+      const fail = (message) => {
+        throw new Error(`Fruit catalog entry ${index}: ${message}`);
+      };
+      if (typeof entry.id !== "string" || entry.id === "" || entry.id === "fruit") {
+        fail('id must be a non-empty string other than "fruit"');
+      }
+      if (ids.has(entry.id)) {
+        fail(`id ${entry.id} is used twice`);
+      }
+      ids.add(entry.id);
+      if (!Array.isArray(entry.sprites) || entry.sprites.length === 0 || !entry.sprites.every((sprite) => typeof sprite === "string")) {
+        fail("sprites must be a non-empty array of image paths");
+      }
+      if (!Array.isArray(entry.size) || entry.size.length !== 2 || !entry.size.every((side) => Number.isFinite(side) && side > 0)) {
+        fail("size must be [width, height] in pixels");
+      }
+      if (!Number.isFinite(entry.hitRadius) || entry.hitRadius <= 0) {
+        fail("hitRadius must be a positive number");
+      }
+      if (entry.juiceColor !== null && typeof entry.juiceColor !== "string") {
+        fail("juiceColor must be a CSS color or null");
+      }
+      for (const field of ["points", "weight"]) {
+        if (!Number.isFinite(entry[field]) || entry[field] < 0) {
+          fail(`${field} must be a non-negative number`);
+        }
+      }
+      if (entry.bomb !== null && !Object.values(BombType).includes(entry.bomb)) {
+        fail(`bomb must be null or one of ${Object.values(BombType).join(", ")}`);
+      }
+      if (typeof entry.special !== "boolean") {
+        fail("special must be true or false");
+      }
+    });
+
+    for (const bomb of [false, true]) {
+      if (!entries.some((entry) => (entry.bomb !== null) === bomb && entry.weight > 0)) {
+        throw new Error(`Fruit catalog must have a ${bomb ? "bomb" : "fruit"} with a positive weight`);
+      }
+    }
+  }
+
+  /**
+   * @brief FruitCatalog object constructor.
+   *
+   * @param entries Optional array of entries, defaults to scripts/data/fruits.js.
+   * @throws Error if the entries are invalid, see validate().
+   */
+  constructor(entries = FruitEntries) {
+    FruitCatalog.validate(entries);
+    this.kinds = entries.map((entry) => new FruitKind(entry));
+    this.fruits = this.kinds.filter((kind) => kind.bomb === null);
+    this.bombs = this.kinds.filter((kind) => kind.bomb !== null);
+    this.fruitWeight = totalWeight(this.fruits);
+    this.bombWeight = totalWeight(this.bombs);
+  }
+
+  /**
+   * @brief Returns true if the catalog has a kind.
+   *
+   * @param id Kind id, e.g. "apple".
+   */
+  has(id) {
+    return this.kinds.some((kind) => kind.id === id);
+  }
+
+  /**
+   * @brief Returns a kind.
+   *
+   * @param id Kind id, e.g. "apple".
+   * @throws Error if the catalog doesn't have it.
+   */
+  get(id) {
+    const kind = this.kinds.find((candidate) => candidate.id === id);
+    if (!kind) {
+      throw new Error(`Unknown fruit kind ${id}`);
+    }
+    return kind;
+  }
+
+  /**
+   * @brief Picks a fruit kind by weight.
+   *
+   * @param rng Random number generator.
+   */
+  pickFruit(rng) {
+    return pickWeighted(this.fruits, this.fruitWeight, rng);
+  }
+
+  /**
+   * @brief Picks a bomb kind by weight.
+   *
+   * @param rng Random number generator.
+   */
+  pickBomb(rng) {
+    return pickWeighted(this.bombs, this.bombWeight, rng);
+  }
+
+  /**
+   * @brief Returns a catalog with every kind drawn and hit in a scaled size.
+   *
+   * @param factor Size factor, e.g. 1.5 for fruits half as big again.
+   * @return The catalog itself for a factor of 1, a new catalog otherwise.
+   */
+  scaled(factor) {
+    if (factor === 1) {
+      return this;
+    }
+    return new FruitCatalog(this.kinds.map((kind) => ({ ...kind, size: [kind.size.width * factor, kind.size.height * factor] })));
+  }
+
+  /**
+   * @brief Returns the images of every kind in catalog order, kinds can share images.
+   */
+  sprites() {
+    return [...new Set(this.kinds.flatMap((kind) => kind.sprites))];
+  }
+}
+
+// Catalog of scripts/data/fruits.js, used unless a game is given another one
+export const DefaultCatalog = new FruitCatalog();
+
+/**
+ * @brief Returns a kind of the default catalog.
+ *
+ * @param id Kind id, e.g. "apple".
+ */
+export function fruitKind(id) {
+  return DefaultCatalog.get(id);
+}
@@ -0,0 +1,97 @@
+/**
+ * @brief Clock backed by the global timer functions.
+ */
+export class SystemClock {
+  now() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+  }
+
+  setTimeout(callback, delay) {
+    return setTimeout(callback, delay);
+  }
+
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+
+  setInterval(callback, delay) {
+    return setInterval(callback, delay);
+  }
+
+  clearInterval(id) {
+    clearInterval(id);
+  }
+}
+
+/**
+ * @brief Clock that only moves when advance() is called.
+ *
+ * Used to run the simulation headless (tests, fast-forward) with exactly
+ * the same timer semantics as SystemClock.
+ */
+export class ManualClock {
+  constructor() {
+    this.time = 0;
+    this.nextId = 1;
+    // pending timers keyed by id
+    this.timers = new Map();
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay) {
+    return this.addTimer(callback, delay, false);
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  setInterval(callback, delay) {
+    return this.addTimer(callback, delay, true);
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  addTimer(callback, delay, repeat) {
+    const id = this.nextId++;
+    // like the browser, a zero interval still waits for the next turn
+    const interval = Math.max(delay || 0, repeat ? 1 : 0);
+    this.timers.set(id, { callback: callback, interval: interval, due: this.time + interval, repeat: repeat });
+    return id;
+  }
+
+  /**
+   * @brief Moves the clock forward and fires due timers in order.
+   *
+   * @param duration Time to advance in msec.
+   */
+  advance(duration) {
+    const target = this.time + duration;
+    for (;;) {
+      let nextId = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.due <= target && (nextId === null || timer.due < this.timers.get(nextId).due)) {
+          nextId = id;
+        }
+      });
+      if (nextId === null) {
+        break;
+      }
+
+      const timer = this.timers.get(nextId);
+      this.time = timer.due;
+      if (timer.repeat) {
+        timer.due += timer.interval;
+      } else {
+        this.timers.delete(nextId);
+      }
+      timer.callback();
+    }
+    this.time = target;
+  }
+}
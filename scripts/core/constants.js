@@ -0,0 +1,19 @@
+// Simulation time is measured in seconds, distances in board pixels.
+// Spawning and flying times follow the difficulty schedule in scripts/data/difficulty.js.
+// Physics is advanced in fixed steps of 1/120 sec regardless of the frame rate
+export const PhysicsStep = 1 / 120;
+// Frames longer than 1/4 sec are clamped, so a stalled tab doesn't fast-forward the game
+export const MaxFrameTime = 0.25;
+// Blade trail keeps positions for 150 msec
+export const BladeTrailDuration = 0.15;
+// A swipe ends when its blade rests for 200 msec
+export const SwipeIdleTime = 0.2;
+// Blade movements shorter than 2 pixels don't keep a swipe going
+export const SwipeMinDistance = 2;
+// Swipes with at least 3 fruits are combos, every fruit of a combo earns a bonus
+export const ComboMinFruits = 3;
+export const ComboBonusPerFruit = 10;
+// Halves of a sliced fruit fly apart at 120 pixels per second, perpendicular to the cut
+export const SliceSeparationSpeed = 120;
+// and spin 4 radians per second faster than the fruit in opposite directions
+export const HalfSpin = 4;
@@ -0,0 +1,212 @@
+// Storage key and format version of the daily challenge progress
+const StorageKey = "daily";
+const Version = 1;
+// Prefix of the result codes, and the text mixed into their checksum
+const CodePrefix = "FND";
+const CodeSalt = "fruit-ninja-daily";
+// Checksums have 4 base 36 digits
+const ChecksumModulo = 36 ** 4;
+
+/**
+ * @brief Returns the 32-bit FNV-1a hash of a text.
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * @brief Returns the local calendar day of a date as YYYY-MM-DD.
+ *
+ * @param date Date.
+ */
+export function dayOf(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @brief Returns the day before a day.
+ *
+ * @param day Day as YYYY-MM-DD.
+ */
+function previousDay(day) {
+  const [year, month, date] = day.split("-").map(Number);
+  return dayOf(new Date(year, month - 1, date - 1));
+}
+
+/**
+ * @brief Returns the seed of the waves of a day, the same for every player.
+ *
+ * @param day Day as YYYY-MM-DD.
+ */
+export function dailySeed(day) {
+  return hashText(`${CodeSalt}:${day}`);
+}
+
+/**
+ * @brief Returns the checksum of a daily result.
+ */
+function checksum(day, score) {
+  return (hashText(`${CodeSalt}:${day}:${score}`) % ChecksumModulo).toString(36).toUpperCase().padStart(4, "0");
+}
+
+/**
+ * @brief Returns the shareable code of a daily result, e.g. FND-20261018-1250-3K9Z.
+ *
+ * @param day Day as YYYY-MM-DD.
+ * @param score Score of the day.
+ */
+export function resultCode(day, score) {
+  return `${CodePrefix}-${day.replaceAll("-", "")}-${score}-${checksum(day, score)}`;
+}
+
+/**
+ * @brief Reads a shared result code.
+ *
+ * The checksum only catches typos and casual edits, it's not a signature.
+ *
+ * @param code Result code, see resultCode().
+ * @return Object with the day, score and valid (true if the checksum
+ *         matches), null if the text isn't a result code.
+ */
+export function parseResultCode(code) {
+  const match = /^FND-(\d{4})(\d{2})(\d{2})-(\d+)-([0-9A-Z]{4})$/.exec(String(code).trim().toUpperCase());
+  if (!match) {
+    return null;
+  }
+
+  const day = `${match[1]}-${match[2]}-${match[3]}`;
+  const score = Number(match[4]);
+  return { day: day, score: score, valid: checksum(day, score) === match[5] };
+}
+
+/**
+ * @brief Daily challenge progress: today's attempt and the streak of days played.
+ *
+ * Everything is worked out locally from the calendar date, the challenge
+ * needs no server. Only the first run of a day is scored, it's recorded as
+ * soon as it starts so that quitting a bad run doesn't give a second try.
+ */
+export class DailyChallenge {
+  /**
+   * @brief DailyChallenge object constructor.
+   *
+   * @param storage Storage keeping the progress.
+   * @param environment Optional object with the now() function returning
+   *        the current Date, defaults to the system time.
+   */
+  constructor(storage, environment = {}) {
+    this.storage = storage;
+    this.now = environment.now || (() => new Date());
+    this.data = this.read();
+  }
+
+  /**
+   * @brief Reads the progress from the storage, unreadable data starts over.
+   */
+  read() {
+    const empty = { version: Version, day: null, score: 0, streak: 0, best: 0 };
+    try {
+      const data = JSON.parse(this.storage.getItem(StorageKey));
+      if (data === null || data.version !== Version || !Number.isFinite(data.score) || !Number.isInteger(data.streak)) {
+        return empty;
+      }
+      return { ...empty, ...data };
+    } catch (error) {
+      return empty;
+    }
+  }
+
+  save() {
+    this.storage.setItem(StorageKey, JSON.stringify(this.data));
+  }
+
+  /**
+   * @brief Returns the current day as YYYY-MM-DD.
+   */
+  today() {
+    return dayOf(this.now());
+  }
+
+  /**
+   * @brief Returns the seed of today's waves.
+   */
+  seed() {
+    return dailySeed(this.today());
+  }
+
+  /**
+   * @brief Returns true if today's scored attempt was started.
+   */
+  hasPlayedToday() {
+    return this.data.day === this.today();
+  }
+
+  /**
+   * @brief Returns the number of days in a row the challenge was played.
+   *
+   * The streak is kept until the end of the day after the last attempt.
+   */
+  streak() {
+    const today = this.today();
+    return this.data.day === today || this.data.day === previousDay(today) ? this.data.streak : 0;
+  }
+
+  /**
+   * @brief Returns the best daily score ever.
+   */
+  best() {
+    return this.data.best;
+  }
+
+  /**
+   * @brief Records the start of today's scored attempt.
+   *
+   * @throws Error if it was already started today.
+   */
+  begin() {
+    const today = this.today();
+    if (this.data.day === today) {
+      throw new Error(`The daily challenge of ${today} was already played`);
+    }
+
+    this.data.streak = this.streak() + 1;
+    this.data.day = today;
+    this.data.score = 0;
+    this.save();
+  }
+
+  /**
+   * @brief Records the final score of the scored attempt.
+   *
+   * A run started before midnight counts for the day it started.
+   *
+   * @param score Final score.
+   * @return Result of the day, see result().
+   */
+  finish(score) {
+    this.data.score = score;
+    this.data.best = Math.max(this.data.best, score);
+    this.save();
+    return this.result();
+  }
+
+  /**
+   * @brief Returns the result of the last scored attempt.
+   *
+   * @return Object with the day, score and shareable code, null if the
+   *         challenge was never played.
+   */
+  result() {
+    if (this.data.day === null) {
+      return null;
+    }
+    return { day: this.data.day, score: this.data.score, code: resultCode(this.data.day, this.data.score) };
+  }
+}
@@ -0,0 +1,136 @@
+import { DifficultySchedule } from "../data/difficulty.js";
+
+// Keyframe values that are single positive numbers
+const NumberSettings = ["spawnInterval", "flyingInterval", "bombRatio"];
+// Keyframe values that are [min, max] ranges of whole numbers
+const RangeSettings = ["fruitsPerWave", "bombsPerWave"];
+
+/**
+ * @brief Linear interpolation between a and b.
+ */
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * @brief Evaluates a difficulty schedule, see scripts/data/difficulty.js.
+ */
+export class Difficulty {
+  /**
+   * @brief Checks that a schedule is usable.
+   *
+   * @param schedule Array of keyframes.
+   * @throws Error describing the first problem found.
+   */
+  static validate(schedule) {
+    if (!Array.isArray(schedule) || schedule.length === 0) {
+      throw new Error("Difficulty schedule must be a non-empty array of keyframes");
+    }
+
+    schedule.forEach((keyframe, index) => {
+      const fail = (message) => {
+        throw new Error(`Difficulty keyframe ${index}: ${message}`);
+      };
+      for (const axis of ["time", "score"]) {
+        if (!Number.isFinite(keyframe[axis]) || keyframe[axis] < 0) {
+          fail(`${axis} must be a non-negative number`);
+        }
+        if (index === 0 ? keyframe[axis] !== 0 : keyframe[axis] <= schedule[index - 1][axis]) {
+          fail(index === 0 ? `${axis} must be 0` : `${axis} must be greater than in the previous keyframe`);
+        }
+      }
+      for (const name of NumberSettings) {
+        if (!Number.isFinite(keyframe[name]) || keyframe[name] <= 0) {
+          fail(`${name} must be a positive number`);
+        }
+      }
+      if (keyframe.bombRatio > 1) {
+        fail("bombRatio must not be greater than 1");
+      }
+      for (const name of RangeSettings) {
+        const range = keyframe[name];
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isInteger) || range[0] < 1 || range[0] > range[1]) {
+          fail(`${name} must be a [min, max] range of whole numbers with 1 <= min <= max`);
+        }
+      }
+    });
+  }
+
+  /**
+   * @brief Picks a whole number from a range.
+   *
+   * @param range [min, max] range, bounds included.
+   * @param rng Random number generator.
+   */
+  static pick(range, rng) {
+    const min = Math.round(range[0]);
+    const max = Math.round(range[1]);
+    return min + Math.floor(rng() * (max - min + 1));
+  }
+
+  /**
+   * @brief Difficulty object constructor.
+   *
+   * @param schedule Array of keyframes, the designed schedule by default.
+   * @throws Error if the schedule isn't valid.
+   */
+  constructor(schedule = DifficultySchedule) {
+    Difficulty.validate(schedule);
+    this.schedule = schedule;
+  }
+
+  /**
+   * @brief Returns the position reached along one axis as a fractional keyframe index.
+   *
+   * @param axis "time" or "score".
+   * @param value Elapsed time or score.
+   */
+  axisProgress(axis, value) {
+    const last = this.schedule.length - 1;
+    for (let i = 0; i < last; i++) {
+      const from = this.schedule[i][axis];
+      const to = this.schedule[i + 1][axis];
+      if (value < to) {
+        return i + Math.max(value - from, 0) / (to - from);
+      }
+    }
+    return last;
+  }
+
+  /**
+   * @brief Returns how far along the schedule a game is as a fractional keyframe index.
+   *
+   * Whichever of the elapsed time and the score is further along wins.
+   *
+   * @param elapsed Seconds of play.
+   * @param score Current score.
+   */
+  progress(elapsed, score) {
+    return Math.max(this.axisProgress("time", elapsed), this.axisProgress("score", score));
+  }
+
+  /**
+   * @brief Returns the settings reached after elapsed seconds with a score.
+   *
+   * @param elapsed Seconds of play.
+   * @param score Current score.
+   * @return Object with the keyframe values besides time and score, ranges
+   *         aren't rounded, use Difficulty.pick() on them.
+   */
+  at(elapsed, score) {
+    const progress = this.progress(elapsed, score);
+    const index = Math.floor(progress);
+    const from = this.schedule[index];
+    const to = this.schedule[Math.min(index + 1, this.schedule.length - 1)];
+    const t = progress - index;
+
+    const settings = {};
+    for (const name of NumberSettings) {
+      settings[name] = lerp(from[name], to[name], t);
+    }
+    for (const name of RangeSettings) {
+      settings[name] = [lerp(from[name][0], to[name][0], t), lerp(from[name][1], to[name][1], t)];
+    }
+    return settings;
+  }
+}
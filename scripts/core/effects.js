@@ -0,0 +1,114 @@
+/**
+ * @brief Timed effects triggered by slicing special fruits.
+ */
+export const EffectKind = Object.freeze({
+  // slows down every fruit
+  Freeze: "freeze",
+  // throws bursts of fruits from the board sides
+  Frenzy: "frenzy",
+  // doubles the points
+  DoubleScore: "doubleScore",
+  // speeds every fruit up, only sent by the opponent in a versus match
+  SpeedUp: "speedUp",
+});
+
+// Effects of special fruits, in the order they're picked from
+export const SpecialEffects = Object.freeze([EffectKind.Freeze, EffectKind.Frenzy, EffectKind.DoubleScore]);
+
+/**
+ * @brief Effect settings keyed by EffectKind.
+ *
+ * Slicing another special fruit of an active effect extends it by duration
+ * seconds, up to maxDuration seconds.
+ */
+export const EffectSettings = Object.freeze({
+  [EffectKind.Freeze]: { name: "Freeze", color: "#7fd8ff", duration: 5, maxDuration: 10, timeScale: 0.35 },
+  [EffectKind.Frenzy]: { name: "Frenzy", color: "#ff9f1c", duration: 4, maxDuration: 8, burstInterval: 0.4, burstSize: 2 },
+  [EffectKind.DoubleScore]: { name: "Double score", color: "#ffe066", duration: 8, maxDuration: 16, multiplier: 2 },
+  [EffectKind.SpeedUp]: { name: "Speed-up", color: "#ff4d6d", duration: 5, maxDuration: 10, timeScale: 1.5 },
+});
+
+// Probability that a thrown fruit is a special one
+export const SpecialFruitChance = 0.06;
+
+/**
+ * @brief Keeps track of active effects and their remaining time.
+ *
+ * Effects only run down in update(), so they don't expire while a game is
+ * paused.
+ */
+export class EffectTimers {
+  constructor() {
+    // remaining time in seconds keyed by effect kind
+    this.remaining = new Map();
+  }
+
+  /**
+   * @brief Starts an effect or extends an active one.
+   *
+   * @param kind Effect kind.
+   */
+  activate(kind) {
+    const settings = EffectSettings[kind];
+    const remaining = (this.remaining.get(kind) || 0) + settings.duration;
+    this.remaining.set(kind, Math.min(remaining, settings.maxDuration));
+  }
+
+  /**
+   * @brief Returns true if an effect is active.
+   *
+   * @param kind Effect kind.
+   */
+  isActive(kind) {
+    return this.remaining.has(kind);
+  }
+
+  /**
+   * @brief Returns active effects with their remaining time in whole seconds.
+   *
+   * @return Array of { kind, seconds } objects.
+   */
+  active() {
+    return [...this.remaining].map(([kind, remaining]) => ({ kind: kind, seconds: Math.ceil(remaining) }));
+  }
+
+  /**
+   * @brief Runs the effects down.
+   *
+   * @param dt Time step in seconds.
+   * @return True if an effect expired or its remaining whole seconds changed.
+   */
+  update(dt) {
+    let changed = false;
+    this.remaining.forEach((remaining, kind) => {
+      const left = remaining - dt;
+      changed = changed || Math.ceil(left) !== Math.ceil(remaining) || left <= 0;
+      if (left <= 0) {
+        this.remaining.delete(kind);
+      } else {
+        this.remaining.set(kind, left);
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * @brief Returns the remaining time of the active effects keyed by effect kind.
+   */
+  snapshot() {
+    return Object.fromEntries(this.remaining);
+  }
+
+  /**
+   * @brief Restores the effects of a snapshot, unknown kinds are left out.
+   *
+   * @param snapshot Remaining times keyed by effect kind, see snapshot().
+   */
+  restore(snapshot) {
+    this.remaining = new Map(Object.entries(snapshot).filter(([kind, remaining]) => EffectSettings[kind] && remaining > 0));
+  }
+
+  clear() {
+    this.remaining.clear();
+  }
+}
@@ -0,0 +1,685 @@
+import { Board } from "./board.js";
+import { MemoryStorage } from "./storage.js";
+import { gameMode } from "./modes.js";
+import { Difficulty } from "./difficulty.js";
+import { Leaderboard } from "./leaderboard.js";
+import { Point, Size } from "./geometry.js";
+import { createRng, randomSeed } from "./random.js";
+import { ReplayInput, ReplayRecorder } from "./replay.js";
+import { EventBus, GameEvent } from "./events.js";
+import { GameState } from "./state-machine.js";
+import { WavePlayback } from "./waves.js";
+import { DefaultCatalog } from "./catalog.js";
+import { EffectKind, EffectSettings, EffectTimers, SpecialEffects, SpecialFruitChance } from "./effects.js";
+import { ComboBonusPerFruit, ComboMinFruits } from "./constants.js";
+
+// Rounding error tolerated when counting the remaining time down in physics steps
+const TimeEpsilon = 1e-6;
+// Mixed into the seed of the frenzy bursts, they get a sequence of their own
+const BurstSeedSalt = 0x9e3779b9;
+
+/**
+ * @brief Game simulation: the board, the score, chances, time and effects.
+ *
+ * The engine never touches the DOM. Everything that happens in a game is
+ * emitted on its event bus (see GameEvent), the HUD, the sounds and other
+ * plugins follow the game from there, see GamePlugin.
+ */
+export class GameEngine {
+  /**
+   * @brief Calculates combo bonus points of a swipe.
+   *
+   * @param count Number of fruits cut in one swipe.
+   * @return Bonus points, 0 if the swipe isn't a combo.
+   */
+  static comboBonus(count) {
+    return count >= ComboMinFruits ? count * ComboBonusPerFruit : 0;
+  }
+
+  /**
+   * @brief Calculates gravity applied to a fruit.
+   *
+   * It's assumed that a free-falling fruit should traverse the board
+   * within fruitFlyingInterval / 2.
+   * Uniformly accelerated movement equations are used to calculate
+   * the gravity: g = (2 * S) / (t * t);
+   *
+   * @param fruitFlyingInterval Current fruit flying time in seconds.
+   * @param height Height of the board.
+   * @return Fruit gravity in pixels per second squared.
+   */
+  static calculateGravity(fruitFlyingInterval, height) {
+    const time = fruitFlyingInterval / 2;
+    return (height * 2) / time / time;
+  }
+
+  /**
+   * @brief Creates a game playing a replay back.
+   *
+   * The game has the mode, seed, board size and fruit scale of the replayed
+   * run. Its result isn't added to the leaderboard.
+   *
+   * @param replay Replay, see ReplayRecorder.
+   * @param plugins Optional plugins following the game, see GamePlugin.
+   * @param environment Optional environment, see the constructor.
+   * @return New game, see ReplayPlayer for feeding it the recorded input.
+   */
+  static fromReplay(replay, plugins = [], environment = {}) {
+    const size = new Size(replay.size[0], replay.size[1]);
+    return new GameEngine(size, gameMode(replay.mode), plugins, { ...environment, rng: undefined, seed: replay.seed, fruitScale: replay.fruitScale, playback: true });
+  }
+
+  /**
+   * @brief Creates a game resuming a saved run.
+   *
+   * The game has the mode, seed, ranking, board size and fruit scale of the
+   * saved run and is paused, see restore().
+   *
+   * @param snapshot Snapshot of the run, see snapshot().
+   * @param plugins Optional plugins following the game, see GamePlugin.
+   * @param environment Optional environment, see the constructor.
+   * @return New game, resume() continues the run.
+   * @throws Error if a fruit kind of the snapshot isn't in the catalog.
+   */
+  static fromSnapshot(snapshot, plugins = [], environment = {}) {
+    const size = new Size(snapshot.size[0], snapshot.size[1]);
+    const seed = snapshot.seed !== null ? snapshot.seed : undefined;
+    const engine = new GameEngine(size, gameMode(snapshot.mode), plugins, { ...environment, rng: undefined, seed: seed, ranked: snapshot.ranked, fruitScale: snapshot.fruitScale });
+    engine.restore(snapshot);
+    return engine;
+  }
+
+  /**
+   * @brief GameEngine object constructor.
+   *
+   * A run with a seed records a replay of its blade input, a run with a given
+   * rng can't be replayed.
+   *
+   * @param size Size of the board in world units, see worldSize().
+   * @param mode Game mode with the rules of the game, see GameMode.
+   * @param plugins Plugins following the game on its event bus, see
+   *        GamePlugin. Their names have to be unique.
+   * @param environment Optional object with the rng (random number generator)
+   *        or the seed of one, storage, leaderboard, difficulty schedule,
+   *        waves (WaveScript of set-pieces) and fruit catalog to use, defaults
+   *        to a random seed, an in-memory storage, a leaderboard kept in that
+   *        storage, the schedule in scripts/data/difficulty.js, random waves
+   *        only and the catalog in scripts/data/fruits.js.
+   *        playback is true for a game playing a replay back, ranked is
+   *        false for a run kept out of the leaderboard. fruitScale makes
+   *        every kind of the catalog bigger, see FruitCatalog.scaled().
+   * @throws Error if two plugins have the same name.
+   */
+  constructor(size, mode = gameMode("classic"), plugins = [], environment = {}) {
+    this.mode = mode;
+    this.events = new EventBus();
+    this.seed = environment.rng ? null : environment.seed !== undefined ? environment.seed : randomSeed();
+    this.rng = environment.rng || createRng(this.seed);
+    // bursts depend on the sliced fruits, the waves must not
+    this.burstRng = environment.rng || createRng(this.seed ^ BurstSeedSalt);
+    this.playback = environment.playback === true;
+    // only ranked runs go into the leaderboard, a replay never is
+    this.ranked = !this.playback && environment.ranked !== false;
+    // size factor of the thrown objects, replays and saved runs keep it
+    this.fruitScale = environment.fruitScale || 1;
+    this.recorder = this.seed !== null && !this.playback ? new ReplayRecorder(mode.id, this.seed, size, this.fruitScale) : null;
+    // physics steps done, stamps the recorded input
+    this.steps = 0;
+    this.catalog = (environment.catalog || DefaultCatalog).scaled(this.fruitScale);
+    this.storage = environment.storage || new MemoryStorage();
+    this.leaderboard = environment.leaderboard || new Leaderboard(this.storage);
+
+    this.board = new Board(size, { rng: this.rng, catalog: this.catalog }, this.events);
+    // the engine handles the board events before the plugins see them
+    this.events.on(GameEvent.FruitMissed, () => this.updateMissedFruits());
+    this.events.on(GameEvent.FruitSliced, ({ fruit }) => this.fruitSliced(fruit));
+    this.events.on(GameEvent.BombSliced, ({ bomb }) => this.mode.bombSliced(this, bomb));
+    this.events.on(GameEvent.BombDetonated, ({ blasted }) => this.bombDetonated(blasted));
+    this.events.on(GameEvent.SwipeEnded, ({ swipe }) => this.swipeEnded(swipe));
+    // effects of sliced special fruits
+    this.effects = new EffectTimers();
+    this.timeUntilBurst = 0;
+    this.isStarted = false;
+    this.isPaused = false;
+    this.isGameOver = false;
+    // current GameState, null until the game starts
+    this.state = null;
+    this.missedFruits = 0;
+    this.currentScore = 0;
+    // statistics of the run kept in the leaderboard
+    this.fruitsSliced = 0;
+    this.bestCombo = 0;
+    this.difficulty = new Difficulty(environment.difficulty);
+    // seconds played, drives the difficulty together with the score
+    this.elapsed = 0;
+    this.applyDifficulty();
+    this.fruitsTillNextBomb = this.nextBombIn();
+    // set-pieces alternate with random waves, wave is the set-piece being thrown
+    this.waves = environment.waves || null;
+    this.wave = null;
+    this.fillerWavesLeft = this.waves ? this.waves.fillerCount(this.rng) : 0;
+    // remaining time of a timed game in seconds
+    this.timeLeft = this.mode.duration;
+    this.highScore = this.leaderboard.best(this.mode.id);
+
+    const names = new Set();
+    plugins.forEach((plugin) => {
+      if (names.has(plugin.name)) {
+        throw new Error(`Plugin "${plugin.name}" is attached twice`);
+      }
+      names.add(plugin.name);
+      plugin.attach(this.events, this);
+    });
+    this.events.emit(GameEvent.HighScoreChanged, { highScore: this.highScore });
+    this.events.emit(GameEvent.ScoreChanged, { score: this.currentScore });
+    if (this.isTimed()) {
+      this.events.emit(GameEvent.TimeChanged, { seconds: this.secondsLeft() });
+    }
+  }
+
+  /**
+   * @brief Unsubscribes the plugins, the game is replaced by a new one.
+   */
+  dispose() {
+    this.events.clear();
+  }
+
+  /**
+   * @brief Returns true if the game mode has a time limit.
+   */
+  isTimed() {
+    return this.timeLeft !== null;
+  }
+
+  /**
+   * @brief Returns the remaining time of a timed game in whole seconds.
+   */
+  secondsLeft() {
+    return Math.max(Math.ceil(this.timeLeft - TimeEpsilon), 0);
+  }
+
+  updateMissedFruits() {
+    if (this.isGameOver) {
+      return;
+    }
+
+    this.mode.fruitMissed(this);
+  }
+
+  /**
+   * @brief Takes one chance away.
+   */
+  loseChance() {
+    this.events.emit(GameEvent.ChanceLost, { missedFruits: ++this.missedFruits });
+  }
+
+  /**
+   * @brief Counts a sliced fruit, a special one starts its effect.
+   *
+   * @param fruit Sliced fruit or bomb.
+   */
+  fruitSliced(fruit) {
+    if (fruit.isFruit()) {
+      this.fruitsSliced++;
+    }
+    if (fruit.isSpecial()) {
+      this.mode.specialSliced(this, fruit);
+    }
+  }
+
+  /**
+   * @brief Handles a fuse bomb going off, the fruits it blew up count as missed.
+   *
+   * @param blasted Whole fruits blown up by the bomb.
+   */
+  bombDetonated(blasted) {
+    if (this.isGameOver) {
+      return;
+    }
+
+    blasted.filter((fruit) => !fruit.bonus).forEach(() => this.updateMissedFruits());
+  }
+
+  /**
+   * @brief Adds time to (or with a negative value removes time from) a timed game.
+   *
+   * @param seconds Time to add in seconds.
+   */
+  addTime(seconds) {
+    if (!this.isTimed() || this.isGameOver) {
+      return;
+    }
+
+    this.timeLeft = Math.max(this.timeLeft + seconds, 0);
+    this.events.emit(GameEvent.TimeChanged, { seconds: this.secondsLeft() });
+    if (this.timeLeft === 0) {
+      this.mode.timeUp(this);
+    }
+  }
+
+  /**
+   * @brief Starts an effect of a sliced special fruit or extends an active one.
+   *
+   * @param kind Effect kind.
+   */
+  activateEffect(kind) {
+    if (kind === EffectKind.Frenzy && !this.effects.isActive(kind)) {
+      // the first burst is thrown right away
+      this.timeUntilBurst = 0;
+    }
+    this.effects.activate(kind);
+    this.applyEffects();
+  }
+
+  /**
+   * @brief Applies active effects to the board and shows them.
+   */
+  applyEffects() {
+    // a freeze and a speed-up together add up
+    this.board.fruitTimeScale = [EffectKind.Freeze, EffectKind.SpeedUp].reduce((scale, kind) => (this.effects.isActive(kind) ? scale * EffectSettings[kind].timeScale : scale), 1);
+    this.events.emit(GameEvent.EffectsChanged, { effects: this.effects.active() });
+  }
+
+  /**
+   * @brief Awards the points of a finished swipe.
+   *
+   * Every fruit is worth the points of its kind, combos earn a bonus on top.
+   *
+   * @param swipe Finished swipe.
+   */
+  swipeEnded(swipe) {
+    this.bestCombo = Math.max(this.bestCombo, swipe.fruits.length);
+    const multiplier = this.scoreMultiplier();
+    const bonus = GameEngine.comboBonus(swipe.fruits.length) * multiplier;
+    const points = swipe.fruits.reduce((sum, fruit) => sum + fruit.points(), 0);
+    this.updateScore(points * multiplier + bonus);
+    if (bonus > 0 && !this.isGameOver) {
+      this.events.emit(GameEvent.ComboEnded, { swipeId: swipe.id, count: swipe.fruits.length, position: swipe.position, bonus: bonus });
+    }
+  }
+
+  /**
+   * @brief Returns the multiplier applied to sliced fruit points.
+   */
+  scoreMultiplier() {
+    return this.effects.isActive(EffectKind.DoubleScore) ? EffectSettings[EffectKind.DoubleScore].multiplier : 1;
+  }
+
+  /**
+   * @brief Throws a burst of bonus fruits from the board sides during a frenzy.
+   *
+   * @param dt Time step in seconds.
+   */
+  updateFrenzy(dt) {
+    if (!this.effects.isActive(EffectKind.Frenzy)) {
+      return;
+    }
+
+    const settings = EffectSettings[EffectKind.Frenzy];
+    this.timeUntilBurst -= dt;
+    if (this.timeUntilBurst <= 0) {
+      this.timeUntilBurst += settings.burstInterval;
+      for (let i = 0; i < settings.burstSize; i++) {
+        this.board.generateSideFruit(this.gravity, this.burstRng() < 0.5, this.burstRng);
+      }
+    }
+  }
+
+  /**
+   * @brief Picks the effect of a newly thrown fruit.
+   *
+   * @return Effect kind of a special fruit, null for a plain one.
+   */
+  randomSpecial() {
+    if (this.rng() >= SpecialFruitChance) {
+      return null;
+    }
+    return SpecialEffects[Math.floor(this.rng() * SpecialEffects.length)];
+  }
+
+  /**
+   * @brief Reads the current settings of the difficulty schedule.
+   *
+   * Gravity only applies to newly thrown fruits, fruits in the air keep theirs.
+   */
+  applyDifficulty() {
+    this.settings = this.difficulty.at(this.elapsed, this.mode.scoreDifficulty ? this.currentScore : 0);
+    this.fruitSpawnInterval = this.settings.spawnInterval;
+    this.fruitFlyingInterval = this.settings.flyingInterval;
+    // Gravity causes fruit to slow down and eventually fall
+    this.gravity = GameEngine.calculateGravity(this.fruitFlyingInterval, this.board.size.height);
+  }
+
+  /**
+   * @brief Returns how many fruits to throw before the next bomb.
+   *
+   * Averages 1 / bombRatio fruits, give or take a half.
+   */
+  nextBombIn() {
+    return Math.max(Math.round((0.5 + this.rng()) / this.settings.bombRatio), 1);
+  }
+
+  spawnFruit() {
+    const times = Difficulty.pick(this.settings.fruitsPerWave, this.rng);
+    for (let i = 0; i < times; i++) {
+      this.board.generateRandomFruit(this.gravity, this.randomSpecial());
+    }
+
+    this.fruitsTillNextBomb -= times;
+    if (this.mode.spawnsBombs && this.fruitsTillNextBomb <= 0) {
+      this.fruitsTillNextBomb = this.nextBombIn();
+      const bombs = Difficulty.pick(this.settings.bombsPerWave, this.rng);
+      for (let i = 0; i < bombs; i++) {
+        this.board.generateBomb(this.gravity);
+      }
+    }
+  }
+
+  /**
+   * @brief Starts throwing a set-piece picked from the waves.
+   */
+  startWave() {
+    this.wave = new WavePlayback(this.waves.pick(this.rng));
+    this.updateWave(0);
+  }
+
+  /**
+   * @brief Launches the due spawns of the set-piece, random waves follow once it's thrown.
+   *
+   * @param dt Time step in seconds.
+   */
+  updateWave(dt) {
+    this.wave.update(dt).forEach((spawn) => this.launchSpawn(spawn));
+    if (this.wave.isDone()) {
+      this.wave = null;
+      this.timeUntilSpawn = this.fruitSpawnInterval;
+      this.fillerWavesLeft = this.waves.fillerCount(this.rng);
+    }
+  }
+
+  /**
+   * @brief Launches a spawn of a set-piece, bombs are left out in modes without them.
+   *
+   * @param spawn Spawn, see WaveScript.
+   */
+  launchSpawn(spawn) {
+    const kind = spawn.kind === "fruit" ? this.catalog.pickFruit(this.rng) : spawn.kind === "bomb" ? this.catalog.pickBomb(this.rng) : this.catalog.get(spawn.kind);
+    if (kind.bomb && !this.mode.spawnsBombs) {
+      return;
+    }
+
+    // spawn positions are fractions of the board and refer to the fruit center
+    const { width, height } = this.board.size;
+    const start = new Point(spawn.x * width - kind.size.width / 2, height);
+    const apex = new Point(spawn.apex[0] * width - kind.size.width / 2, spawn.apex[1] * height - kind.size.height / 2);
+    this.board.launch(kind, start, apex, spawn.flightTime, spawn.special);
+  }
+
+  /**
+   * @brief Moves the game to another state and emits the change.
+   *
+   * @param state New state, see GameState.
+   */
+  changeState(state) {
+    const previous = this.state;
+    this.state = state;
+    this.events.emit(GameEvent.StateChanged, { state: state, previous: previous });
+  }
+
+  start() {
+    this.isStarted = true;
+    this.changeState(GameState.Playing);
+    this.timeUntilSpawn = this.fruitSpawnInterval;
+    // generate first fruit
+    this.board.generateRandomFruit(this.gravity);
+  }
+
+  /**
+   * @brief Advances the game by one physics step.
+   *
+   * Nothing happens before the game starts, while it's paused or once it's
+   * over.
+   *
+   * @param dt Time step in seconds.
+   */
+  update(dt) {
+    if (!this.isStarted || this.isPaused || this.isGameOver) {
+      return;
+    }
+
+    this.steps++;
+    this.elapsed += dt;
+    if (this.wave) {
+      this.updateWave(dt);
+    } else {
+      this.timeUntilSpawn -= dt;
+      if (this.timeUntilSpawn <= 0) {
+        this.applyDifficulty();
+        if (this.waves && this.fillerWavesLeft <= 0) {
+          this.startWave();
+        } else {
+          this.timeUntilSpawn += this.fruitSpawnInterval;
+          this.fillerWavesLeft--;
+          this.spawnFruit();
+        }
+      }
+    }
+    this.updateFrenzy(dt);
+    this.board.update(dt);
+    if (this.effects.update(dt)) {
+      this.applyEffects();
+    }
+
+    if (this.isTimed() && !this.isGameOver) {
+      const seconds = this.secondsLeft();
+      this.timeLeft = this.timeLeft - dt > TimeEpsilon ? this.timeLeft - dt : 0;
+      if (this.secondsLeft() !== seconds) {
+        this.events.emit(GameEvent.TimeChanged, { seconds: this.secondsLeft() });
+      }
+      if (this.timeLeft === 0) {
+        this.mode.timeUp(this);
+      }
+    }
+  }
+
+  pause() {
+    if (!this.isStarted || this.isPaused) {
+      return;
+    }
+
+    this.isPaused = true;
+    this.changeState(GameState.Paused);
+  }
+
+  resume() {
+    if (!this.isPaused || this.isGameOver) {
+      return;
+    }
+
+    this.isPaused = false;
+    this.changeState(GameState.Playing);
+  }
+
+  /**
+   * @brief Fits the game to a new board size, e.g. after the screen was turned.
+   *
+   * Fruits in the air keep their flight time (see Board.resize()) and new
+   * fruits get the gravity of the new height. The size is recorded, so a
+   * replay resizes at the same step.
+   *
+   * @param size New size of the board.
+   */
+  resize(size) {
+    if (size.width === this.board.size.width && size.height === this.board.size.height) {
+      return;
+    }
+
+    if (this.recorder) {
+      this.recorder.recordResize(this.steps, size);
+    }
+    this.board.resize(size);
+    this.gravity = GameEngine.calculateGravity(this.fruitFlyingInterval, size.height);
+  }
+
+  /**
+   * @brief Returns the state of a started game as plain data.
+   *
+   * Keeps everything needed to go on with the run: the score, chances, time,
+   * difficulty, effects, the set-piece being thrown, the state of the random
+   * number generators and the flying objects, see Board.snapshot(). Blades
+   * aren't kept.
+   *
+   * @return Object that can be saved as JSON, see fromSnapshot().
+   */
+  snapshot() {
+    return {
+      mode: this.mode.id,
+      seed: this.seed,
+      ranked: this.ranked,
+      size: [this.board.size.width, this.board.size.height],
+      fruitScale: this.fruitScale,
+      steps: this.steps,
+      elapsed: this.elapsed,
+      score: this.currentScore,
+      missedFruits: this.missedFruits,
+      fruitsSliced: this.fruitsSliced,
+      bestCombo: this.bestCombo,
+      fruitFlyingInterval: this.fruitFlyingInterval,
+      gravity: this.gravity,
+      fruitsTillNextBomb: this.fruitsTillNextBomb,
+      timeUntilSpawn: this.timeUntilSpawn,
+      timeUntilBurst: this.timeUntilBurst,
+      timeLeft: this.timeLeft,
+      fillerWavesLeft: this.fillerWavesLeft,
+      wave: this.wave ? { index: this.waves.waves.indexOf(this.wave.wave), time: this.wave.time, next: this.wave.next } : null,
+      effects: this.effects.snapshot(),
+      // a given rng can't be saved, a resumed run gets a new seed
+      rng: this.rng.state ? [this.rng.state(), this.burstRng.state()] : null,
+      board: this.board.snapshot(),
+    };
+  }
+
+  /**
+   * @brief Goes on with a saved run, the game is paused until resume().
+   *
+   * A replay has to start with the run, a resumed run isn't recorded. A
+   * set-piece missing from the waves is left out.
+   *
+   * @param snapshot Snapshot of a run in the mode of the game, see snapshot().
+   * @throws Error if a fruit kind isn't in the catalog.
+   */
+  restore(snapshot) {
+    this.board.restore(snapshot.board);
+    this.recorder = null;
+    this.steps = snapshot.steps;
+    this.elapsed = snapshot.elapsed;
+    this.currentScore = snapshot.score;
+    this.missedFruits = snapshot.missedFruits;
+    this.fruitsSliced = snapshot.fruitsSliced;
+    this.bestCombo = snapshot.bestCombo;
+    this.applyDifficulty();
+    this.fruitFlyingInterval = snapshot.fruitFlyingInterval;
+    this.gravity = snapshot.gravity;
+    this.fruitsTillNextBomb = snapshot.fruitsTillNextBomb;
+    this.timeUntilSpawn = snapshot.timeUntilSpawn;
+    this.timeUntilBurst = snapshot.timeUntilBurst;
+    this.timeLeft = snapshot.timeLeft;
+    this.fillerWavesLeft = snapshot.fillerWavesLeft;
+    const wave = snapshot.wave && this.waves ? this.waves.waves[snapshot.wave.index] : null;
+    this.wave = null;
+    if (wave) {
+      this.wave = new WavePlayback(wave);
+      this.wave.time = snapshot.wave.time;
+      this.wave.next = snapshot.wave.next;
+    }
+    if (snapshot.rng) {
+      this.rng = this.board.rng = createRng(snapshot.rng[0]);
+      this.burstRng = createRng(snapshot.rng[1]);
+    }
+    this.effects.restore(snapshot.effects);
+    this.isStarted = true;
+    this.isPaused = true;
+
+    this.applyEffects();
+    this.updateScore(0);
+    if (this.missedFruits > 0) {
+      this.events.emit(GameEvent.ChanceLost, { missedFruits: this.missedFruits });
+    }
+    if (this.isTimed()) {
+      this.events.emit(GameEvent.TimeChanged, { seconds: this.secondsLeft() });
+    }
+    this.changeState(GameState.Paused);
+  }
+
+  /**
+   * @brief Records a blade input for the replay.
+   *
+   * @return Position to use, rounded the way it's recorded.
+   */
+  recordInput(kind, id, position) {
+    return this.recorder ? this.recorder.record(this.steps, kind, id, position) : position;
+  }
+
+  /**
+   * @brief Handles a blade (slicing pointer) being pressed.
+   */
+  pressBlade(id, position) {
+    this.board.pressBlade(id, this.recordInput(ReplayInput.Press, id, position));
+  }
+
+  /**
+   * @brief Handles a blade (slicing pointer) being moved.
+   */
+  moveBlade(id, position) {
+    if (!this.isPaused && !this.isGameOver) {
+      this.board.moveBlade(id, this.recordInput(ReplayInput.Move, id, position));
+    }
+  }
+
+  /**
+   * @brief Handles a blade (slicing pointer) being released.
+   */
+  releaseBlade(id) {
+    this.recordInput(ReplayInput.Release, id);
+    this.board.releaseBlade(id);
+  }
+
+  gameOver() {
+    if (this.isGameOver) {
+      return;
+    }
+
+    this.isGameOver = true;
+    this.board.reset();
+    this.effects.clear();
+    this.applyEffects();
+    const record = !this.ranked
+      ? { entry: null, rank: -1 }
+      : this.leaderboard.add({
+          score: this.currentScore,
+          duration: this.elapsed,
+          fruitsSliced: this.fruitsSliced,
+          bestCombo: this.bestCombo,
+          mode: this.mode.id,
+        });
+    const replay = this.recorder ? this.recorder.finish(this.currentScore, this.steps) : null;
+    this.changeState(GameState.GameOver);
+    this.events.emit(GameEvent.GameOver, { score: this.currentScore, entry: record.entry, rank: record.rank, replay: replay });
+  }
+
+  // Update score display
+  updateScore(newPoints) {
+    if (this.isGameOver) {
+      return;
+    }
+
+    this.currentScore += newPoints;
+    this.events.emit(GameEvent.ScoreChanged, { score: this.currentScore });
+
+    // the run is saved to the leaderboard once it's over
+    if (this.currentScore > this.highScore) {
+      this.highScore = this.currentScore;
+      this.events.emit(GameEvent.HighScoreChanged, { highScore: this.highScore });
+    }
+  }
+}
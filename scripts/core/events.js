@@ -0,0 +1,164 @@
+/**
+ * @brief Events of a game and the fields of their payloads.
+ *
+ * The board reports what happens to the thrown objects, the engine what it
+ * means for the game. Every payload is a plain object with the fields
+ * listed, e.g. { fruit, kind, position, swipeId } for GameEvent.FruitSliced.
+ */
+export const GameEvent = Object.freeze({
+  // a fruit or a bomb was thrown: { fruit, kind }, kind being its catalog id
+  FruitSpawned: "fruitSpawned",
+  // a fruit or a bomb was sliced: { fruit, kind, position, swipeId }, the
+  // position is the fruit center, the swipe id is null for a bomb cut
+  // before the swipe cut any fruit
+  FruitSliced: "fruitSliced",
+  // a whole fruit fell below the board: { fruit, kind }
+  FruitMissed: "fruitMissed",
+  // a bomb was sliced: { bomb, bombType }, see BombType
+  BombSliced: "bombSliced",
+  // a fuse bomb went off: { bomb, blasted }, blasted holds the whole fruits it blew up
+  BombDetonated: "bombDetonated",
+  // a tap put out the fuse of a bomb: { bomb }
+  BombDefused: "bombDefused",
+  // a swipe that cut fruits is over: { swipe }
+  SwipeEnded: "swipeEnded",
+  // a swipe cut a combo of fruits: { swipeId, count, position, bonus }, bonus being the extra points
+  ComboEnded: "comboEnded",
+  // the score changed: { score }
+  ScoreChanged: "scoreChanged",
+  // the high score changed: { highScore }
+  HighScoreChanged: "highScoreChanged",
+  // a chance was lost: { missedFruits }, the total count
+  ChanceLost: "chanceLost",
+  // the remaining time of a timed game changed: { seconds }, in whole seconds
+  TimeChanged: "timeChanged",
+  // active effects changed: { effects }, an array of { kind, seconds } objects
+  EffectsChanged: "effectsChanged",
+  // the game started, was paused, resumed or is over: { state, previous }, see GameState
+  StateChanged: "stateChanged",
+  // the game is over: { score, entry, rank, replay }, the leaderboard entry
+  // of the run and its rank, -1 if it didn't make it into the leaderboard,
+  // and its replay, null if it wasn't recorded (see ReplayRecorder)
+  GameOver: "gameOver",
+});
+
+// Payload fields of every event, an emitted payload has to have all of them
+const EventFields = Object.freeze({
+  [GameEvent.FruitSpawned]: ["fruit", "kind"],
+  [GameEvent.FruitSliced]: ["fruit", "kind", "position", "swipeId"],
+  [GameEvent.FruitMissed]: ["fruit", "kind"],
+  [GameEvent.BombSliced]: ["bomb", "bombType"],
+  [GameEvent.BombDetonated]: ["bomb", "blasted"],
+  [GameEvent.BombDefused]: ["bomb"],
+  [GameEvent.SwipeEnded]: ["swipe"],
+  [GameEvent.ComboEnded]: ["swipeId", "count", "position", "bonus"],
+  [GameEvent.ScoreChanged]: ["score"],
+  [GameEvent.HighScoreChanged]: ["highScore"],
+  [GameEvent.ChanceLost]: ["missedFruits"],
+  [GameEvent.TimeChanged]: ["seconds"],
+  [GameEvent.EffectsChanged]: ["effects"],
+  [GameEvent.StateChanged]: ["state", "previous"],
+  [GameEvent.GameOver]: ["score", "entry", "rank", "replay"],
+});
+
+/**
+ * @brief Throws for an event type that isn't a GameEvent.
+ */
+function checkType(type) {
+  if (!EventFields[type]) {
+    throw new Error(`Unknown game event "${type}"`);
+  }
+}
+
+/**
+ * @brief Delivers the events of one game to its handlers.
+ *
+ * Handlers run in the order they subscribed, the engine subscribes first so
+ * plugins see the game after it handled an event.
+ */
+export class EventBus {
+  constructor() {
+    // handlers keyed by event type
+    this.handlers = new Map();
+  }
+
+  /**
+   * @brief Subscribes a handler to an event.
+   *
+   * @param type Event type, see GameEvent.
+   * @param handler Function called with the payload of every emitted event.
+   * @return Function unsubscribing the handler.
+   * @throws Error for an unknown event type.
+   */
+  on(type, handler) {
+    checkType(type);
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, []);
+    }
+    this.handlers.get(type).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * @brief Unsubscribes a handler, unknown handlers are ignored.
+   *
+   * @param type Event type, see GameEvent.
+   * @param handler Subscribed handler.
+   */
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers && handlers.includes(handler)) {
+      handlers.splice(handlers.indexOf(handler), 1);
+    }
+  }
+
+  /**
+   * @brief Emits an event to its handlers.
+   *
+   * @param type Event type, see GameEvent.
+   * @param payload Object with the fields of the event.
+   * @throws Error for an unknown event type or a payload missing a field.
+   */
+  emit(type, payload) {
+    checkType(type);
+    const missing = EventFields[type].filter((field) => !(field in payload));
+    if (missing.length > 0) {
+      throw new Error(`Game event "${type}" is missing ${missing.join(", ")}`);
+    }
+    // handlers subscribed or unsubscribed by a handler apply from the next event
+    (this.handlers.get(type) || []).slice().forEach((handler) => handler(payload));
+  }
+
+  /**
+   * @brief Unsubscribes every handler.
+   */
+  clear() {
+    this.handlers.clear();
+  }
+}
+
+/**
+ * @brief Plugin following the events of every game, e.g. the HUD or the sounds.
+ *
+ * Documents what a plugin has to implement. Plugins are handed to every new
+ * GameEngine, which attaches them to its event bus. The bus is cleared once
+ * the game is replaced, so a restart drops the handlers of the previous game.
+ */
+export class GamePlugin {
+  /**
+   * @brief GamePlugin object constructor.
+   *
+   * @param name Plugin name, unique among the plugins of a game.
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * @brief Subscribes the plugin to the events of a new game.
+   *
+   * @param events Event bus of the game, see EventBus.
+   * @param engine Game engine, for reading the state of the game.
+   */
+  attach(events, engine) {}
+}
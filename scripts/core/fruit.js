@@ -0,0 +1,266 @@
+import { Point, Velocity } from "./geometry.js";
+import { HalfSpin, SliceSeparationSpeed } from "./constants.js";
+import { BombSettings, BombType } from "./bombs.js";
+
+/**
+ * @brief Fruit object implementation.
+ *
+ * A fruit only keeps its simulation state, what it looks like and what it's
+ * worth come from its kind in the fruit catalog. Images are drawn by a
+ * renderer using imagePath(), rotated by the fruit angle around the image center and
+ * clipped to the cut of a fruit half.
+ */
+export class Fruit {
+  /**
+   * @brief Fruit object constructor.
+   *
+   * @param position Initial position of a fruit.
+   * @param velocity Initial velocity of a fruit.
+   * @param gravity Fruit gravity.
+   * @param kind Kind of the fruit or bomb, see FruitCatalog.
+   * @param imagePath Optional path to the fruit image, defaults to the first image of the kind.
+   */
+  constructor(position, velocity, gravity, kind, imagePath = kind.sprites[0]) {
+    this.position = position;
+    // position before the last physics step, used for render interpolation
+    this.previousPosition = new Point(position.x, position.y);
+    this.velocity = velocity;
+    this.gravity = gravity;
+    this.kind = kind;
+    this.path = imagePath;
+    // size of the image displayed on the canvas
+    this.imageSize = kind.size;
+    this.sliced = false;
+    // effect kind triggered by slicing a special fruit, null for a plain one
+    this.special = null;
+    // bonus fruits (e.g. thrown by a frenzy) don't cost a chance when missed
+    this.bonus = false;
+    // rotation around the image center in radians (clockwise on the canvas)
+    this.angle = 0;
+    this.previousAngle = 0;
+    // rotation speed in radians per second, a fruit rolls towards its flying direction
+    this.spin = velocity.vx / this.imageSize.width;
+    // cut of a fruit half, null for a whole fruit, see split()
+    this.cut = null;
+    // seconds until a fuse bomb goes off, null once it's defused or for anything else
+    this.fuse = kind.bomb === BombType.Fuse ? BombSettings[BombType.Fuse].fuseTime : null;
+    this.defused = false;
+  }
+
+  /**
+   * @brief Creates a fruit from its snapshot, see snapshot().
+   *
+   * @param snapshot Snapshot of the fruit.
+   * @param kind Kind of the fruit, looked up by the snapshot kind id.
+   */
+  static fromSnapshot(snapshot, kind) {
+    const fruit = new Fruit(new Point(snapshot.x, snapshot.y), new Velocity(snapshot.vx, snapshot.vy), snapshot.gravity, kind, snapshot.path);
+    fruit.angle = snapshot.angle;
+    fruit.previousAngle = snapshot.angle;
+    fruit.spin = snapshot.spin;
+    fruit.sliced = snapshot.sliced;
+    fruit.cut = snapshot.cut;
+    fruit.special = snapshot.special;
+    fruit.bonus = snapshot.bonus;
+    fruit.fuse = snapshot.fuse;
+    fruit.defused = snapshot.defused;
+    return fruit;
+  }
+
+  /**
+   * @brief Returns the simulation state of a fruit as plain data.
+   *
+   * @return Object with the kind id, image path, position, velocity, gravity,
+   *         angle, spin, sliced flag, cut, special effect, bonus flag, fuse
+   *         and defused flag, see fromSnapshot().
+   */
+  snapshot() {
+    return {
+      kind: this.kind.id,
+      path: this.path,
+      x: this.position.x,
+      y: this.position.y,
+      vx: this.velocity.vx,
+      vy: this.velocity.vy,
+      gravity: this.gravity,
+      angle: this.angle,
+      spin: this.spin,
+      sliced: this.sliced,
+      cut: this.cut,
+      special: this.special,
+      bonus: this.bonus,
+      fuse: this.fuse,
+      defused: this.defused,
+    };
+  }
+
+  /**
+   * @brief Returns the center of a fruit image.
+   */
+  center() {
+    return new Point(this.position.x + this.imageSize.width / 2, this.position.y + this.imageSize.height / 2);
+  }
+
+  /**
+   * @brief Returns the circle used to hit test a fruit.
+   *
+   * @return Object with the circle center and radius.
+   */
+  hitCircle() {
+    return {
+      center: this.center(),
+      radius: Math.min(this.imageSize.width, this.imageSize.height) * this.kind.hitRadius,
+    };
+  }
+
+  /**
+   * @brief Returns the center of a whole fruit after it flies for a while.
+   *
+   * @param time Flight time in seconds from now.
+   */
+  centerAt(time) {
+    return new Point(
+      this.position.x + this.velocity.vx * time + this.imageSize.width / 2,
+      this.position.y + this.velocity.vy * time + (this.gravity * time * time) / 2 + this.imageSize.height / 2
+    );
+  }
+
+  /**
+   * @brief Returns image path of a fruit.
+   */
+  imagePath() {
+    return this.path;
+  }
+
+  /**
+   * @brief Returns true if a fruit is sliced.
+   */
+  isSliced() {
+    return this.sliced;
+  }
+
+  /**
+   * @brief Returns true if an object is a bomb.
+   */
+  isBomb() {
+    return this.kind.bomb !== null;
+  }
+
+  /**
+   * @brief Returns the type of a bomb, see BombType, null for a fruit.
+   */
+  bombType() {
+    return this.kind.bomb;
+  }
+
+  /**
+   * @brief Returns true if a bomb has a burning fuse that can be tapped out.
+   */
+  isFused() {
+    return this.fuse !== null && !this.sliced;
+  }
+
+  /**
+   * @brief Puts out the fuse of a bomb, it can't go off or be sliced any more.
+   */
+  defuse() {
+    this.fuse = null;
+    this.defused = true;
+  }
+
+  /**
+   * @brief Returns the points earned by slicing a fruit.
+   */
+  points() {
+    return this.kind.points;
+  }
+
+  /**
+   * @brief Returns true if slicing a fruit triggers an effect.
+   */
+  isSpecial() {
+    return this.special !== null;
+  }
+
+  /**
+   * @brief Returns true if an object is a fruit.
+   */
+  isFruit() {
+    return !this.isBomb();
+  }
+
+  /**
+   * @brief Slices a fruit.
+   */
+  slice() {
+    this.sliced = true;
+  }
+
+  /**
+   * @brief Cuts a fruit in two halves along a line.
+   *
+   * Both halves keep the fruit image, each is clipped to its side of the cut
+   * line. The cut is stored in the fruit frame (relative to the image center
+   * and the fruit angle) as { angle, offset, side }: the line runs at angle
+   * through the point offset pixels away from the center along the line
+   * normal, side (1 or -1) tells which side of the line the half keeps.
+   * Halves fly apart along the normal and spin in opposite directions.
+   *
+   * @param angle Direction of the cut line in radians.
+   * @param through Board point on the cut line.
+   * @return Array with the two halves, both already sliced.
+   */
+  split(angle, through) {
+    const center = this.center();
+    const normal = new Point(-Math.sin(angle), Math.cos(angle));
+    const offset = normal.x * (through.x - center.x) + normal.y * (through.y - center.y);
+    return [-1, 1].map((side) => {
+      const velocity = new Velocity(this.velocity.vx + side * normal.x * SliceSeparationSpeed, this.velocity.vy + side * normal.y * SliceSeparationSpeed);
+      const half = new Fruit(new Point(this.position.x, this.position.y), velocity, this.gravity, this.kind, this.path);
+      half.angle = this.angle;
+      half.previousAngle = this.angle;
+      half.spin = this.spin + side * HalfSpin;
+      half.cut = { angle: angle - this.angle, offset: offset, side: side };
+      half.slice();
+      return half;
+    });
+  }
+
+  /**
+   * @brief Returns the angle between the last two physics steps.
+   *
+   * @param alpha Progress towards the current angle, in [0, 1].
+   */
+  interpolatedAngle(alpha) {
+    return this.previousAngle + (this.angle - this.previousAngle) * alpha;
+  }
+
+  /**
+   * @brief Returns the position between the last two physics steps.
+   *
+   * @param alpha Progress towards the current position, in [0, 1].
+   */
+  interpolatedPosition(alpha) {
+    return new Point(
+      this.previousPosition.x + (this.position.x - this.previousPosition.x) * alpha,
+      this.previousPosition.y + (this.position.y - this.previousPosition.y) * alpha
+    );
+  }
+
+  /**
+   * @brief Updated position and angle of a fruit.
+   *
+   * Uniformly accelerated movement equations are used, so the trajectory
+   * doesn't depend on the step length.
+   *
+   * @param dt Time step in seconds.
+   */
+  move(dt) {
+    this.previousPosition = new Point(this.position.x, this.position.y);
+    this.previousAngle = this.angle;
+    this.angle += this.spin * dt;
+    this.position.x += this.velocity.vx * dt;
+    this.position.y += this.velocity.vy * dt + (this.gravity * dt * dt) / 2;
+    this.velocity.vy += this.gravity * dt;
+  }
+}
@@ -0,0 +1,87 @@
+import { SystemClock } from "./clock.js";
+import { MaxFrameTime } from "./constants.js";
+
+/**
+ * @brief Game loop with a fixed physics step and render interpolation.
+ *
+ * Real time elapsed between frames is accumulated and consumed in fixed
+ * steps, so the simulation runs at the same speed on any device. The
+ * leftover time is passed to the render callback as the interpolation
+ * factor between the last two physics steps.
+ */
+export class GameLoop {
+  /**
+   * @brief GameLoop object constructor.
+   *
+   * @param step Physics step in seconds.
+   * @param update Called with the step length for every physics step.
+   * @param render Called once per frame with the interpolation factor in [0, 1).
+   * @param environment Optional object with the clock and the requestFrame and
+   *        cancelFrame functions, defaults to the system clock and
+   *        requestAnimationFrame.
+   */
+  constructor(step, update, render, environment = {}) {
+    this.step = step;
+    this.update = update;
+    this.render = render;
+    this.clock = environment.clock || new SystemClock();
+    this.requestFrame = environment.requestFrame || ((callback) => requestAnimationFrame(callback));
+    this.cancelFrame = environment.cancelFrame || ((id) => cancelAnimationFrame(id));
+
+    // game speed, e.g. 0.5 runs the physics steps at half the real time
+    this.speed = 1;
+    this.accumulator = 0;
+    this.lastTime = null;
+    this.frameId = null;
+  }
+
+  /**
+   * @brief Returns true if the loop is requesting frames.
+   */
+  isRunning() {
+    return this.frameId !== null;
+  }
+
+  start() {
+    if (this.isRunning()) {
+      return;
+    }
+
+    this.lastTime = this.clock.now();
+    this.frameId = this.requestFrame(() => this.frame());
+  }
+
+  stop() {
+    if (!this.isRunning()) {
+      return;
+    }
+
+    this.cancelFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  /**
+   * @brief Processes a single animation frame.
+   */
+  frame() {
+    const now = this.clock.now();
+    const elapsed = Math.min((now - this.lastTime) / 1000, MaxFrameTime);
+    this.lastTime = now;
+    this.frameId = this.requestFrame(() => this.frame());
+    this.advance(elapsed);
+  }
+
+  /**
+   * @brief Runs as many physics steps as fit into the elapsed time and renders.
+   *
+   * @param elapsed Real time elapsed since the last frame in seconds.
+   */
+  advance(elapsed) {
+    this.accumulator += elapsed * this.speed;
+    while (this.accumulator >= this.step) {
+      this.update(this.step);
+      this.accumulator -= this.step;
+    }
+    this.render(this.accumulator / this.step);
+  }
+}
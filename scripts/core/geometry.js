@@ -0,0 +1,41 @@
+/**
+ * @brief 2D point implementation.
+ */
+export class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  toString() {
+    return `Point(${this.x}, ${this.y})`;
+  }
+}
+
+/**
+ * @brief Size implementation.
+ */
+export class Size {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  toString() {
+    return `Size(${this.width}x${this.height})`;
+  }
+}
+
+/**
+ * @brief Velocity implementation.
+ */
+export class Velocity {
+  constructor(vx, vy) {
+    this.vx = vx;
+    this.vy = vy;
+  }
+
+  toString() {
+    return `Velocity[${this.vx},${this.vy}]`;
+  }
+}
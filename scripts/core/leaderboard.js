@@ -0,0 +1,183 @@
+import { GameModes } from "./modes.js";
+
+// Storage key and format version of the leaderboard
+const StorageKey = "leaderboard";
+const Version = 1;
+// Runs kept per game mode
+export const LeaderboardSize = 10;
+// Name used until the player enters one
+export const DefaultPlayerName = "Player";
+const MaxNameLength = 16;
+
+/**
+ * @brief Returns true if a stored entry can be shown.
+ */
+function isValidEntry(entry) {
+  return entry !== null && typeof entry === "object" && typeof entry.name === "string" && Number.isFinite(entry.score) && typeof entry.mode === "string";
+}
+
+/**
+ * @brief Top runs of every game mode.
+ *
+ * Entries are plain objects with the player name, score, date (ISO string),
+ * duration in seconds, fruitsSliced, bestCombo and mode id. Scores carried
+ * over from the single high score of older versions have no date and no
+ * statistics (null).
+ *
+ * The leaderboard is kept in the storage as versioned JSON. Unreadable data
+ * is set aside under "leaderboard.corrupt" and the leaderboard starts empty.
+ */
+export class Leaderboard {
+  /**
+   * @brief Cleans up a player name.
+   *
+   * @param name Entered name.
+   * @return Trimmed name of at most 16 characters, DefaultPlayerName if empty.
+   */
+  static cleanName(name) {
+    const cleaned = String(name || "").trim().slice(0, MaxNameLength);
+    return cleaned || DefaultPlayerName;
+  }
+
+  /**
+   * @brief Leaderboard object constructor.
+   *
+   * @param storage Storage keeping the leaderboard.
+   * @param environment Optional object with the now() function returning
+   *        the current Date, defaults to the system time.
+   */
+  constructor(storage, environment = {}) {
+    this.storage = storage;
+    this.now = environment.now || (() => new Date());
+    this.data = this.read();
+  }
+
+  /**
+   * @brief Reads the leaderboard from the storage, migrating old high scores.
+   */
+  read() {
+    const raw = this.storage.getItem(StorageKey);
+    if (raw === null) {
+      return this.migrate();
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      if (data === null || data.version !== Version || typeof data.tables !== "object" || data.tables === null) {
+        throw new Error(`unsupported leaderboard format`);
+      }
+      const tables = {};
+      Object.entries(data.tables).forEach(([mode, entries]) => {
+        if (Array.isArray(entries)) {
+          tables[mode] = entries.filter(isValidEntry).sort((a, b) => b.score - a.score).slice(0, LeaderboardSize);
+        }
+      });
+      return { version: Version, playerName: Leaderboard.cleanName(data.playerName), tables: tables };
+    } catch (error) {
+      // keep the data around for recovery, the game goes on with an empty leaderboard
+      this.storage.setItem(`${StorageKey}.corrupt`, raw);
+      return { version: Version, playerName: DefaultPlayerName, tables: {} };
+    }
+  }
+
+  /**
+   * @brief Turns the high scores of older versions into leaderboard entries.
+   */
+  migrate() {
+    const data = { version: Version, playerName: DefaultPlayerName, tables: {} };
+    GameModes.forEach((mode) => {
+      const score = Number(this.storage.getItem(mode.highScoreKey()));
+      if (score > 0) {
+        data.tables[mode.id] = [{ name: DefaultPlayerName, score: score, date: null, duration: null, fruitsSliced: null, bestCombo: null, mode: mode.id }];
+      }
+    });
+    this.data = data;
+    this.save();
+    GameModes.forEach((mode) => this.storage.removeItem(mode.highScoreKey()));
+    return data;
+  }
+
+  save() {
+    this.storage.setItem(StorageKey, JSON.stringify(this.data));
+  }
+
+  /**
+   * @brief Returns the name of the last entered player.
+   */
+  playerName() {
+    return this.data.playerName;
+  }
+
+  /**
+   * @brief Returns the entries of a game mode, best first.
+   *
+   * @param mode Game mode id.
+   */
+  entries(mode) {
+    return this.data.tables[mode] || [];
+  }
+
+  /**
+   * @brief Returns the best score of a game mode, 0 without entries.
+   *
+   * @param mode Game mode id.
+   */
+  best(mode) {
+    const entries = this.entries(mode);
+    return entries.length > 0 ? entries[0].score : 0;
+  }
+
+  /**
+   * @brief Returns true if a score makes it into the top runs of a game mode.
+   *
+   * @param mode Game mode id.
+   * @param score Final score.
+   */
+  qualifies(mode, score) {
+    const entries = this.entries(mode);
+    return score > 0 && (entries.length < LeaderboardSize || score > entries[entries.length - 1].score);
+  }
+
+  /**
+   * @brief Records a finished run under the last entered player name.
+   *
+   * @param run Object with the score, duration, fruitsSliced, bestCombo and mode.
+   * @return Object with the new entry and its rank (0 is the best), rank is
+   *         -1 if the run didn't make it into the leaderboard.
+   */
+  add(run) {
+    const entry = {
+      name: this.data.playerName,
+      score: run.score,
+      date: this.now().toISOString(),
+      duration: run.duration,
+      fruitsSliced: run.fruitsSliced,
+      bestCombo: run.bestCombo,
+      mode: run.mode,
+    };
+    if (!this.qualifies(run.mode, run.score)) {
+      return { entry: entry, rank: -1 };
+    }
+
+    // later runs rank below earlier ones with the same score
+    const entries = this.entries(run.mode).slice();
+    let rank = entries.findIndex((other) => other.score < entry.score);
+    rank = rank === -1 ? entries.length : rank;
+    entries.splice(rank, 0, entry);
+    this.data.tables[run.mode] = entries.slice(0, LeaderboardSize);
+    this.save();
+    return { entry: entry, rank: rank };
+  }
+
+  /**
+   * @brief Renames a recorded entry, the name is used for the next runs too.
+   *
+   * @param entry Entry returned by add().
+   * @param name Entered name, see cleanName().
+   */
+  rename(entry, name) {
+    entry.name = Leaderboard.cleanName(name);
+    this.data.playerName = entry.name;
+    this.save();
+  }
+}
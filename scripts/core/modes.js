@@ -0,0 +1,275 @@
+import { BombSettings, BombType } from "./bombs.js";
+
+/**
+ * @brief HUD elements a game mode can show.
+ */
+export const HudElement = Object.freeze({
+  // crosses for the remaining chances
+  Chances: "chances",
+  // countdown timer
+  Timer: "timer",
+});
+
+/**
+ * @brief Game mode implementation.
+ *
+ * A game mode holds the rules of a game, GameEngine calls its hooks and the
+ * mode decides what happens. Modes don't keep any state of their own, so a
+ * single instance serves every game. New modes extend GameMode, override
+ * the hooks they need and are added with registerGameMode().
+ */
+export class GameMode {
+  /**
+   * @brief GameMode object constructor.
+   *
+   * @param id Unique mode id.
+   * @param name Name shown in the mode picker.
+   * @param description Short rules summary shown in the mode picker.
+   */
+  constructor(id, name, description) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    // game length in seconds, null if the game isn't timed
+    this.duration = null;
+    // whether bombs are thrown
+    this.spawnsBombs = true;
+    // HUD elements shown in the game
+    this.hud = [];
+    // whether the score raises the difficulty too, not just the time played
+    this.scoreDifficulty = true;
+    // whether the mode is offered in the mode picker
+    this.listed = true;
+    // whether its runs are ranked in the leaderboard
+    this.hasLeaderboard = true;
+  }
+
+  /**
+   * @brief Returns the storage key of the mode high score.
+   *
+   * Only read to migrate high scores of older versions into the leaderboard.
+   */
+  highScoreKey() {
+    return `highScore.${this.id}`;
+  }
+
+  /**
+   * @brief Called when a whole fruit falls below the board.
+   *
+   * @param engine Game engine.
+   */
+  fruitMissed(engine) {}
+
+  /**
+   * @brief Called when a special fruit is sliced, it starts its effect.
+   *
+   * @param engine Game engine.
+   * @param fruit Sliced special fruit.
+   */
+  specialSliced(engine, fruit) {
+    engine.activateEffect(fruit.special);
+  }
+
+  /**
+   * @brief Called when a bomb is sliced, the penalty depends on its type.
+   *
+   * @param engine Game engine.
+   * @param bomb Sliced bomb.
+   */
+  bombSliced(engine, bomb) {
+    if (bomb.bombType() === BombType.Classic) {
+      this.classicBombSliced(engine, bomb);
+    } else {
+      this.penaltyBombSliced(engine, bomb);
+    }
+  }
+
+  /**
+   * @brief Called when a classic bomb is sliced, it ends the game.
+   *
+   * @param engine Game engine.
+   * @param bomb Sliced bomb.
+   */
+  classicBombSliced(engine, bomb) {
+    engine.gameOver();
+  }
+
+  /**
+   * @brief Called when a penalty or fuse bomb is sliced, it costs points and a chance.
+   *
+   * @param engine Game engine.
+   * @param bomb Sliced bomb.
+   */
+  penaltyBombSliced(engine, bomb) {
+    engine.updateScore(-Math.min(BombSettings[bomb.bombType()].points, engine.currentScore));
+    this.chanceLost(engine);
+  }
+
+  /**
+   * @brief Called when a chance is lost, modes without chances ignore it.
+   *
+   * @param engine Game engine.
+   */
+  chanceLost(engine) {}
+
+  /**
+   * @brief Called when the time of a timed game runs out.
+   *
+   * @param engine Game engine.
+   */
+  timeUp(engine) {
+    engine.gameOver();
+  }
+}
+
+/**
+ * @brief Classic rules: three lost chances or a sliced classic bomb end the game.
+ *
+ * A chance is lost for every missed fruit and every sliced penalty or fuse bomb.
+ */
+export class ClassicMode extends GameMode {
+  constructor() {
+    super("classic", "Classic", "Don't miss 3 fruits, avoid bombs");
+    this.maxMisses = 3;
+    this.hud = [HudElement.Chances];
+  }
+
+  highScoreKey() {
+    // kept from the time the game had a single mode
+    return "highScore";
+  }
+
+  fruitMissed(engine) {
+    this.chanceLost(engine);
+  }
+
+  chanceLost(engine) {
+    if (engine.isGameOver) {
+      return;
+    }
+
+    engine.loseChance();
+    if (engine.missedFruits >= this.maxMisses) {
+      engine.gameOver();
+    }
+  }
+}
+
+/**
+ * @brief Arcade rules: a 60 seconds run, classic bombs cost points and time.
+ */
+export class ArcadeMode extends GameMode {
+  constructor() {
+    super("arcade", "Arcade", "60 seconds, bombs cost points and time");
+    this.duration = 60;
+    // penalties of a sliced bomb
+    this.bombPoints = 50;
+    this.bombTime = 5;
+    this.hud = [HudElement.Timer];
+  }
+
+  classicBombSliced(engine, bomb) {
+    engine.updateScore(-Math.min(this.bombPoints, engine.currentScore));
+    engine.addTime(-this.bombTime);
+  }
+}
+
+/**
+ * @brief Zen rules: a 90 seconds run without bombs and misses.
+ */
+export class ZenMode extends GameMode {
+  constructor() {
+    super("zen", "Zen", "90 seconds, no bombs, no misses");
+    this.duration = 90;
+    this.spawnsBombs = false;
+    this.hud = [HudElement.Timer];
+  }
+}
+
+/**
+ * @brief Daily challenge rules: a 60 seconds run on the waves of the day.
+ *
+ * The waves only depend on the seed of the day and the time played: a bomb
+ * is aimed around the fruits still whole but draws as much from the rng
+ * whatever was sliced (see Board.generateBomb()), and bonus fruits come from
+ * their own rng. So every player gets the same fruits, and bombs at the same
+ * times. Bombs cost points but no time, every run lasts
+ * the full minute. The mode is started from its own entry on the start
+ * screen, see DailyChallenge.
+ */
+export class DailyMode extends GameMode {
+  constructor() {
+    super("daily", "Daily Challenge", "Everyone gets the same waves today");
+    this.duration = 60;
+    this.bombPoints = 50;
+    this.hud = [HudElement.Timer];
+    this.scoreDifficulty = false;
+    this.listed = false;
+  }
+
+  classicBombSliced(engine, bomb) {
+    engine.updateScore(-Math.min(this.bombPoints, engine.currentScore));
+  }
+}
+
+/**
+ * @brief Versus rules: classic chances for each of two players on a split screen.
+ *
+ * Every bomb costs a chance, the round is over once a player runs out of
+ * them. Special fruits don't help the player slicing them, they attack the
+ * opponent instead, see VersusMatch. The mode is started from its own entry
+ * on the start screen.
+ */
+export class VersusMode extends ClassicMode {
+  constructor() {
+    super();
+    this.id = "versus";
+    this.name = "Versus";
+    this.description = "Two players, one screen";
+    // every player has a HUD of their own, see VersusView
+    this.hud = [];
+    this.listed = false;
+    this.hasLeaderboard = false;
+  }
+
+  highScoreKey() {
+    // the classic key belongs to the classic mode
+    return `highScore.${this.id}`;
+  }
+
+  classicBombSliced(engine, bomb) {
+    this.chanceLost(engine);
+  }
+
+  specialSliced(engine, fruit) {}
+}
+
+// Registered game modes keyed by id, in the mode picker order
+export const GameModes = new Map();
+
+/**
+ * @brief Adds a game mode to the mode picker.
+ *
+ * @param mode GameMode instance.
+ */
+export function registerGameMode(mode) {
+  if (GameModes.has(mode.id)) {
+    throw new Error(`Game mode "${mode.id}" is already registered`);
+  }
+  GameModes.set(mode.id, mode);
+}
+
+/**
+ * @brief Returns a registered game mode, Classic if there's no such mode.
+ *
+ * @param id Mode id.
+ */
+export function gameMode(id) {
+  return GameModes.get(id) || GameModes.get("classic");
+}
+
+registerGameMode(new ClassicMode());
+registerGameMode(new ArcadeMode());
+registerGameMode(new ZenMode());
+registerGameMode(new DailyMode());
+registerGameMode(new VersusMode());
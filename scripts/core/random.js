@@ -0,0 +1,31 @@
+/**
+ * @brief Returns a random 32-bit seed.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * @brief Creates a seeded random number generator.
+ *
+ * Uses mulberry32: fast, small state and good enough for gameplay. The same
+ * seed always gives the same sequence, which makes runs replayable.
+ *
+ * The function has a state() method returning its 32-bit state, a generator
+ * created with that state as the seed continues the same sequence.
+ *
+ * @param seed 32-bit integer seed.
+ * @return Function returning numbers in [0, 1), like Math.random.
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  const rng = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+  rng.state = () => state;
+  return rng;
+}
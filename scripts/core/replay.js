@@ -0,0 +1,298 @@
+import { Point, Size } from "./geometry.js";
+import { GameModes } from "./modes.js";
+import { PhysicsStep } from "./constants.js";
+
+// Version of the replay format, replays of other versions can't be played
+export const ReplayVersion = 1;
+// Blade positions are kept to 1/100 of a pixel
+const PositionScale = 100;
+
+/**
+ * @brief Kinds of recorded input.
+ */
+export const ReplayInput = Object.freeze({
+  Press: "d",
+  Move: "m",
+  Release: "u",
+  // the board was resized, see GameEngine.resize()
+  Resize: "r",
+});
+
+/**
+ * @brief Rounds a blade position to the precision kept in replays.
+ */
+function quantize(value) {
+  return Math.round(value * PositionScale) / PositionScale;
+}
+
+/**
+ * @brief Records the blade input of a run.
+ *
+ * Together with the seed of the random number generator the input is all
+ * that's needed to play the run back: the simulation runs in fixed physics
+ * steps, so every input is stamped with the number of steps done before it.
+ *
+ * A replay is a plain object ready for JSON:
+ * { version, mode, seed, size: [width, height], fruitScale, score, steps, input }, where
+ * input is an array of [step, kind, id, x, y] entries (no position for a
+ * release) and [step, kind, width, height] entries for a resized board.
+ */
+export class ReplayRecorder {
+  /**
+   * @brief ReplayRecorder object constructor.
+   *
+   * @param mode Game mode id.
+   * @param seed Seed of the run.
+   * @param size Size of the board.
+   * @param fruitScale Optional size factor of the thrown objects, see FruitCatalog.scaled().
+   */
+  constructor(mode, seed, size, fruitScale = 1) {
+    this.mode = mode;
+    this.seed = seed;
+    this.size = size;
+    this.fruitScale = fruitScale;
+    this.input = [];
+  }
+
+  /**
+   * @brief Records a blade input.
+   *
+   * @param step Physics steps done so far.
+   * @param kind Input kind, see ReplayInput.
+   * @param id Blade id.
+   * @param position Blade position, omitted for a release.
+   * @return Position rounded the way it's recorded, the game has to use it
+   *         so that the playback sees the same input.
+   */
+  record(step, kind, id, position) {
+    if (!position) {
+      this.input.push([step, kind, id]);
+      return position;
+    }
+
+    const recorded = new Point(quantize(position.x), quantize(position.y));
+    this.input.push([step, kind, id, recorded.x, recorded.y]);
+    return recorded;
+  }
+
+  /**
+   * @brief Records a board resize.
+   *
+   * @param step Physics steps done so far.
+   * @param size New size of the board.
+   */
+  recordResize(step, size) {
+    this.input.push([step, ReplayInput.Resize, size.width, size.height]);
+  }
+
+  /**
+   * @brief Returns the replay of the finished run.
+   *
+   * @param score Final score.
+   * @param steps Physics steps of the run.
+   */
+  finish(score, steps) {
+    return {
+      version: ReplayVersion,
+      mode: this.mode,
+      seed: this.seed,
+      size: [this.size.width, this.size.height],
+      fruitScale: this.fruitScale,
+      score: score,
+      steps: steps,
+      input: this.input,
+    };
+  }
+}
+
+/**
+ * @brief Reads a replay exported as JSON.
+ *
+ * @param json Replay file contents.
+ * @return Replay object, see ReplayRecorder.
+ * @throws Error naming what's wrong with the file.
+ */
+export function parseReplay(json) {
+  let replay;
+  try {
+    replay = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid replay: ${error.message}`);
+  }
+
+  const fail = (reason) => {
+    throw new Error(`Invalid replay: ${reason}`);
+  };
+  if (replay === null || typeof replay !== "object") {
+    fail("not a replay file");
+  }
+  if (replay.version !== ReplayVersion) {
+    fail(`version ${replay.version} isn't supported`);
+  }
+  if (!GameModes.has(replay.mode)) {
+    fail(`unknown game mode "${replay.mode}"`);
+  }
+  if (!Number.isInteger(replay.seed) || !Number.isInteger(replay.steps) || replay.steps < 0 || !Number.isFinite(replay.score)) {
+    fail("seed, steps and score have to be numbers");
+  }
+  if (!Array.isArray(replay.size) || replay.size.length !== 2 || !replay.size.every((side) => Number.isFinite(side) && side > 0)) {
+    fail("size has to be [width, height]");
+  }
+  // replays recorded before larger fruits were an option don't have a scale
+  if (replay.fruitScale !== undefined && !(Number.isFinite(replay.fruitScale) && replay.fruitScale > 0)) {
+    fail("fruitScale has to be a positive number");
+  }
+  if (!Array.isArray(replay.input)) {
+    fail("input is missing");
+  }
+  // checks the fields following the step and the kind of an input
+  const isValidInput = (entry) => {
+    switch (entry[1]) {
+      case ReplayInput.Release:
+        return entry.length === 3;
+      case ReplayInput.Resize:
+        return entry.length === 4 && entry.slice(2).every((side) => Number.isFinite(side) && side > 0);
+      default:
+        return entry.length === 5 && Number.isFinite(entry[3]) && Number.isFinite(entry[4]);
+    }
+  };
+  let lastStep = 0;
+  replay.input.forEach((entry, index) => {
+    const valid = Array.isArray(entry) && Number.isInteger(entry[0]) && entry[0] >= lastStep && Object.values(ReplayInput).includes(entry[1]) && isValidInput(entry);
+    if (!valid) {
+      fail(`input ${index} is malformed`);
+    }
+    lastStep = entry[0];
+  });
+  return replay;
+}
+
+/**
+ * @brief Plays a replay back on a new game.
+ *
+ * The playback can be paused, sped up and moved to any step. Seeking back
+ * plays the replay again from the start, the simulation is fast enough for
+ * that.
+ */
+export class ReplayPlayer {
+  /**
+   * @brief ReplayPlayer object constructor.
+   *
+   * @param replay Replay to play, see ReplayRecorder.
+   * @param createEngine Function returning a new game for the replay, see
+   *        GameEngine.fromReplay().
+   */
+  constructor(replay, createEngine) {
+    this.replay = replay;
+    this.createEngine = createEngine;
+    this.speed = 1;
+    this.isPaused = false;
+    this.engine = null;
+    this.restart();
+  }
+
+  /**
+   * @brief Starts the playback over.
+   */
+  restart() {
+    if (this.engine) {
+      this.engine.dispose();
+    }
+    this.engine = this.createEngine(this.replay);
+    this.engine.start();
+    // physics steps played and index of the next input
+    this.step = 0;
+    this.nextInput = 0;
+    // fraction of a step carried over to the next update
+    this.carry = 0;
+    this.playInput();
+  }
+
+  /**
+   * @brief Returns true once the whole run was played.
+   */
+  isFinished() {
+    return this.engine.isGameOver || this.step >= this.replay.steps;
+  }
+
+  /**
+   * @brief Plays the input recorded after the current step.
+   */
+  playInput() {
+    const input = this.replay.input;
+    while (this.nextInput < input.length && input[this.nextInput][0] === this.step && !this.engine.isGameOver) {
+      const [, kind, id, x, y] = input[this.nextInput++];
+      if (kind === ReplayInput.Press) {
+        this.engine.pressBlade(id, new Point(x, y));
+      } else if (kind === ReplayInput.Move) {
+        this.engine.moveBlade(id, new Point(x, y));
+      } else if (kind === ReplayInput.Resize) {
+        // a resize has the board size where a blade input has its id and position
+        this.engine.resize(new Size(id, x));
+      } else {
+        this.engine.releaseBlade(id);
+      }
+    }
+  }
+
+  /**
+   * @brief Plays one physics step and the input recorded after it.
+   */
+  advance() {
+    this.engine.update(PhysicsStep);
+    this.step++;
+    this.playInput();
+  }
+
+  /**
+   * @brief Advances the playback by real time.
+   *
+   * @param dt Time step in seconds, scaled by the playback speed.
+   */
+  update(dt) {
+    if (this.isPaused) {
+      return;
+    }
+
+    this.carry += (dt * this.speed) / PhysicsStep;
+    while (this.carry >= 1 - 1e-9 && !this.isFinished()) {
+      this.carry -= 1;
+      this.advance();
+    }
+  }
+
+  /**
+   * @brief Moves the playback to a step.
+   *
+   * @param step Physics step, clamped to the replay length.
+   */
+  seek(step) {
+    const target = Math.min(Math.max(Math.round(step), 0), this.replay.steps);
+    if (target < this.step) {
+      this.restart();
+    }
+    while (this.step < target && !this.isFinished()) {
+      this.advance();
+    }
+    this.carry = 0;
+  }
+}
+
+/**
+ * @brief Plays a replay to the end without showing it.
+ *
+ * Used as an anti-cheat check: a replay whose input doesn't lead to its score
+ * was tampered with or recorded by a different version of the game.
+ *
+ * @param replay Replay to check.
+ * @param createEngine Function returning a new game for the replay.
+ * @return Object with the score reached and valid, true if it's the recorded score.
+ */
+export function verifyReplay(replay, createEngine) {
+  const player = new ReplayPlayer(replay, createEngine);
+  while (!player.isFinished()) {
+    player.advance();
+  }
+  const score = player.engine.currentScore;
+  return { score: score, valid: score === replay.score };
+}
@@ -0,0 +1,192 @@
+import { GameEvent, GamePlugin } from "./events.js";
+import { GameModes } from "./modes.js";
+import { GameState } from "./state-machine.js";
+import { DefaultCatalog } from "./catalog.js";
+import { SpecialEffects } from "./effects.js";
+
+// Storage key and format version of the saved run
+const StorageKey = "savedRun";
+const Version = 1;
+// A run saved more than a day ago is stale and forgotten
+const MaxSaveAge = 24 * 60 * 60 * 1000;
+// A running game is saved after every 5 seconds of play
+export const CheckpointInterval = 5;
+
+// Fields of a run snapshot holding plain numbers, see GameEngine.snapshot()
+const RunNumbers = [
+  "steps",
+  "elapsed",
+  "score",
+  "missedFruits",
+  "fruitsSliced",
+  "bestCombo",
+  "fruitFlyingInterval",
+  "gravity",
+  "fruitsTillNextBomb",
+  "timeUntilSpawn",
+  "timeUntilBurst",
+  "fillerWavesLeft",
+];
+// Fields of a fruit snapshot holding plain numbers and flags, see Fruit.snapshot()
+const FruitNumbers = ["x", "y", "vx", "vy", "gravity", "angle", "spin"];
+const FruitFlags = ["sliced", "bonus", "defused"];
+
+/**
+ * @brief Returns true if a value is a plain object.
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @brief Returns true if a fruit snapshot can be put back on a board.
+ */
+function isValidFruit(fruit, catalog) {
+  return (
+    isObject(fruit) &&
+    typeof fruit.kind === "string" &&
+    catalog.has(fruit.kind) &&
+    typeof fruit.path === "string" &&
+    FruitNumbers.every((name) => Number.isFinite(fruit[name])) &&
+    FruitFlags.every((name) => typeof fruit[name] === "boolean") &&
+    (fruit.fuse === null || Number.isFinite(fruit.fuse)) &&
+    (fruit.special === null || SpecialEffects.includes(fruit.special)) &&
+    (fruit.cut === null || (isObject(fruit.cut) && Number.isFinite(fruit.cut.angle) && Number.isFinite(fruit.cut.offset) && [-1, 1].includes(fruit.cut.side)))
+  );
+}
+
+/**
+ * @brief Returns true if a run snapshot can be resumed, see GameEngine.snapshot().
+ *
+ * @param run Parsed snapshot.
+ * @param catalog Fruit catalog the flying objects are looked up in.
+ */
+export function isValidRun(run, catalog = DefaultCatalog) {
+  return (
+    isObject(run) &&
+    GameModes.has(run.mode) &&
+    (run.seed === null || Number.isInteger(run.seed)) &&
+    typeof run.ranked === "boolean" &&
+    Array.isArray(run.size) &&
+    run.size.length === 2 &&
+    run.size.every((side) => Number.isFinite(side) && side > 0) &&
+    (run.fruitScale === undefined || (Number.isFinite(run.fruitScale) && run.fruitScale > 0)) &&
+    RunNumbers.every((name) => Number.isFinite(run[name])) &&
+    run.gravity > 0 &&
+    (run.timeLeft === null || (Number.isFinite(run.timeLeft) && run.timeLeft > 0)) &&
+    (run.wave === null || (isObject(run.wave) && Number.isInteger(run.wave.index) && Number.isFinite(run.wave.time) && Number.isInteger(run.wave.next))) &&
+    isObject(run.effects) &&
+    Object.values(run.effects).every(Number.isFinite) &&
+    (run.rng === null || (Array.isArray(run.rng) && run.rng.length === 2 && run.rng.every(Number.isInteger))) &&
+    isObject(run.board) &&
+    Number.isFinite(run.board.time) &&
+    Array.isArray(run.board.fruits) &&
+    run.board.fruits.every((fruit) => isValidFruit(fruit, catalog))
+  );
+}
+
+/**
+ * @brief Keeps the run being played, so a reload or a closed browser doesn't lose it.
+ *
+ * A plugin saving the game whenever it's paused (e.g. when the page gets
+ * hidden) and at regular checkpoints, see checkpoint(). A new run replaces
+ * the saved one, a finished run is forgotten. Only one run is kept.
+ */
+export class RunSave extends GamePlugin {
+  /**
+   * @brief RunSave object constructor.
+   *
+   * @param storage Storage keeping the run.
+   * @param environment Optional object with the now() function returning
+   *        the current Date and the fruit catalog of the games, defaults to
+   *        the system time and scripts/data/fruits.js.
+   */
+  constructor(storage, environment = {}) {
+    super("save");
+    this.storage = storage;
+    this.now = environment.now || (() => new Date());
+    this.catalog = environment.catalog || DefaultCatalog;
+    // game followed and its elapsed time when it was last saved
+    this.engine = null;
+    this.savedAt = 0;
+  }
+
+  /**
+   * @brief Follows the events of a new game.
+   *
+   * @param events Event bus of the game.
+   * @param engine Game engine.
+   */
+  attach(events, engine) {
+    this.engine = engine;
+    this.savedAt = engine.elapsed;
+    events.on(GameEvent.StateChanged, ({ state, previous }) => {
+      if (state === GameState.Paused) {
+        this.save(engine);
+      } else if (state === GameState.Playing && previous === null) {
+        this.clear();
+      }
+    });
+    events.on(GameEvent.GameOver, () => this.clear());
+  }
+
+  /**
+   * @brief Saves the game followed once CheckpointInterval seconds were played since the last save.
+   *
+   * Called after every physics step.
+   */
+  checkpoint() {
+    const engine = this.engine;
+    if (engine && engine.state === GameState.Playing && engine.elapsed - this.savedAt >= CheckpointInterval) {
+      this.save(engine);
+    }
+  }
+
+  /**
+   * @brief Saves a run, games that aren't started, are over or play a replay back are ignored.
+   *
+   * @param engine Game engine.
+   */
+  save(engine) {
+    if (!engine.isStarted || engine.isGameOver || engine.playback) {
+      return;
+    }
+
+    this.savedAt = engine.elapsed;
+    this.storage.setItem(StorageKey, JSON.stringify({ version: Version, date: this.now().getTime(), run: engine.snapshot() }));
+  }
+
+  /**
+   * @brief Reads the saved run.
+   *
+   * Saves of another version, stale ones and unreadable ones are discarded.
+   *
+   * @return Snapshot of the run, see GameEngine.fromSnapshot(), null if
+   *         there's no run to resume.
+   */
+  load() {
+    const raw = this.storage.getItem(StorageKey);
+    if (raw === null) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(raw);
+      const age = isObject(data) ? this.now().getTime() - data.date : NaN;
+      if (!isObject(data) || data.version !== Version || !(age >= 0 && age <= MaxSaveAge) || !isValidRun(data.run, this.catalog)) {
+        throw new Error("unusable saved run");
+      }
+      return data.run;
+    } catch (error) {
+      this.clear();
+      return null;
+    }
+  }
+
+  /**
+   * @brief Forgets the saved run.
+   */
+  clear() {
+    this.storage.removeItem(StorageKey);
+  }
+}
@@ -0,0 +1,175 @@
+import { SystemClock } from "./clock.js";
+
+/**
+ * @brief Phases of the game.
+ */
+export const GameState = Object.freeze({
+  Menu: "menu",
+  Countdown: "countdown",
+  Playing: "playing",
+  Paused: "paused",
+  GameOver: "gameOver",
+  Replay: "replay",
+});
+
+/**
+ * @brief States every game state can change to.
+ */
+export const GameTransitions = Object.freeze({
+  [GameState.Menu]: [GameState.Countdown],
+  [GameState.Countdown]: [GameState.Playing, GameState.Paused],
+  [GameState.Playing]: [GameState.Paused, GameState.GameOver],
+  // resuming and restarting count down again
+  [GameState.Paused]: [GameState.Countdown, GameState.Menu],
+  [GameState.GameOver]: [GameState.Countdown, GameState.Menu, GameState.Replay],
+  // a replay is watched from the game over screen
+  [GameState.Replay]: [GameState.GameOver],
+});
+
+/**
+ * @brief Listeners and timers of a state.
+ *
+ * Everything a state sets up through its scope is released when the state
+ * is left, so nothing outlives the state that needed it.
+ */
+export class StateScope {
+  /**
+   * @brief StateScope object constructor.
+   *
+   * @param clock Clock running the timers, see SystemClock.
+   */
+  constructor(clock) {
+    this.clock = clock;
+    this.releases = [];
+  }
+
+  /**
+   * @brief Adds an event listener removed with the scope.
+   *
+   * @param target Event target.
+   * @param type Event type.
+   * @param listener Event listener.
+   */
+  listen(target, type, listener) {
+    target.addEventListener(type, listener);
+    this.add(() => target.removeEventListener(type, listener));
+  }
+
+  /**
+   * @brief Starts a timeout cleared with the scope.
+   *
+   * @return Timeout id.
+   */
+  setTimeout(callback, delay) {
+    const id = this.clock.setTimeout(callback, delay);
+    this.add(() => this.clock.clearTimeout(id));
+    return id;
+  }
+
+  /**
+   * @brief Starts an interval cleared with the scope.
+   *
+   * @return Interval id.
+   */
+  setInterval(callback, delay) {
+    const id = this.clock.setInterval(callback, delay);
+    this.add(() => this.clock.clearInterval(id));
+    return id;
+  }
+
+  /**
+   * @brief Adds a function called when the scope is released.
+   *
+   * @param release Cleanup function.
+   */
+  add(release) {
+    this.releases.push(release);
+  }
+
+  /**
+   * @brief Releases everything in reverse order.
+   */
+  release() {
+    const releases = this.releases.reverse();
+    this.releases = [];
+    releases.forEach((release) => release());
+  }
+}
+
+/**
+ * @brief Finite state machine with scoped states.
+ *
+ * A state is an object with optional enter(scope, params) and exit()
+ * methods. enter() gets a fresh StateScope for the listeners and timers of
+ * the state, the scope is released right after exit().
+ */
+export class StateMachine {
+  /**
+   * @brief StateMachine object constructor.
+   *
+   * @param states States keyed by name.
+   * @param transitions Arrays of the states every state can change to, keyed by state name.
+   * @param environment Optional object with the clock running the state
+   *        timers and the stateChanged(state, previous) callback, default to
+   *        SystemClock and no callback.
+   */
+  constructor(states, transitions, environment = {}) {
+    this.states = states;
+    this.transitions = transitions;
+    this.clock = environment.clock || new SystemClock();
+    this.stateChanged = environment.stateChanged || (() => {});
+    this.state = null;
+    this.scope = null;
+  }
+
+  /**
+   * @brief Returns true if the machine is in a state.
+   *
+   * @param name State name.
+   */
+  is(name) {
+    return this.state === name;
+  }
+
+  /**
+   * @brief Returns true if the current state can change to a state.
+   *
+   * @param name State name.
+   */
+  can(name) {
+    return this.state === null || (this.transitions[this.state] || []).includes(name);
+  }
+
+  /**
+   * @brief Leaves the current state and enters another one.
+   *
+   * @param name State to enter.
+   * @param params Optional parameters passed to enter().
+   * @throws Error for an unknown state or a transition that isn't allowed.
+   */
+  transition(name, params = {}) {
+    if (!this.states[name]) {
+      throw new Error(`Unknown state "${name}"`);
+    }
+    if (!this.can(name)) {
+      throw new Error(`Can't change from state "${this.state}" to "${name}"`);
+    }
+
+    const previous = this.state;
+    if (previous !== null) {
+      const state = this.states[previous];
+      if (state.exit) {
+        state.exit();
+      }
+      this.scope.release();
+    }
+
+    this.state = name;
+    this.scope = new StateScope(this.clock);
+    this.stateChanged(name, previous);
+    const state = this.states[name];
+    if (state.enter) {
+      state.enter(this.scope, params);
+    }
+  }
+}
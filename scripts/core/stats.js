@@ -0,0 +1,202 @@
+import { GameEvent, GamePlugin } from "./events.js";
+import { GameState } from "./state-machine.js";
+import { DefaultCatalog } from "./catalog.js";
+
+// Storage key and format version of the lifetime statistics
+const StorageKey = "stats";
+const Version = 1;
+// Fields of the statistics holding counts and seconds
+const CountFields = ["gamesPlayed", "bombsHit", "misses", "bestCombo"];
+const TimeFields = ["longestRun", "playTime"];
+
+/**
+ * @brief Achievements, unlocked once and kept forever.
+ *
+ * unlocked(run, stats) tells if an achievement is earned: run holds the
+ * score, bestCombo, elapsed seconds, misses, bombsHit, bombsThrown and
+ * isOver of the game being played, stats are the LifetimeStats.
+ */
+export const Achievements = Object.freeze([
+  { id: "comboFive", name: "Five in one", description: "Slice 5 fruits in one swipe", unlocked: (run) => run.bestCombo >= 5 },
+  { id: "cleanBlade", name: "Clean blade", description: "Score 500 without missing a fruit", unlocked: (run) => run.score >= 500 && run.misses === 0 },
+  { id: "bombDodger", name: "Bomb dodger", description: "Finish a game with 5 bombs thrown without touching one", unlocked: (run) => run.isOver && run.bombsThrown >= 5 && run.bombsHit === 0 },
+  { id: "fruitMaster", name: "Fruit master", description: "Score 1000 in one game", unlocked: (run) => run.score >= 1000 },
+  { id: "survivor", name: "Survivor", description: "Keep one game going for 3 minutes", unlocked: (run) => run.elapsed >= 180 },
+  { id: "fruitSalad", name: "Fruit salad", description: "Slice every kind of fruit", unlocked: (run, stats) => stats.catalog.fruits.every((kind) => stats.slices(kind.id) > 0) },
+  { id: "thousandCuts", name: "Thousand cuts", description: "Slice 1000 fruits", unlocked: (run, stats) => stats.totalSlices() >= 1000 },
+  { id: "dedicated", name: "Dedicated", description: "Play for an hour in total", unlocked: (run, stats) => stats.data.playTime >= 3600 },
+]);
+
+/**
+ * @brief Returns true if a value is a whole number of 0 or more.
+ */
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * @brief Player history over every game: lifetime statistics and achievements.
+ *
+ * A plugin following the played games, it counts the games, slices of every
+ * fruit kind, sliced bombs, missed fruits, the best combo, the longest run
+ * and the time played, and unlocks achievements as soon as they're earned.
+ * Everything is saved whenever a game is paused or over and when an
+ * achievement is unlocked.
+ */
+export class LifetimeStats extends GamePlugin {
+  /**
+   * @brief LifetimeStats object constructor.
+   *
+   * @param storage Storage keeping the statistics.
+   * @param environment Optional object with the now() function returning
+   *        the current Date, the fruit catalog and the unlocked(achievement)
+   *        function called for every newly unlocked achievement, defaults to
+   *        the system time, scripts/data/fruits.js and nothing.
+   */
+  constructor(storage, environment = {}) {
+    super("stats");
+    this.storage = storage;
+    this.now = environment.now || (() => new Date());
+    this.catalog = environment.catalog || DefaultCatalog;
+    this.unlocked = environment.unlocked || (() => {});
+    this.data = this.read();
+  }
+
+  /**
+   * @brief Reads the statistics from the storage, unreadable data starts over.
+   */
+  read() {
+    const empty = { version: Version, gamesPlayed: 0, slices: {}, bombsHit: 0, misses: 0, bestCombo: 0, longestRun: 0, playTime: 0, achievements: {} };
+    try {
+      const data = JSON.parse(this.storage.getItem(StorageKey));
+      if (data === null || data.version !== Version || !CountFields.every((name) => isCount(data[name])) || !TimeFields.every((name) => Number.isFinite(data[name]))) {
+        return empty;
+      }
+      const slices = Object.fromEntries(Object.entries(data.slices || {}).filter(([, count]) => isCount(count)));
+      const achievements = Object.fromEntries(Object.entries(data.achievements || {}).filter(([id]) => Achievements.some((achievement) => achievement.id === id)));
+      return { ...empty, ...data, slices: slices, achievements: achievements };
+    } catch (error) {
+      return empty;
+    }
+  }
+
+  save() {
+    this.storage.setItem(StorageKey, JSON.stringify(this.data));
+  }
+
+  /**
+   * @brief Returns how many fruits of a kind were sliced.
+   *
+   * @param kind Fruit kind id.
+   */
+  slices(kind) {
+    return this.data.slices[kind] || 0;
+  }
+
+  /**
+   * @brief Returns how many fruits were sliced, every kind together.
+   */
+  totalSlices() {
+    return Object.values(this.data.slices).reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * @brief Returns the date an achievement was unlocked on.
+   *
+   * @param id Achievement id.
+   * @return ISO date string, null if it's still locked.
+   */
+  unlockedOn(id) {
+    return this.data.achievements[id] || null;
+  }
+
+  /**
+   * @brief Follows the events of a new game.
+   *
+   * A resumed run was already counted as played, its counters start over
+   * but for the misses, which the engine keeps.
+   *
+   * @param events Event bus of the game.
+   * @param engine Game engine.
+   */
+  attach(events, engine) {
+    // counters of the game, counted is the elapsed time already added to the play time
+    const run = { engine: engine, misses: 0, bombsHit: 0, bombsThrown: 0, counted: engine.elapsed };
+    events.on(GameEvent.StateChanged, ({ state, previous }) => {
+      if (state === GameState.Playing && previous === null) {
+        this.data.gamesPlayed++;
+        this.save();
+      } else if (state === GameState.Paused && previous === null) {
+        // a resumed run, its time until the save was already counted
+        run.counted = engine.elapsed;
+        run.misses = engine.missedFruits;
+      } else if (state === GameState.Paused) {
+        this.countTime(run);
+        this.check(run);
+        this.save();
+      }
+    });
+    events.on(GameEvent.FruitSpawned, ({ fruit }) => {
+      if (fruit.isBomb()) {
+        run.bombsThrown++;
+      }
+    });
+    events.on(GameEvent.FruitSliced, ({ fruit, kind }) => {
+      if (fruit.isFruit()) {
+        this.data.slices[kind] = this.slices(kind) + 1;
+      }
+    });
+    events.on(GameEvent.BombSliced, () => {
+      run.bombsHit++;
+      this.data.bombsHit++;
+    });
+    events.on(GameEvent.FruitMissed, () => {
+      run.misses++;
+      this.data.misses++;
+    });
+    events.on(GameEvent.SwipeEnded, ({ swipe }) => {
+      this.data.bestCombo = Math.max(this.data.bestCombo, swipe.fruits.length);
+      this.check(run);
+    });
+    events.on(GameEvent.ScoreChanged, () => this.check(run));
+    events.on(GameEvent.GameOver, () => {
+      this.countTime(run);
+      this.data.longestRun = Math.max(this.data.longestRun, engine.elapsed);
+      this.check(run);
+      this.save();
+    });
+  }
+
+  /**
+   * @brief Adds the time played since it was last counted.
+   *
+   * @param run Counters of a game.
+   */
+  countTime(run) {
+    this.data.playTime += run.engine.elapsed - run.counted;
+    run.counted = run.engine.elapsed;
+  }
+
+  /**
+   * @brief Unlocks the achievements earned so far.
+   *
+   * @param run Counters of a game.
+   */
+  check(run) {
+    const { engine } = run;
+    const progress = {
+      score: engine.currentScore,
+      bestCombo: engine.bestCombo,
+      elapsed: engine.elapsed,
+      misses: run.misses,
+      bombsHit: run.bombsHit,
+      bombsThrown: run.bombsThrown,
+      isOver: engine.isGameOver,
+    };
+    Achievements.filter((achievement) => !this.data.achievements[achievement.id] && achievement.unlocked(progress, this)).forEach((achievement) => {
+      this.data.achievements[achievement.id] = this.now().toISOString();
+      this.save();
+      this.unlocked(achievement);
+    });
+  }
+}
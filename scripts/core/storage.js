@@ -0,0 +1,22 @@
+/**
+ * @brief In-memory implementation of the Web Storage interface.
+ *
+ * Used when localStorage isn't available (tests, private browsing).
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
@@ -0,0 +1,219 @@
+import { GameEngine } from "./engine.js";
+import { GameEvent } from "./events.js";
+import { EffectKind } from "./effects.js";
+import { Point, Size } from "./geometry.js";
+import { gameMode } from "./modes.js";
+import { randomSeed } from "./random.js";
+import { worldSize } from "./viewport.js";
+
+/**
+ * @brief Attacks a player sends to the opponent by slicing a special fruit.
+ */
+export const VersusAttack = Object.freeze({
+  // a bomb is thrown on the opponent's board
+  Bomb: "bomb",
+  // the opponent's fruits fly faster for a while, see EffectKind.SpeedUp
+  SpeedUp: "speedUp",
+});
+
+// Attack sent by a special fruit, keyed by the effect it has in the other modes
+export const VersusAttacks = Object.freeze({
+  [EffectKind.Freeze]: VersusAttack.SpeedUp,
+  [EffectKind.Frenzy]: VersusAttack.Bomb,
+  [EffectKind.DoubleScore]: VersusAttack.Bomb,
+});
+
+/**
+ * @brief Returns the board size of each player of a versus match fitting a screen.
+ *
+ * The screen is split into a left and a right half.
+ *
+ * @param width Screen width in any unit.
+ * @param height Screen height in the same unit.
+ */
+export function versusBoardSize(width, height) {
+  return worldSize(width / 2, height);
+}
+
+/**
+ * @brief Head-to-head match of two players sharing a screen.
+ *
+ * Every player plays a game of their own on their half of the screen: an
+ * independent GameEngine in versus mode (see VersusMode) with its own board,
+ * score, chances and plugins. Both start with the same seed, so they get the
+ * same fruits until the attacks set them apart. The round is over as soon as
+ * a player runs out of chances.
+ *
+ * Blade input is given in scene coordinates, the boards standing side by
+ * side, player 1 on the left. A blade belongs to the half it's pressed on
+ * for as long as it's down.
+ */
+export class VersusMatch {
+  /**
+   * @brief VersusMatch object constructor.
+   *
+   * @param size Board size of each player, see versusBoardSize().
+   * @param plugins Array with the plugins of each player, see GamePlugin.
+   * @param environment Optional environment of the games, see GameEngine.
+   *        Runs of a match are never ranked.
+   */
+  constructor(size, plugins = [[], []], environment = {}) {
+    const seed = environment.seed !== undefined ? environment.seed : randomSeed();
+    this.mode = gameMode("versus");
+    this.players = plugins.map((playerPlugins, index) => {
+      const engine = new GameEngine(size, this.mode, playerPlugins, { ...environment, rng: undefined, seed: seed, ranked: false });
+      engine.events.on(GameEvent.FruitSliced, ({ fruit }) => {
+        if (fruit.isSpecial()) {
+          this.attack(1 - index, VersusAttacks[fruit.special]);
+        }
+      });
+      return engine;
+    });
+    this.playback = false;
+    // player owning each blade down, keyed by pointer id
+    this.owners = new Map();
+    // index of the winning player once the round is over, null for a draw
+    this.winner = null;
+  }
+
+  /**
+   * @brief Returns true once the round is started.
+   */
+  get isStarted() {
+    return this.players[0].isStarted;
+  }
+
+  /**
+   * @brief Returns true once the round is over.
+   */
+  get isGameOver() {
+    return this.players.every((engine) => engine.isGameOver);
+  }
+
+  /**
+   * @brief Returns the boards of the players, from left to right.
+   */
+  boards() {
+    return this.players.map((engine) => engine.board);
+  }
+
+  /**
+   * @brief Returns the size of the whole scene, both boards side by side.
+   */
+  size() {
+    const board = this.players[0].board.size;
+    return new Size(board.width * this.players.length, board.height);
+  }
+
+  /**
+   * @brief Sends an attack to a player.
+   *
+   * @param player Index of the attacked player.
+   * @param attack Attack, see VersusAttack.
+   */
+  attack(player, attack) {
+    const engine = this.players[player];
+    if (engine.isGameOver) {
+      return;
+    }
+
+    if (attack === VersusAttack.Bomb) {
+      engine.board.generateBomb(engine.gravity);
+    } else {
+      engine.activateEffect(EffectKind.SpeedUp);
+    }
+  }
+
+  start() {
+    this.players.forEach((engine) => engine.start());
+  }
+
+  /**
+   * @brief Advances both games by one physics step, the round ends with the first player out.
+   *
+   * The player left wins, if both run out of chances in the same step the
+   * better score does.
+   *
+   * @param dt Time step in seconds.
+   */
+  update(dt) {
+    if (this.isGameOver) {
+      return;
+    }
+
+    this.players.forEach((engine) => engine.update(dt));
+    const out = this.players.map((engine) => engine.isGameOver);
+    if (!out.includes(true)) {
+      return;
+    }
+
+    const scores = this.players.map((engine) => engine.currentScore);
+    if (out.every(Boolean)) {
+      this.winner = scores[0] === scores[1] ? null : scores[0] > scores[1] ? 0 : 1;
+    } else {
+      this.winner = out.indexOf(false);
+    }
+    this.players.forEach((engine) => engine.gameOver());
+  }
+
+  pause() {
+    this.players.forEach((engine) => engine.pause());
+  }
+
+  resume() {
+    this.players.forEach((engine) => engine.resume());
+  }
+
+  /**
+   * @brief Fits both games to a new board size, see GameEngine.resize().
+   *
+   * @param size New board size of each player.
+   */
+  resize(size) {
+    this.players.forEach((engine) => engine.resize(size));
+  }
+
+  /**
+   * @brief Unsubscribes the plugins of both games, the match is replaced.
+   */
+  dispose() {
+    this.players.forEach((engine) => engine.dispose());
+  }
+
+  /**
+   * @brief Converts a scene position into a position on the board of a player.
+   */
+  boardPosition(player, position) {
+    return new Point(position.x - player * this.players[0].board.size.width, position.y);
+  }
+
+  /**
+   * @brief Handles a blade being pressed, it belongs to the half it's pressed on.
+   */
+  pressBlade(id, position) {
+    const player = position.x < this.players[0].board.size.width ? 0 : 1;
+    this.owners.set(id, player);
+    this.players[player].pressBlade(id, this.boardPosition(player, position));
+  }
+
+  /**
+   * @brief Handles a blade being moved, it keeps cutting on its own board.
+   */
+  moveBlade(id, position) {
+    const player = this.owners.get(id);
+    if (player !== undefined) {
+      this.players[player].moveBlade(id, this.boardPosition(player, position));
+    }
+  }
+
+  /**
+   * @brief Handles a blade being released.
+   */
+  releaseBlade(id) {
+    const player = this.owners.get(id);
+    if (player !== undefined) {
+      this.owners.delete(id);
+      this.players[player].releaseBlade(id);
+    }
+  }
+}
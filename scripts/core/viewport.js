@@ -0,0 +1,68 @@
+import { Point, Size } from "./geometry.js";
+
+// The shorter side of the board is 800 world units on every screen
+export const WorldShortSide = 800;
+// and the longer one at most twice as long, wider screens are letterboxed
+const MaxAspectRatio = 2;
+
+/**
+ * @brief Returns the board size fitting a screen.
+ *
+ * Boards are measured in world units, not in screen pixels: fruits have the
+ * same size relative to the shorter side of the board and fly for the same
+ * time whether the screen is small or big, held in portrait or in landscape.
+ *
+ * @param width Screen width in any unit.
+ * @param height Screen height in the same unit.
+ * @return Board size in whole world units.
+ */
+export function worldSize(width, height) {
+  const ratio = Math.min(Math.max(width, height) / Math.min(width, height), MaxAspectRatio);
+  const longSide = Math.round(WorldShortSide * ratio);
+  return width >= height ? new Size(longSide, WorldShortSide) : new Size(WorldShortSide, longSide);
+}
+
+/**
+ * @brief Maps a board in world units onto a screen.
+ *
+ * The whole board is shown centered on the screen and keeps its aspect
+ * ratio, the remaining stripes are letterboxed.
+ */
+export class Viewport {
+  /**
+   * @brief Viewport object constructor.
+   *
+   * @param world Size of the board in world units.
+   * @param screen Size of the screen in CSS pixels.
+   * @param pixelRatio Optional device pixels per CSS pixel.
+   */
+  constructor(world, screen, pixelRatio = 1) {
+    this.world = world;
+    this.screen = screen;
+    this.pixelRatio = pixelRatio;
+    // CSS pixels per world unit
+    this.scale = Math.min(screen.width / world.width, screen.height / world.height);
+    // top left corner of the board on the screen, in CSS pixels
+    this.offset = new Point((screen.width - world.width * this.scale) / 2, (screen.height - world.height * this.scale) / 2);
+  }
+
+  /**
+   * @brief Converts a screen position into a board position.
+   *
+   * @param x Horizontal position in CSS pixels.
+   * @param y Vertical position in CSS pixels.
+   * @return Position in world units.
+   */
+  toWorld(x, y) {
+    return new Point((x - this.offset.x) / this.scale, (y - this.offset.y) / this.scale);
+  }
+
+  /**
+   * @brief Returns the viewport of another board on the same screen.
+   *
+   * @param world Size of the board in world units.
+   */
+  withWorld(world) {
+    return new Viewport(world, this.screen, this.pixelRatio);
+  }
+}
@@ -0,0 +1,291 @@
+import { DefaultCatalog } from "./catalog.js";
+import { SpecialEffects } from "./effects.js";
+import { Difficulty } from "./difficulty.js";
+
+// Version of the wave file format
+export const WaveFileVersion = 1;
+// Spawns due within this time of each other are launched in the same step
+const TimeEpsilon = 1e-6;
+// A bomb following a fruit keeps 0.3 sec behind it at least, so the fruit can be cut first
+const MinFollowDelay = 0.3;
+
+/**
+ * @brief Patterns a wave can use instead of listing every spawn.
+ */
+export const WavePattern = Object.freeze({
+  // fruits thrown one after another, their apexes trace an arch
+  Arc: "arc",
+  // fruits thrown together from one spot, fanning out
+  Volley: "volley",
+  // a row of bombs thrown together, optionally with a fruit in a gap
+  BombWall: "bombWall",
+  // a bomb following a fruit on the same path
+  FruitBehindBomb: "fruitBehindBomb",
+});
+
+// Catalog ids usable as a spawn kind besides "fruit" and "bomb", e.g. "apple"
+const KindIds = DefaultCatalog.kinds.map((kind) => kind.id).filter((id) => id !== "bomb");
+
+/**
+ * @brief Returns true if a spawn kind is valid: "fruit" (any fruit), "bomb" (any bomb) or a catalog id.
+ */
+function isKind(kind) {
+  return kind === "fruit" || kind === "bomb" || (typeof kind === "string" && DefaultCatalog.has(kind));
+}
+
+/**
+ * @brief Returns true if a value is a number in [0, 1].
+ */
+function isFraction(value) {
+  return Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+// Checks of the spawn and pattern fields, every check returns an error message or null
+const FieldChecks = {
+  time: (value) => (Number.isFinite(value) && value >= 0 ? null : "has to be a number of seconds >= 0"),
+  kind: (value) => (isKind(value) ? null : `has to be "fruit", "bomb" or one of ${KindIds.join(", ")}`),
+  special: (value) => (SpecialEffects.includes(value) ? null : `has to be one of ${SpecialEffects.join(", ")}`),
+  x: (value) => (isFraction(value) ? null : "has to be a fraction of the board width in [0, 1]"),
+  apex: (value) => (Array.isArray(value) && value.length === 2 && isFraction(value[0]) && isFraction(value[1]) && value[1] < 1 ? null : "has to be [x, y] fractions of the board above its bottom"),
+  apexHeight: (value) => (isFraction(value) && value < 1 ? null : "has to be a fraction of the board height above its bottom"),
+  flightTime: (value) => (Number.isFinite(value) && value > 0 ? null : "has to be a positive number of seconds"),
+  count: (value) => (Number.isInteger(value) && value >= 1 ? null : "has to be a whole number >= 1"),
+  from: (value) => (isFraction(value) ? null : "has to be a fraction of the board width in [0, 1]"),
+  to: (value) => (isFraction(value) ? null : "has to be a fraction of the board width in [0, 1]"),
+  spread: (value) => (isFraction(value) ? null : "has to be a fraction of the board width in [0, 1]"),
+  interval: (value) => (Number.isFinite(value) && value >= 0 ? null : "has to be a number of seconds >= 0"),
+  depth: (value) => (isFraction(value) ? null : "has to be a fraction of the board height in [0, 1]"),
+  delay: (value) => (Number.isFinite(value) && value >= MinFollowDelay ? null : `has to be a number of seconds >= ${MinFollowDelay}`),
+  gap: (value) => (Number.isInteger(value) && value >= 0 ? null : "has to be the index of a bomb"),
+};
+
+// Required and optional fields of a plain spawn and of every pattern
+const SpawnFields = { required: ["time", "x", "apex", "flightTime"], optional: ["kind", "special"] };
+const PatternFields = {
+  [WavePattern.Arc]: { required: ["time", "count", "from", "to", "interval", "apexHeight", "flightTime"], optional: ["kind", "depth"] },
+  [WavePattern.Volley]: { required: ["time", "count", "x", "spread", "apexHeight", "flightTime"], optional: ["kind"] },
+  [WavePattern.BombWall]: { required: ["time", "count", "from", "to", "apexHeight", "flightTime"], optional: ["gap"] },
+  [WavePattern.FruitBehindBomb]: { required: ["time", "x", "apex", "flightTime"], optional: ["kind", "delay"] },
+};
+
+/**
+ * @brief Returns the spots of count objects spread evenly over [from, to].
+ */
+function spread(count, from, to) {
+  return Array.from({ length: count }, (_, i) => (count === 1 ? (from + to) / 2 : from + ((to - from) * i) / (count - 1)));
+}
+
+/**
+ * @brief Turns a pattern into plain spawns.
+ *
+ * @param entry Spawn or pattern of a wave.
+ * @return Array of plain spawns: { time, kind, special, x, apex, flightTime }.
+ */
+function expandEntry(entry) {
+  const kind = entry.kind || "fruit";
+  switch (entry.pattern) {
+    case WavePattern.Arc: {
+      const depth = entry.depth !== undefined ? entry.depth : 0.2;
+      return spread(entry.count, entry.from, entry.to).map((x, i) => {
+        const along = entry.count === 1 ? 0.5 : i / (entry.count - 1);
+        // the middle fruit flies highest, the outer ones depth lower
+        const apexY = Math.min(entry.apexHeight + depth * (1 - Math.sin(Math.PI * along)), 0.95);
+        return { time: entry.time + i * entry.interval, kind: kind, special: null, x: x, apex: [x, apexY], flightTime: entry.flightTime };
+      });
+    }
+    case WavePattern.Volley: {
+      const from = Math.max(entry.x - entry.spread / 2, 0);
+      const to = Math.min(entry.x + entry.spread / 2, 1);
+      return spread(entry.count, from, to).map((apexX) => ({ time: entry.time, kind: kind, special: null, x: entry.x, apex: [apexX, entry.apexHeight], flightTime: entry.flightTime }));
+    }
+    case WavePattern.BombWall:
+      return spread(entry.count, entry.from, entry.to).map((x, i) => ({
+        time: entry.time,
+        kind: i === entry.gap ? "fruit" : "bomb",
+        special: null,
+        x: x,
+        apex: [x, entry.apexHeight],
+        flightTime: entry.flightTime,
+      }));
+    case WavePattern.FruitBehindBomb: {
+      // the bomb is thrown a moment later, it's drawn over the fruit but leaves time to cut it
+      const delay = entry.delay !== undefined ? entry.delay : 0.4;
+      const path = { x: entry.x, apex: entry.apex, flightTime: entry.flightTime };
+      return [
+        { ...path, time: entry.time, kind: kind, special: null },
+        { ...path, time: entry.time + delay, kind: "bomb", special: null },
+      ];
+    }
+    default:
+      return [{ time: entry.time, kind: kind, special: entry.special || null, x: entry.x, apex: entry.apex, flightTime: entry.flightTime }];
+  }
+}
+
+/**
+ * @brief Scripted set-pieces thrown between waves of random fruits.
+ *
+ * Wave files are JSON:
+ *
+ *   { "version": 1, "fillerWaves": [min, max], "waves": [{ "name", "spawns": [...] }] }
+ *
+ * fillerWaves is the range of random waves thrown between two set-pieces.
+ * A spawn is { "time", "kind", "special", "x", "apex", "flightTime" }: time in
+ * seconds from the start of the wave, kind "fruit" for any fruit, "bomb" for
+ * any bomb or the id of a kind in the fruit catalog like "apple", an optional special effect kind, x the launch
+ * spot at the bottom of the board, apex [x, y] the highest point of the
+ * flight and flightTime the seconds until the object is back at the bottom.
+ * Positions are fractions of the board size, so a wave fits any screen.
+ *
+ * A pattern has a "pattern" name (see WavePattern) and the fields listed in
+ * PatternFields, apexHeight being the y of the apexes.
+ */
+export class WaveScript {
+  /**
+   * @brief Checks a wave file.
+   *
+   * @param data Parsed wave file.
+   * @return Array of messages, one per problem found, empty if the file is valid.
+   */
+  static validate(data) {
+    if (data === null || typeof data !== "object") {
+      return ["the file has to be an object"];
+    }
+
+    const errors = [];
+    if (data.version !== WaveFileVersion) {
+      errors.push(`version has to be ${WaveFileVersion}`);
+    }
+    const filler = data.fillerWaves;
+    if (!Array.isArray(filler) || filler.length !== 2 || !filler.every(Number.isInteger) || filler[0] < 0 || filler[0] > filler[1]) {
+      errors.push("fillerWaves has to be a [min, max] range of whole numbers with 0 <= min <= max");
+    }
+    if (!Array.isArray(data.waves) || data.waves.length === 0) {
+      errors.push("waves has to be a non-empty array");
+      return errors;
+    }
+
+    data.waves.forEach((wave, waveIndex) => {
+      const where = `waves[${waveIndex}]${wave && typeof wave.name === "string" ? ` "${wave.name}"` : ""}`;
+      if (wave === null || typeof wave !== "object" || typeof wave.name !== "string" || wave.name === "") {
+        errors.push(`${where}: name has to be a non-empty string`);
+      }
+      if (!wave || !Array.isArray(wave.spawns) || wave.spawns.length === 0) {
+        errors.push(`${where}: spawns has to be a non-empty array`);
+        return;
+      }
+
+      wave.spawns.forEach((entry, entryIndex) => {
+        const at = `${where} spawns[${entryIndex}]`;
+        if (entry === null || typeof entry !== "object") {
+          errors.push(`${at}: has to be an object`);
+          return;
+        }
+        const fields = entry.pattern === undefined ? SpawnFields : PatternFields[entry.pattern];
+        if (!fields) {
+          errors.push(`${at}: unknown pattern "${entry.pattern}", use one of ${Object.values(WavePattern).join(", ")}`);
+          return;
+        }
+        fields.required.forEach((name) => {
+          if (entry[name] === undefined) {
+            errors.push(`${at}: ${name} is missing`);
+          }
+        });
+        Object.keys(entry).forEach((name) => {
+          if (name === "pattern") {
+            return;
+          }
+          if (!fields.required.includes(name) && !fields.optional.includes(name)) {
+            errors.push(`${at}: unknown field ${name}`);
+            return;
+          }
+          const error = FieldChecks[name](entry[name]);
+          if (error) {
+            errors.push(`${at}: ${name} ${error}`);
+          }
+        });
+        if (entry.pattern === WavePattern.BombWall && Number.isInteger(entry.gap) && entry.gap >= entry.count) {
+          errors.push(`${at}: gap has to be the index of a bomb`);
+        }
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * @brief WaveScript object constructor.
+   *
+   * @param data Parsed wave file.
+   * @param source Optional name of the file, used in the error message.
+   * @throws Error listing every problem of an invalid file.
+   */
+  constructor(data, source = "wave file") {
+    const errors = WaveScript.validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${source}: ${errors.join("; ")}`);
+    }
+
+    this.fillerWaves = data.fillerWaves;
+    // waves with their patterns expanded into spawns ordered by time
+    this.waves = data.waves.map((wave) => ({
+      name: wave.name,
+      spawns: wave.spawns.flatMap(expandEntry).sort((a, b) => a.time - b.time),
+    }));
+  }
+
+  /**
+   * @brief Picks the number of random waves until the next set-piece.
+   *
+   * @param rng Random number generator.
+   */
+  fillerCount(rng) {
+    return Difficulty.pick(this.fillerWaves, rng);
+  }
+
+  /**
+   * @brief Picks a set-piece.
+   *
+   * @param rng Random number generator.
+   */
+  pick(rng) {
+    return this.waves[Math.floor(rng() * this.waves.length)];
+  }
+}
+
+/**
+ * @brief Plays the spawns of a set-piece as time goes by.
+ */
+export class WavePlayback {
+  /**
+   * @brief WavePlayback object constructor.
+   *
+   * @param wave Wave of a WaveScript.
+   */
+  constructor(wave) {
+    this.wave = wave;
+    this.time = 0;
+    this.next = 0;
+  }
+
+  /**
+   * @brief Advances the wave.
+   *
+   * @param dt Time step in seconds.
+   * @return Array of the spawns due.
+   */
+  update(dt) {
+    this.time += dt;
+    const due = [];
+    const spawns = this.wave.spawns;
+    while (this.next < spawns.length && spawns[this.next].time <= this.time + TimeEpsilon) {
+      due.push(spawns[this.next++]);
+    }
+    return due;
+  }
+
+  /**
+   * @brief Returns true once every spawn was launched.
+   */
+  isDone() {
+    return this.next >= this.wave.spawns.length;
+  }
+}
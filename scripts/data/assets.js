@@ -0,0 +1,21 @@
+import { DefaultCatalog } from "../core/catalog.js";
+
+/**
+ * @brief Assets loaded before the start button is enabled.
+ *
+ * - images: image paths drawn as they are or shown by the page.
+ * - sprites: image paths packed into the sprite atlas, every thrown object
+ *   has to be here.
+ * - sounds: sounds keyed by name.
+ * - data: JSON files keyed by name, e.g. the set-pieces of the waves.
+ */
+export const AssetManifest = {
+  images: ["images/background.jpg", "images/image.png", "images/black_background_game_over_hd_game_over.jpg", "images/x.png", "images/xx.png", "images/xxx.png"],
+  sprites: DefaultCatalog.sprites(),
+  sounds: {
+    slice: { path: "audio/Slice.wav" },
+  },
+  data: {
+    waves: { path: "waves/set-pieces.json" },
+  },
+};
@@ -0,0 +1,20 @@
+/**
+ * @brief Difficulty schedule of a game.
+ *
+ * Tuning data only, the engine reads it through Difficulty (see
+ * scripts/core/difficulty.js). Every keyframe is reached after time seconds
+ * of play or at score points, whichever comes first. Values between two
+ * keyframes are interpolated, the last keyframe is the cap.
+ *
+ * - spawnInterval: seconds between two waves of fruits.
+ * - fruitsPerWave: [min, max] fruits thrown in a wave.
+ * - flyingInterval: seconds a thrown fruit stays in the air, lower is faster.
+ * - bombRatio: bombs thrown per fruit on average.
+ * - bombsPerWave: [min, max] bombs thrown together once a bomb is due.
+ */
+export const DifficultySchedule = [
+  { time: 0, score: 0, spawnInterval: 3, fruitsPerWave: [1, 3], flyingInterval: 6, bombRatio: 0.18, bombsPerWave: [1, 1] },
+  { time: 45, score: 400, spawnInterval: 2.6, fruitsPerWave: [1, 4], flyingInterval: 5.5, bombRatio: 0.2, bombsPerWave: [1, 1] },
+  { time: 120, score: 1200, spawnInterval: 2.2, fruitsPerWave: [2, 5], flyingInterval: 5, bombRatio: 0.22, bombsPerWave: [1, 2] },
+  { time: 240, score: 3000, spawnInterval: 1.8, fruitsPerWave: [2, 6], flyingInterval: 4.4, bombRatio: 0.25, bombsPerWave: [1, 3] },
+];
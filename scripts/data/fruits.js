@@ -0,0 +1,34 @@
+/**
+ * @brief Fruit catalog: every kind of fruit and bomb thrown at the player.
+ *
+ * Tuning data only, the game reads it through FruitCatalog (see
+ * scripts/core/catalog.js). Adding a fruit only takes an entry here and its
+ * image under images/.
+ *
+ * - id: name of the kind, also used by the wave files.
+ * - sprites: images of a whole fruit, one of them is picked at random.
+ * - size: [width, height] displayed on the board, in world units (see
+ *   scripts/core/viewport.js).
+ * - hitRadius: radius of the hit circle relative to the smaller side of the
+ *   size, transparent corners don't count.
+ * - juiceColor: color of the juice splashed by a slice, null for none.
+ * - points: points earned by slicing it.
+ * - weight: how often it's picked among the fruits (or the bombs), relative
+ *   to the other weights.
+ * - bomb: null for a fruit, the type of a bomb (see BombType in
+ *   scripts/core/bombs.js) for a bomb.
+ * - special: true if it can be thrown as a special fruit triggering an effect.
+ */
+export const FruitEntries = [
+  { id: "apple", sprites: ["images/apple.png"], size: [90, 90], hitRadius: 0.4, juiceColor: "#d62b2b", points: 10, weight: 10, bomb: null, special: true },
+  { id: "banana", sprites: ["images/banana.png"], size: [100, 90], hitRadius: 0.4, juiceColor: "#ffe14d", points: 10, weight: 8, bomb: null, special: true },
+  { id: "cherry", sprites: ["images/cherry.png"], size: [70, 70], hitRadius: 0.38, juiceColor: "#a3001b", points: 25, weight: 4, bomb: null, special: true },
+  { id: "coconut", sprites: ["images/coconut.png"], size: [95, 95], hitRadius: 0.42, juiceColor: "#f4f1ea", points: 15, weight: 5, bomb: null, special: true },
+  { id: "grapes", sprites: ["images/grapes.png"], size: [85, 85], hitRadius: 0.4, juiceColor: "#7b3fa0", points: 15, weight: 6, bomb: null, special: true },
+  { id: "mango", sprites: ["images/mango.png"], size: [90, 90], hitRadius: 0.4, juiceColor: "#ffa41b", points: 10, weight: 8, bomb: null, special: true },
+  { id: "pear", sprites: ["images/pear.png"], size: [85, 95], hitRadius: 0.4, juiceColor: "#c8d94a", points: 10, weight: 8, bomb: null, special: true },
+  { id: "pineapple", sprites: ["images/pineapple.png"], size: [110, 110], hitRadius: 0.42, juiceColor: "#ffd23f", points: 5, weight: 6, bomb: null, special: true },
+  { id: "bomb", sprites: ["images/bomb.png"], size: [90, 90], hitRadius: 0.4, juiceColor: null, points: 0, weight: 6, bomb: "classic", special: false },
+  { id: "penaltyBomb", sprites: ["images/bomb.png"], size: [80, 80], hitRadius: 0.4, juiceColor: null, points: 0, weight: 3, bomb: "penalty", special: false },
+  { id: "fuseBomb", sprites: ["images/bomb.png"], size: [100, 100], hitRadius: 0.4, juiceColor: null, points: 0, weight: 2, bomb: "fuse", special: false },
+];
@@ -0,0 +1,32 @@
+/**
+ * @brief Sound sets keyed by game event.
+ *
+ * Every play picks one variant of a set at random. A variant is either
+ * { sound } naming a sound of the asset manifest, or a synthesized sweep
+ * { wave, from, to, duration }: wave is an oscillator type ("sine",
+ * "square", "sawtooth", "triangle") or "noise" (white noise through a low-pass
+ * filter), from and to are frequencies in Hz, duration is in seconds.
+ *
+ * - volume: loudness of the set relative to the effects volume.
+ * - pitch: [min, max] range of the random playback rate.
+ */
+export const SoundSets = {
+  slice: { volume: 0.8, pitch: [0.9, 1.15], variants: [{ sound: "slice" }] },
+  combo: {
+    volume: 0.4,
+    pitch: [1, 1.1],
+    variants: [
+      { wave: "triangle", from: 660, to: 1320, duration: 0.25 },
+      { wave: "triangle", from: 880, to: 1760, duration: 0.2 },
+    ],
+  },
+  miss: { volume: 0.4, pitch: [0.95, 1.05], variants: [{ wave: "sawtooth", from: 220, to: 90, duration: 0.3 }] },
+  bombFuse: { volume: 0.25, pitch: [0.9, 1.1], variants: [{ wave: "noise", from: 6000, to: 3000, duration: 0.6 }] },
+  penaltyBomb: { volume: 0.3, pitch: [0.95, 1.05], variants: [{ wave: "square", from: 520, to: 390, duration: 0.3 }] },
+  fuseBomb: { volume: 0.3, pitch: [0.95, 1.05], variants: [{ wave: "noise", from: 9000, to: 7000, duration: 1.2 }] },
+  defuse: { volume: 0.5, pitch: [1, 1.1], variants: [{ wave: "sine", from: 1200, to: 300, duration: 0.25 }] },
+  explosion: { volume: 1, pitch: [0.9, 1], variants: [{ wave: "noise", from: 1200, to: 40, duration: 1.2 }] },
+  penaltyExplosion: { volume: 0.7, pitch: [1.1, 1.25], variants: [{ wave: "noise", from: 2000, to: 120, duration: 0.5 }] },
+  blast: { volume: 0.9, pitch: [0.8, 0.9], variants: [{ wave: "noise", from: 800, to: 30, duration: 1.5 }] },
+  gameOver: { volume: 0.5, pitch: [1, 1], variants: [{ wave: "triangle", from: 440, to: 110, duration: 0.9 }] },
+};
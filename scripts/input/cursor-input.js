@@ -0,0 +1,289 @@
+import { Point } from "../core/geometry.js";
+
+// The cursor crosses 800 world units, the short side of a board, in a second
+const CursorSpeed = 800;
+// A slash cuts 300 world units through the cursor within 100 msec of game time
+const SlashLength = 300;
+const SlashDuration = 0.1;
+// Blade id of the cursor, pointer ids are numbers
+const CursorBladeId = "cursor";
+// Keys steering the cursor by KeyboardEvent.code, so WASD stays in place on any layout
+const SteeringKeys = Object.freeze({
+  ArrowUp: [0, -1],
+  KeyW: [0, -1],
+  ArrowDown: [0, 1],
+  KeyS: [0, 1],
+  ArrowLeft: [-1, 0],
+  KeyA: [-1, 0],
+  ArrowRight: [1, 0],
+  KeyD: [1, 0],
+});
+const SlashKeys = ["Space", "Enter"];
+const TapKeys = ["KeyE", "ShiftLeft", "ShiftRight"];
+// Stick deflections under 25% are ignored, sticks rarely rest at exactly 0
+const StickDeadZone = 0.25;
+// Standard gamepad mapping: A, the shoulder buttons and the triggers slash, B and X tap, the d-pad steers
+const GamepadSlashButtons = [0, 4, 5, 6, 7];
+const GamepadTapButtons = [1, 2];
+const GamepadDirections = Object.freeze({ 12: [0, -1], 13: [0, 1], 14: [-1, 0], 15: [1, 0] });
+
+/**
+ * @brief Turns keyboard and gamepad input into blade movements.
+ *
+ * A cursor is steered over the board with the arrow keys, WASD, the left
+ * stick or the d-pad of a gamepad. The slash button cuts through the cursor
+ * along the direction it was last steered in, the tap button touches the
+ * board under the cursor, e.g. to put out a fuse bomb. The target is any
+ * object with pressBlade(), moveBlade() and releaseBlade() methods, e.g.
+ * GameEngine.
+ *
+ * Gamepads can't be listened to, they're polled on every update().
+ */
+export class CursorInput {
+  /**
+   * @brief CursorInput object constructor.
+   *
+   * @param environment Optional object with the keyboard (event target of
+   *        the key events) and the gamepads() function returning the
+   *        connected gamepads, defaults to the document and the Gamepad API.
+   */
+  constructor(environment = {}) {
+    this.keyboard = environment.keyboard || document;
+    this.gamepads = environment.gamepads || (() => (navigator.getGamepads ? [...navigator.getGamepads()] : []));
+    // input is only sent while the cursor is picked as blade control
+    this.enabled = false;
+    // viewport of the board on the canvas, bounds the cursor
+    this.viewport = null;
+    this.target = null;
+    // cursor position on the board and the direction it was last steered in
+    this.position = null;
+    this.direction = new Point(1, 0);
+    // steering keys held down
+    this.keys = new Set();
+    this.slashRequested = false;
+    this.tapRequested = false;
+    // true while a gamepad slash or tap button is held, they need a new press
+    this.slashHeld = false;
+    this.tapHeld = false;
+    // slash in progress, { from, to, progress } with progress in [0, 1]
+    this.slash = null;
+
+    // key listeners are kept so that detach() can remove them
+    this.keyListeners = {
+      keydown: (event) => this.processKeyDown(event),
+      keyup: (event) => this.processKeyUp(event),
+    };
+  }
+
+  /**
+   * @brief Turns the cursor on or off, input stops at once when it's turned off.
+   *
+   * @param enabled True if the cursor is the blade control.
+   */
+  setEnabled(enabled) {
+    if (!enabled) {
+      this.detach();
+    }
+    this.enabled = enabled;
+  }
+
+  /**
+   * @brief Changes the board the cursor moves on, see Viewport.
+   *
+   * @param viewport Viewport of the board on the canvas.
+   */
+  setViewport(viewport) {
+    this.viewport = viewport;
+    this.position = this.position ? this.clamp(this.position) : new Point(viewport.world.width / 2, viewport.world.height / 2);
+  }
+
+  /**
+   * @brief Returns true while the cursor sends blade movements.
+   */
+  isActive() {
+    return this.target !== null;
+  }
+
+  /**
+   * @brief Starts sending blade movements to a target, unless the cursor is off.
+   *
+   * @param target Object receiving blade movements.
+   */
+  attach(target) {
+    this.detach();
+    if (!this.enabled) {
+      return;
+    }
+
+    this.target = target;
+    // a button still held from the menu doesn't slash or tap
+    this.slashHeld = true;
+    this.tapHeld = true;
+    Object.entries(this.keyListeners).forEach(([type, listener]) => {
+      this.keyboard.addEventListener(type, listener);
+    });
+  }
+
+  /**
+   * @brief Stops sending blade movements, a slash in progress is released.
+   */
+  detach() {
+    Object.entries(this.keyListeners).forEach(([type, listener]) => {
+      this.keyboard.removeEventListener(type, listener);
+    });
+    if (this.target && this.slash) {
+      this.target.releaseBlade(CursorBladeId);
+    }
+    this.slash = null;
+    this.slashRequested = false;
+    this.tapRequested = false;
+    this.keys.clear();
+    this.target = null;
+  }
+
+  processKeyDown(event) {
+    if (SteeringKeys[event.code]) {
+      event.preventDefault();
+      this.keys.add(event.code);
+    } else if (SlashKeys.includes(event.code)) {
+      event.preventDefault();
+      this.slashRequested = this.slashRequested || !event.repeat;
+    } else if (TapKeys.includes(event.code)) {
+      event.preventDefault();
+      this.tapRequested = this.tapRequested || !event.repeat;
+    }
+  }
+
+  processKeyUp(event) {
+    this.keys.delete(event.code);
+  }
+
+  /**
+   * @brief Moves the cursor and a slash in progress.
+   *
+   * Called for every physics step, so the cursor follows the game speed.
+   *
+   * @param dt Time step in seconds.
+   */
+  update(dt) {
+    if (!this.target) {
+      return;
+    }
+
+    const steering = this.steering();
+    const length = Math.hypot(steering.x, steering.y);
+    if (length > 0) {
+      this.direction = new Point(steering.x / length, steering.y / length);
+      this.position = this.clamp(new Point(this.position.x + steering.x * CursorSpeed * dt, this.position.y + steering.y * CursorSpeed * dt));
+    }
+    if (this.tapRequested) {
+      this.tapRequested = false;
+      this.tap();
+    }
+    if (this.slashRequested) {
+      this.slashRequested = false;
+      this.startSlash();
+    }
+    if (this.slash) {
+      this.advanceSlash(dt);
+    }
+  }
+
+  /**
+   * @brief Combines the held keys and the gamepads into a steering vector, a gamepad slash or tap is requested here.
+   *
+   * @return Steering as a Point no longer than 1.
+   */
+  steering() {
+    let x = 0;
+    let y = 0;
+    this.keys.forEach((code) => {
+      x += SteeringKeys[code][0];
+      y += SteeringKeys[code][1];
+    });
+
+    let slashHeld = false;
+    let tapHeld = false;
+    this.gamepads().forEach((gamepad) => {
+      if (!gamepad) {
+        return;
+      }
+      const [stickX = 0, stickY = 0] = gamepad.axes;
+      if (Math.hypot(stickX, stickY) > StickDeadZone) {
+        x += stickX;
+        y += stickY;
+      }
+      Object.entries(GamepadDirections).forEach(([button, [dx, dy]]) => {
+        if (gamepad.buttons[button] && gamepad.buttons[button].pressed) {
+          x += dx;
+          y += dy;
+        }
+      });
+      const held = (buttons) => buttons.some((button) => gamepad.buttons[button] && gamepad.buttons[button].pressed);
+      slashHeld = slashHeld || held(GamepadSlashButtons);
+      tapHeld = tapHeld || held(GamepadTapButtons);
+    });
+    if (slashHeld && !this.slashHeld) {
+      this.slashRequested = true;
+    }
+    if (tapHeld && !this.tapHeld) {
+      this.tapRequested = true;
+    }
+    this.slashHeld = slashHeld;
+    this.tapHeld = tapHeld;
+
+    const length = Math.hypot(x, y);
+    return length > 1 ? new Point(x / length, y / length) : new Point(x, y);
+  }
+
+  /**
+   * @brief Presses and releases the blade at the cursor without moving it, a slash in progress isn't cut short.
+   */
+  tap() {
+    if (this.slash) {
+      return;
+    }
+
+    this.target.pressBlade(CursorBladeId, this.position);
+    this.target.releaseBlade(CursorBladeId);
+  }
+
+  /**
+   * @brief Presses the blade for a slash through the cursor, one slash at a time.
+   */
+  startSlash() {
+    if (this.slash) {
+      return;
+    }
+
+    const half = new Point((this.direction.x * SlashLength) / 2, (this.direction.y * SlashLength) / 2);
+    const from = new Point(this.position.x - half.x, this.position.y - half.y);
+    const to = new Point(this.position.x + half.x, this.position.y + half.y);
+    this.slash = { from: from, to: to, progress: 0 };
+    this.target.pressBlade(CursorBladeId, from);
+  }
+
+  /**
+   * @brief Moves the blade of a slash, it's released at the end of the slash.
+   *
+   * @param dt Time step in seconds.
+   */
+  advanceSlash(dt) {
+    const { from, to } = this.slash;
+    this.slash.progress = Math.min(this.slash.progress + dt / SlashDuration, 1);
+    const progress = this.slash.progress;
+    this.target.moveBlade(CursorBladeId, new Point(from.x + (to.x - from.x) * progress, from.y + (to.y - from.y) * progress));
+    if (progress === 1) {
+      this.target.releaseBlade(CursorBladeId);
+      this.slash = null;
+    }
+  }
+
+  /**
+   * @brief Keeps a position on the board.
+   */
+  clamp(position) {
+    const { width, height } = this.viewport.world;
+    return new Point(Math.min(Math.max(position.x, 0), width), Math.min(Math.max(position.y, 0), height));
+  }
+}
@@ -0,0 +1,125 @@
+import { Point } from "../core/geometry.js";
+
+/**
+ * @brief Turns canvas pointer events into blade movements.
+ *
+ * Works with mouse, pen and multi-touch input, every pointer drives its own
+ * blade. The target is any object with pressBlade(), moveBlade() and
+ * releaseBlade() methods, e.g. GameEngine.
+ */
+export class PointerInput {
+  /**
+   * @brief PointerInput object constructor.
+   *
+   * @param canvas Canvas element receiving pointer events.
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    // viewport of the board on the canvas, null while the canvas has the board size
+    this.viewport = null;
+    this.target = null;
+    // pointers currently driving a blade
+    this.activePointers = new Set();
+
+    // pointer listeners are kept so that detach() can remove them
+    this.pointerListeners = {
+      pointerdown: (event) => this.processPointerDown(event),
+      pointermove: (event) => this.processPointerMove(event),
+      pointerup: (event) => this.processPointerUp(event),
+      pointercancel: (event) => this.processPointerUp(event),
+      pointerleave: (event) => this.processPointerUp(event),
+    };
+  }
+
+  /**
+   * @brief Changes how canvas positions map to the board, see Viewport.
+   *
+   * @param viewport Viewport of the board on the canvas.
+   */
+  setViewport(viewport) {
+    this.viewport = viewport;
+  }
+
+  /**
+   * @brief Starts sending blade movements to a target.
+   *
+   * @param target Object receiving blade movements.
+   */
+  attach(target) {
+    this.detach();
+    this.target = target;
+    Object.entries(this.pointerListeners).forEach(([type, listener]) => {
+      this.canvas.addEventListener(type, listener);
+    });
+  }
+
+  /**
+   * @brief Stops sending blade movements, blades still down are released.
+   */
+  detach() {
+    Object.entries(this.pointerListeners).forEach(([type, listener]) => {
+      this.canvas.removeEventListener(type, listener);
+    });
+    if (this.target) {
+      this.activePointers.forEach((pointerId) => this.target.releaseBlade(pointerId));
+    }
+    this.activePointers.clear();
+    this.target = null;
+  }
+
+  /**
+   * @brief Converts a pointer event into board coordinates.
+   *
+   * @param event Pointer event.
+   * @return Pointer position on the board, in world units.
+   */
+  pointerPosition(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    return this.viewport ? this.viewport.toWorld(x, y) : new Point(x, y);
+  }
+
+  /**
+   * @brief Starts a new blade for a pressed pointer.
+   *
+   * Touch and pen blades live between pointerdown and pointerup, a mouse
+   * blade is created on the first move and follows the cursor.
+   */
+  processPointerDown(event) {
+    event.preventDefault();
+    this.canvas.setPointerCapture(event.pointerId);
+    this.activePointers.add(event.pointerId);
+    this.target.pressBlade(event.pointerId, this.pointerPosition(event));
+  }
+
+  /**
+   * @brief Moves a blade.
+   */
+  processPointerMove(event) {
+    event.preventDefault();
+    if (!this.activePointers.has(event.pointerId)) {
+      if (event.pointerType !== "mouse") {
+        // finger or pen hovering without contact
+        return;
+      }
+      this.activePointers.add(event.pointerId);
+      this.target.pressBlade(event.pointerId, this.pointerPosition(event));
+      return;
+    }
+
+    // coalesced events keep fast swipes smooth on touchscreens
+    const events = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+    (events.length > 0 ? events : [event]).forEach((sample) => {
+      this.target.moveBlade(event.pointerId, this.pointerPosition(sample));
+    });
+  }
+
+  /**
+   * @brief Removes a blade once its pointer is released or lost.
+   */
+  processPointerUp(event) {
+    this.activePointers.delete(event.pointerId);
+    this.target.releaseBlade(event.pointerId);
+  }
+}
@@ -1,674 +1,252 @@
-/**
- * @brief 2D point implementation.
- */
-class Point {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-  }
-
-  toString() {
-    return `Point(${this.x}, ${this.y})`;
-  }
+import { Size } from "./core/geometry.js";
+import { GameEngine } from "./core/engine.js";
+import { GameLoop } from "./core/game-loop.js";
+import { GameModes, gameMode } from "./core/modes.js";
+import { Leaderboard } from "./core/leaderboard.js";
+import { DailyChallenge } from "./core/daily.js";
+import { RunSave } from "./core/save.js";
+import { LifetimeStats } from "./core/stats.js";
+import { VersusMatch, versusBoardSize } from "./core/versus.js";
+import { AccessibilitySettings, BladeControl } from "./core/accessibility.js";
+import { WaveScript } from "./core/waves.js";
+import { Viewport, worldSize } from "./core/viewport.js";
+import { PhysicsStep } from "./core/constants.js";
+import { AssetManifest } from "./data/assets.js";
+import { AssetLoader } from "./assets/asset-loader.js";
+import { SoundManager } from "./audio/sound-manager.js";
+import { CanvasRenderer } from "./render/canvas-renderer.js";
+import { ParticleSettings } from "./render/particles.js";
+import { SpriteAtlas } from "./render/sprite-atlas.js";
+import { PointerInput } from "./input/pointer-input.js";
+import { CursorInput } from "./input/cursor-input.js";
+import { AccessibilityView } from "./ui/accessibility-view.js";
+import { DailyView } from "./ui/daily-view.js";
+import { GameFlow } from "./ui/game-flow.js";
+import { GameView } from "./ui/game-view.js";
+import { LeaderboardView } from "./ui/leaderboard-view.js";
+import { LoadingView } from "./ui/loading-view.js";
+import { StatsView } from "./ui/stats-view.js";
+import { PlayerColors, VersusView } from "./ui/versus-view.js";
+
+// Everything is loaded before the game can start
+const loadingView = new LoadingView();
+const sounds = new SoundManager({ storage: localStorage });
+let assets;
+let waves;
+try {
+  assets = await new AssetLoader(AssetManifest).load((loaded, total) => loadingView.progress(loaded, total));
+  await sounds.load(assets.sounds);
+  waves = new WaveScript(assets.data.get("waves"), AssetManifest.data.waves.path);
+} catch (error) {
+  loadingView.failed(error);
+  throw error;
 }
+assets.atlas = new SpriteAtlas(new Map(AssetManifest.sprites.map((path) => [path, assets.images.get(path)])));
+loadingView.done();
+
+const canvas = document.getElementById("canvas");
+const renderer = new CanvasRenderer(canvas, assets, localStorage.getItem("particleQuality"));
+const input = new PointerInput(canvas);
+// Blade cursor steered with the keyboard or a gamepad, see the accessibility settings
+const cursorInput = new CursorInput();
+renderer.cursor = cursorInput;
+const accessibility = new AccessibilitySettings(localStorage, { reducedMotion: window.matchMedia("(prefers-reduced-motion: reduce)").matches });
+const leaderboard = new Leaderboard(localStorage);
+const view = new GameView(renderer, sounds, leaderboard);
+const runSave = new RunSave(localStorage);
+const stats = new LifetimeStats(localStorage, { unlocked: (achievement) => statsView.toast(achievement) });
+const statsView = new StatsView(stats);
+// Plugins following every game the player plays or watches, see GamePlugin,
+// only played games are saved and counted in the statistics
+const plugins = [view];
+const playPlugins = [...plugins, runSave, stats];
+// Every player of a versus match has a view of their own
+const versusView = new VersusView(renderer, sounds);
+const leaderboardView = new LeaderboardView(leaderboard, GameModes);
+const daily = new DailyChallenge(localStorage);
+const dailyView = new DailyView(daily);
+
+// Mode picked on the start screen
+let mode = gameMode(localStorage.getItem("mode"));
+// The HUD is scaled with the board, but kept between 60% and 150% to stay readable
+const HudScaleRange = [0.6, 1.5];
+const hud = document.getElementById("insideGameContainer");
 
 /**
- * @brief Size implementation.
+ * @brief Fits the canvas, the pointer input and the HUD to the browser window.
+ *
+ * @param world Size of the board shown, in world units.
  */
-class Size {
-  constructor(width, height) {
-    this.width = width;
-    this.height = height;
-  }
-
-  toString() {
-    return `Size(${this.width}x${this.height})`;
-  }
+function fitScreen(world) {
+  const viewport = new Viewport(world, new Size(window.innerWidth, window.innerHeight), window.devicePixelRatio || 1);
+  renderer.resize(viewport);
+  input.setViewport(viewport);
+  cursorInput.setViewport(viewport);
+  // the HUD covers the board, not the letterbox stripes
+  hud.style.left = `${viewport.offset.x}px`;
+  hud.style.top = `${viewport.offset.y}px`;
+  hud.style.width = `${world.width * viewport.scale}px`;
+  hud.style.height = `${world.height * viewport.scale}px`;
+  hud.style.setProperty("--hud-scale", Math.min(Math.max(viewport.scale, HudScaleRange[0]), HudScaleRange[1]));
 }
 
 /**
- * @brief Velocity implementation.
+ * @brief Creates a new game shaped like the browser window.
+ *
+ * @param options Object with daily set to true for the daily challenge,
+ *        otherwise the game has the picked mode. Only the first daily run of
+ *        a day is scored. run is the snapshot of a saved run to resume
+ *        instead, see RunSave. versus is true for a versus match on a split
+ *        screen, the match is returned instead of a game. New games get the
+ *        fruit size of the accessibility settings.
  */
-class Velocity {
-  constructor(vx, vy) {
-    this.vx = vx;
-    this.vy = vy;
-  }
-
-  toString() {
-    return `Velocity[${this.vx},${this.vy}]`;
+function createGame(options = {}) {
+  const size = worldSize(window.innerWidth, window.innerHeight);
+  const environment = { storage: localStorage, leaderboard: leaderboard, waves: waves, fruitScale: accessibility.data.fruitScale };
+  versusView.reset(options.versus === true);
+  if (options.versus) {
+    view.reset(gameMode("versus"));
+    const match = new VersusMatch(versusBoardSize(window.innerWidth, window.innerHeight), versusView.players.map((player) => [player]), { waves: waves, fruitScale: environment.fruitScale });
+    fitScreen(match.size());
+    return match;
+  }
+  if (options.run) {
+    view.reset(gameMode(options.run.mode));
+    // the lost chances of the run are shown without their sounds
+    view.quiet = true;
+    const game = GameEngine.fromSnapshot(options.run, playPlugins, environment);
+    view.quiet = false;
+    game.resize(size);
+    fitScreen(size);
+    return game;
+  }
+
+  let runMode = mode;
+  if (options.daily) {
+    runMode = gameMode("daily");
+    environment.seed = daily.seed();
+    environment.ranked = !daily.hasPlayedToday();
+    if (environment.ranked) {
+      daily.begin();
+    }
   }
+  fitScreen(size);
+  view.reset(runMode);
+  return new GameEngine(size, runMode, playPlugins, environment);
 }
 
-// Initial fruit image size (not sliced)
-const FruitImageSize = new Size(90, 90);
-// Initial fruit images (not sliced)
-const FruitImages = ["images/apple.png", "images/banana.png", "images/cherry.png", "images/coconut.png", "images/grapes.png", "images/mango.png", "images/pear.png", "images/pineapple.png"];
-// new Fruit is spawned every 3 sec.
-const FruitSpawnInterval = 3000;
-// Fruit position is updated every 20 msec
-const FruitMoveInterval = 20;
-// Fruit flies across the screen up to 6 seconds
-const FruitFlyingInterval = 6000;
-
-const SliceDirection = Object.freeze({
-  Vertical: 0,
-  Horizontal: 1,
-});
-
 /**
- * @brief Fruit object implementation.
+ * @brief Creates a game playing a replay back, in the board size of the replayed run.
  */
-class Fruit {
-  /**
-   * @brief Fruit object constructor.
-   *
-   * @param position Initial position of a fruit.
-   * @param velocity Initial velocity of a fruit.
-   * @param gravity Fruit gravity.
-   * @param imagePath Path to a fruit image.
-   * @param imageSize Size of an image displayed on the canvas.
-   * @param loadedCallback Callback to notify image load.
-   */
-  constructor(position, velocity, gravity, imagePath, imageSize, loadedCallback) {
-    this.position = position;
-    this.velocity = velocity;
-    this.gravity = gravity;
-    this.imageSize = imageSize;
-    this.image = new Image();
-    this.image.onload = () => {
-      loadedCallback(this);
-    };
-    this.image.src = imagePath;
-    this.sliced = false;
-  }
-
-  /**
-   * @brief Returns image path of a fruit.
-   */
-  imagePath() {
-    return this.image.src;
-  }
-
-  /**
-   * @brief Returns true if a fruit is sliced.
-   */
-  isSliced() {
-    return this.sliced;
-  }
-
-  /**
-   * @brief Returns true if an object is a bomb.
-   */
-  isBomb() {
-    return this.imagePath().includes("bomb");
-  }
-
-  /**
-   * @brief Returns true if an object is a fruit.
-   */
-  isFruit() {
-    return !this.isBomb();
-  }
-
-  /**
-   * @brief Slices a fruit.
-   */
-  slice() {
-    this.sliced = true;
-  }
-
-  /**
-   * @brief Draws a fruit on a 2D context.
-   *
-   * @param ctx 2D context to draw a fruit.
-   */
-  draw(ctx) {
-    ctx.drawImage(this.image, this.position.x, this.position.y, this.imageSize.width, this.imageSize.height);
-  }
-
-  /**
-   * @brief Updated position of a fruit.
-   */
-  move() {
-    this.position.x += this.velocity.vx;
-    this.velocity.vy += this.gravity;
-    this.position.y += this.velocity.vy;
-  }
+function createPlayback(replay) {
+  fitScreen(new Size(replay.size[0], replay.size[1]));
+  view.reset(gameMode(replay.mode));
+  return GameEngine.fromReplay(replay, plugins, { leaderboard: leaderboard, waves: waves });
 }
 
-/**
- * @brief Board object implementation.
- */
-class Board {
-  /**
-   * @brief Board object constructor.
-   *
-   * @param backgroundImage Background image.
-   * @param missedFruitCallback Called when a whole fruit falls below the board.
-   * @param slicedBombCallback Called when a bomb is sliced.
-   * @param slicedFruitCallback Called when a fruit is sliced.
-   */
-  constructor(backgroundImage, missedFruitCallback, slicedBombCallback, slicedFruitCallback) {
-    // initialize callbacks
-    this.backgroundImage = backgroundImage;
-    this.missedFruitCallback = missedFruitCallback;
-    this.slicedBombCallback = slicedBombCallback;
-    this.slicedFruitCallback = slicedFruitCallback;
-
-    // initialize 2d context
-    this.canvas = document.getElementById("canvas");
-    this.canvas.style.cursor = "none";
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
-    this.canvas.addEventListener("mousemove", (event) => {
-      this.processMouseEvent(event);
-    });
-    this.ctx = canvas.getContext("2d");
-
-    // flying objects
-    this.fruits = [];
-
-    // initial mouse position
-    this.mousePosition = new Point(-10, -10);
-
-    /***@StrikeCounter function */
-    this.strikeCount = 0; // Track simultaneous slices
-    this.strikeCountDiv = document.getElementById("strikeCountDiv"); // Reference the HTML element
-    this.sliceAudio = new Audio("audio/Slice.wav");
-  }
-
-  reset() {
-    this.fruits = [];
-    this.canvas.removeEventListener("mousemove", (event) => {
-      this.processMouseEvent(event);
-    });
-  }
-
-  /** @brief update the strike count */
-  updateStrikeCountDisplay(multiplier) {
-    if (!this.strikeCountDiv) return;
-
-    const strikeCountElement = this.strikeCountDiv.querySelector(".strikeCount");
-    strikeCountElement.textContent = `${multiplier}x`;
-
-    // Show the strike count UI
-    this.strikeCountDiv.style.display = "block";
-
-    // Hide it after 1 second
-    setTimeout(() => {
-      this.strikeCountDiv.style.display = "none";
-    }, 1000);
-  }
-
-  /**
-   * @brief Generates random position for a fruit.
-   *
-   * 5% margin left and 5% margin right applied to the working area.
-   *
-   * @param width Width of the canvas.
-   * @param height Height of the canvas.
-   * @return Fruit position.
-   */
-  static randomPosition(width, height) {
-    const Margin = 0.05;
-    const x = Math.floor(width * Margin + Math.random() * (width * (1 - 2 * Margin) - FruitImageSize.width));
-    return new Point(x, height);
-  }
-
-  /**
-   * @brief Generates random velocity for a fruit.
-   *
-   * Fruit is expected to start falling in the top half of a screen.
-   * The exact fall position is randomized in range [0.05 * height / 2,
-   * 0.95 * height / 2].
-   * Uniformly accelerated equations are used to calculate initial
-   * velocity for a fruit.
-   *
-   * @param startPosition Starting position of a fruit.
-   * @param width Width of the canvas.
-   * @param height Height of the canvas.
-   * @param gravity Gravity pulling fruit down.
-   * @param flyingInterval Fruit total flying time.
-   * @return Fruit velocity.
-   */
-  static randomVelocity(startPosition, width, height, gravity, flyingInterval) {
-    const Margin = 0.05;
-    // The point where a fruit will start to fall due to the Gravity.
-    const peekHeight = (height / 2) * (Margin + Math.random() * (1 - Margin));
-    // The distance fruit travelled before falling.
-    const distanceY = height - peekHeight;
-    // The time needed for a fruit to free fall.
-    const fallingTime = Math.floor(Math.sqrt((distanceY * 2) / gravity) + 0.5);
-    const risingTime = flyingInterval / FruitMoveInterval - fallingTime;
-    // The initial velocity needed for a fruit to reach peekHeight.
-    const velocityY = -(distanceY + (gravity * risingTime * risingTime) / 2) / risingTime;
-    const distanceX = width / 2 - startPosition.x;
-    const velocityX = ((distanceX * 2) / flyingInterval) * FruitMoveInterval;
-    return new Velocity(velocityX, velocityY);
-  }
-
-  /**
-   * @brief Generates sliced image filepaths.
-   *
-   * Transforms "images/apple.png" into ["images/apple_v1.png", "images/apple_v2.png"]
-   * in case of a vertical slice, or into ["images/apple_h1.png", "images/apple_h2.png"]
-   * in case of a horizontal slice.
-   *
-   * @note Images are sliced in the middle.
-   *
-   * @param originalPath Path of the original image (not sliced).
-   * @param direction Direction of a slice (vertical or horizontal).
-   * @return Array of sliced image paths.
-   */
-  static slicedImagePaths(originalPath, direction) {
-    const path = originalPath.substr(originalPath.lastIndexOf("/") + 1);
-    const suffix = direction === SliceDirection.Vertical ? "_v" : "_h";
-    return ["images/" + path.replace(".", suffix + "1."), "images/" + path.replace(".", suffix + "2.")];
-  }
+// Menu, countdown, playing, paused, game over and replay
+const flow = new GameFlow({ createGame: createGame, createPlayback: createPlayback, waves: waves, inputs: [input, cursorInput], view: view, versusView: versusView, dailyView: dailyView, runSave: runSave, renderer: renderer });
+flow.start();
 
-  /**
-   * @brief Detects slice direction based on two points.
-   *
-   * @param from Previous mouse position.
-   * @param to Current mouse position.
-   * @return Direction of a slice.
-   */
-  static getSliceDirection(from, to) {
-    const deltaX = Math.abs(to.x - from.x);
-    const deltaY = Math.abs(to.y - from.y);
-    return deltaX > deltaY ? SliceDirection.Horizontal : SliceDirection.Vertical;
+// Turning or resizing the screen reshapes a running game to fit it, a replay
+// keeps the board size it recorded
+window.addEventListener("resize", () => {
+  const game = flow.game;
+  const versus = game instanceof VersusMatch;
+  if (!game.playback && !game.isGameOver) {
+    game.resize(versus ? versusBoardSize(window.innerWidth, window.innerHeight) : worldSize(window.innerWidth, window.innerHeight));
   }
+  fitScreen(versus ? game.size() : game.board.size);
+});
 
-  processMouseEvent(event) {
-    const newPosition = new Point(event.pageX, event.pageY);
-    const sliceDirection = Board.getSliceDirection(this.mousePosition, newPosition);
-    this.mousePosition = newPosition;
-
-    for (let i = 0; i < this.fruits.length; ) {
-      if (this.fruits[i].isSliced()) {
-        ++i;
-        continue;
-      }
-
-      const topLeft = this.fruits[i].position;
-      const bottomRight = new Point(topLeft.x + this.fruits[i].imageSize.width, topLeft.y + this.fruits[i].imageSize.height);
-
-      if (this.mousePosition.x >= topLeft.x && this.mousePosition.y >= topLeft.y && this.mousePosition.x <= bottomRight.x && this.mousePosition.y <= bottomRight.y) {
-        // mouse position is inside a fruit image
-        this.slice(this.fruits[i], sliceDirection);
-        this.sliceAudio.play();
-      } else {
-        ++i;
-      }
-    }
-  }
-
-  /**
-   * @brief Generates random fruit.
-   */
-  generateRandomFruit(gravity, flyingInterval) {
-    const image = FruitImages[Math.floor(Math.random() * FruitImages.length)];
-    const position = Board.randomPosition(this.canvas.width, this.canvas.height);
-    const velocity = Board.randomVelocity(position, this.canvas.width, this.canvas.height, gravity, flyingInterval);
-
-    const fruit = new Fruit(position, velocity, gravity, image, FruitImageSize, (fruit) => {
-      this.fruits.push(fruit);
-    });
-  }
-
-  /**
-   * @brief Generates a bomb.
-   */
-  generateBomb(gravity, flyingInterval) {
-    const image = "images/bomb.png";
-
-    const position = Board.randomPosition(this.canvas.width, this.canvas.height);
-    const velocity = Board.randomVelocity(position, this.canvas.width, this.canvas.height, gravity, flyingInterval);
-
-    const bomb = new Fruit(position, velocity, gravity, image, FruitImageSize, (bomb) => {
-      this.fruits.push(bomb);
-    });
-  }
-
-  /**
-   * @brief Draws fruits on a canvas.
-   */
-  drawElements() {
-    // Clear only the fruit part of the canvas to retain the trail
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.drawImage(this.backgroundImage, 0, 0, this.canvas.width, this.canvas.height);
-    this.ctx.shadowBlur = 0;
-    // Draw fruits
-    this.fruits.forEach((fruit) => {
-      fruit.draw(this.ctx);
-    });
-
-    const x = this.mousePosition.x;
-    const y = this.mousePosition.y;
-
-    // Draw mouse trail
-    if (x < 0 || y < 0) {
-      // don't draw mouse trail upon initialization
-      return;
-    }
-
-    if (this.lastX !== null && this.lastY !== null) {
-      this.ctx.strokeStyle = `rgba(255, 255, 255, 0.7)`;
-      this.ctx.lineWidth = 5;
-      this.ctx.lineCap = "round";
-      this.ctx.shadowBlur = 10; // Add a blur effect to the line
-      this.ctx.shadowColor = `rgba(255, 255, 255, 0.7)`;
-
-      this.ctx.beginPath();
-      this.ctx.moveTo(this.lastX, this.lastY);
-      this.ctx.lineTo(x, y);
-      this.ctx.stroke();
-
-      // Add a few more points to the path to create a longer trail
-      this.ctx.lineTo(x + (x - this.lastX) * 0.5, y + (y - this.lastY) * 0.5);
-      this.ctx.lineTo(x + (x - this.lastX) * 1.5, y + (y - this.lastY) * 1.5);
-      this.ctx.stroke();
-    }
-
-    this.lastX = x;
-    this.lastY = y;
-  }
-
-  /**
-   * @brief Updated fruit position.
-   *
-   * Fruits outside of canvas (too far below, too far right or too far left)
-   * are removed.
-   */
-  moveFruits() {
-    this.fruits.forEach((fruit) => {
-      fruit.move();
-
-      // handle a missed fruit
-      if (!fruit.isSliced() && !fruit.isBomb() && fruit.position.y > this.canvas.height) {
-        this.missedFruitCallback();
-      }
-    });
-
-    // remove fruits outside of the canvas
-    this.fruits = this.fruits.filter(
-      (fruit) =>
-        fruit.position.y <= this.canvas.height && // too far below
-        fruit.position.x <= this.canvas.width && // too far left
-        fruit.position.x >= -fruit.imageSize.width // too fat right
-    );
-  }
-
-  /**
-   * @brief Slices a fruit.
-   *
-   * Removes sliced image from canvas, two fruits that represent sliced
-   * halves are added.
-   *
-   * @param fruit Fruit that had been sliced.
-   * @param direction Direction of a slice.
-   */
-  slice(fruit, direction) {
-    fruit.slice();
-    if (fruit.isBomb()) {
-      this.slicedBombCallback("You've sliced a bomb");
-      return;
-    }
-
-    this.strikeCount++;
-
-    const slicedImages = Board.slicedImagePaths(fruit.imagePath(), direction);
-    // half one <-
-    const imageSize = direction === SliceDirection.Horizontal ? new Size(FruitImageSize.width, FruitImageSize.height / 2) : new Size(FruitImageSize.width / 2, FruitImageSize.height);
-    let velocityX = fruit.velocity.vx < 0 ? fruit.velocity.vx : -fruit.velocity.vx;
-    let halfOne = new Fruit(new Point(fruit.position.x, fruit.position.y), new Velocity(velocityX, 0), fruit.gravity, slicedImages[0], imageSize, (fruit) => {
-      this.fruits.push(fruit);
-    });
-    halfOne.slice();
-    // half two ->
-    const positionX = imageSize.width == FruitImageSize.width ? fruit.position.x : fruit.position.x + imageSize.width;
-    const positionY = imageSize.width == FruitImageSize.width ? fruit.position.y + imageSize.height : fruit.position.y;
-    velocityX = Math.abs(fruit.velocity.vx);
-    const halfTwo = new Fruit(new Point(positionX, positionY), new Velocity(velocityX, 0), fruit.gravity, slicedImages[1], imageSize, (fruit) => {
-      this.fruits.push(fruit);
-    });
-    halfTwo.slice();
-    this.fruits.splice(this.fruits.indexOf(fruit), 1);
-    this.updateStrikeCountDisplay(this.strikeCount);
-
-    // Reset the strike count after a brief delay
-    setTimeout(() => {
-      this.slicedFruitCallback(this.strikeCount * this.strikeCount * 10);
-      this.strikeCount = 0; // Reset for the next slicing event
-    }, 100);
-  }
-}
-
-class GameEngine {
-  static backGroundImage() {
-    const backgroundImage = new Image();
-    backgroundImage.src = "images/background.jpg";
-    return backgroundImage;
-  }
-
-  /**
-   * @brief Calculates gravity applied to a fruit.
-   *
-   * It's assumed that a free-falling fruit should traverse canvas
-   * within fruitFlyingInterval / 2.
-   * Uniformly accelerated movement equations are used to calculate
-   * the gravity: g = (2 * S) / (t * t);
-   *
-   * @param fruitFlyingInterval Current fruit flying time.
-   * @return Fruit position.
-   */
-  static calculateGravity(fruitFlyingInterval) {
-    const time = fruitFlyingInterval / 2 / FruitMoveInterval;
-    return (window.innerHeight * 2) / time / time;
-  }
-
-  constructor() {
-    // these member members should not change during the game
-    this.maxMisses = 3;
-    this.chanceImages = [document.getElementById("chance1"), document.getElementById("chance2"), document.getElementById("chance3")];
-    // Show all chances
-    this.chanceImages.forEach((image) => (image.style.display = "block"));
-
-    this.fruitSpawnInterval = FruitSpawnInterval;
-    this.fruitFlyingInterval = FruitFlyingInterval;
-    // Gravity causes fruit to slow down and eventually fall
-    this.gravity = GameEngine.calculateGravity(this.fruitFlyingInterval);
-    this.fruitsTillNextBomb = Math.floor(Math.random() * 4) + 4;
-    this.board = new Board(
-      GameEngine.backGroundImage(),
-      () => {
-        this.updateMissedFruits();
-      },
-      () => {
-        this.gameOver();
-      },
-      (newPoints) => {
-        this.updateScore(newPoints);
-      }
-    );
-    this.isPaused = false;
-    (this.isGameOver = false), (this.missedFruits = 0);
-    this.currentScore = 0;
-    this.highScore = localStorage.getItem("highScore") || 0; // Retrieve saved high score
-    // Update the high score span on page load
-    document.getElementById("highScore").textContent = this.highScore;
-    document.getElementById("homeHighScore").textContent = this.highScore;
-    document.getElementById("score").textContent = this.currentScore;
-  }
+// Mode picker, one button per listed mode
+const modePicker = document.getElementById("modePicker");
+GameModes.forEach((candidate) => {
+  if (!candidate.listed) {
+    return;
+  }
+  const button = document.createElement("button");
+  button.innerHTML = `<span class="modeName">${candidate.name}</span><span class="modeDescription">${candidate.description}</span>`;
+  button.classList.toggle("selected", candidate === mode);
+  button.addEventListener("click", () => {
+    modePicker.querySelectorAll("button").forEach((other) => other.classList.remove("selected"));
+    button.classList.add("selected");
+    mode = candidate;
+    localStorage.setItem("mode", mode.id);
+    // show the high score of the picked mode
+    flow.newGame();
+  });
+  modePicker.appendChild(button);
+});
 
-  updateMissedFruits() {
-    // Remove the image
-    this.chanceImages[this.missedFruits++].style.display = "none";
+document.getElementById("leaderboardBtn").addEventListener("click", () => leaderboardView.show(mode.id));
+document.getElementById("statsBtn").addEventListener("click", () => statsView.show());
 
-    if (this.missedFruits === this.maxMisses) {
-      this.gameOver();
-    }
-  }
+// Particle effects quality picker
+const qualityPicker = document.getElementById("particleQuality");
+Object.entries(ParticleSettings).forEach(([quality, settings]) => {
+  qualityPicker.add(new Option(settings.name, quality, false, renderer.particleSettings === settings));
+});
+qualityPicker.addEventListener("change", () => {
+  localStorage.setItem("particleQuality", qualityPicker.value);
+  renderer.setParticleQuality(qualityPicker.value);
+});
 
-  loop() {
-    if (this.isGameOver) {
+// Single loop driving the physics and drawing the current game until it's over
+// and its bomb explosion (if any) has played out
+const loop = new GameLoop(
+  PhysicsStep,
+  (dt) => {
+    cursorInput.update(dt);
+    flow.update(dt);
+  },
+  (alpha) => {
+    const game = flow.game;
+    if (game.isGameOver && !renderer.isExploding()) {
       return;
     }
-
-    this.board.drawElements();
-    requestAnimationFrame(() => {
-      this.loop();
-    });
-  }
-
-  spawnFruit() {
-    const times = Math.floor(Math.random() * 3) + 1;
-    for (let i = 0; i < times; i++) {
-      this.board.generateRandomFruit(this.gravity, this.fruitFlyingInterval);
-    }
-
-    this.fruitsTillNextBomb -= times;
-    if (this.fruitsTillNextBomb <= 0) {
-      this.fruitsTillNextBomb = Math.floor(Math.random() * 4) + 4;
-      this.board.generateBomb(this.gravity, this.fruitFlyingInterval);
+    if (game instanceof VersusMatch) {
+      renderer.drawBoards(game.boards(), alpha, PlayerColors);
+    } else {
+      renderer.draw(game.board, alpha);
     }
   }
+);
+loop.start();
 
-  start() {
-    // start spawning the fruits
-    this.fruitSpawnIntervalId = setInterval(() => {
-      this.spawnFruit();
-    }, this.fruitSpawnInterval);
-    // start moving the fruits
-    this.fruitMoveIntervalId = setInterval(() => {
-      this.board.moveFruits();
-    }, FruitMoveInterval);
-    // generate first fruit
-    this.board.generateRandomFruit(this.gravity, this.fruitFlyingInterval);
-    game.loop();
-  }
-
-  pause() {
-    this.isPaused = true;
-    // stop all activity
-    clearInterval(this.fruitSpawnIntervalId);
-    clearInterval(this.fruitMoveIntervalId);
-  }
-
-  resume() {
-    if (!this.isPaused || this.isGameOver) {
-      return;
-    }
-
-    this.isPaused = false;
-    // start spawning the fruits
-    this.fruitSpawnIntervalId = setInterval(() => {
-      this.spawnFruit();
-    }, this.fruitSpawnInterval);
-    // start moving the fruits
-    this.fruitMoveIntervalId = setInterval(() => {
-      this.board.moveFruits();
-    }, FruitMoveInterval);
-  }
-
-  gameOver() {
-    this.isGameOver = true;
-    this.board.reset();
-    // stop all activity
-    clearInterval(this.fruitSpawnIntervalId);
-    clearInterval(this.fruitMoveIntervalId);
-    const overlay = document.getElementById("gameEndDiv");
-    overlay.style.display = "flex";
-    overlay.style.justifyContent = "center";
-    overlay.style.alignItems = "center";
-    overlay.style.opacity = 0.9;
-    console.log("game over", this.currentScore);
-    document.getElementById("endGameScore").textContent = this.currentScore;
-  }
-
-  // Update score display
-  updateScore(newPoints) {
-    if (this.isGameOver) {
-      return;
-    }
-
-    this.currentScore += newPoints;
-    console.log("update score", this.currentScore);
-    document.getElementById("score").textContent = this.currentScore;
-
-    if (this.currentScore > this.highScore) {
-      this.highScore = this.currentScore;
-      document.getElementById("highScore").textContent = this.highScore;
-      localStorage.setItem("highScore", this.highScore); // Save new high score
-    }
-
-    // update fruit speed every 100 points
-    // TO BE DISCUSSED
-    if (this.currentScore > 0 && this.currentScore % 100 === 0) {
-      this.fruitFlyingInterval -= FruitFlyingInterval / 20;
-      this.gravity = GameEngine.calculateGravity(this.fruitFlyingInterval);
-    }
-  }
+/**
+ * @brief Applies the accessibility settings, the fruit size applies from the next game on.
+ */
+function applyAccessibility() {
+  const settings = accessibility.data;
+  loop.speed = settings.gameSpeed;
+  renderer.setAccessibility(settings);
+  cursorInput.setEnabled(settings.controls === BladeControl.Cursor);
+  document.body.classList.toggle("reducedMotion", settings.reducedMotion);
 }
-
-let game = new GameEngine();
+applyAccessibility();
+// the panel is opened from the start screen, the game waiting there gets the new fruit size
+const accessibilityView = new AccessibilityView(accessibility, () => {
+  applyAccessibility();
+  flow.newGame();
+});
+document.getElementById("accessibilityBtn").addEventListener("click", () => accessibilityView.show());
 
 // Audio Controlls
-const audio = document.getElementById("audio");
+sounds.attach(document);
 const muteButton = document.getElementById("muteButton");
-
-// Attempt to play audio on page load
-window.addEventListener("load", () => {
-  audio.play().catch((error) => {
-    console.log("Autoplay blocked. User interaction required.");
-    muteButton.innerHTML = "<i class='fas fa-volume-mute'></i>";
-  });
-});
-
-// Set initial button state
-muteButton.innerHTML = audio.muted ? "<i class='fas fa-volume-mute'></i>" : "<i class='fas fa-volume-up'></i>";
+const updateMuteButton = () => {
+  muteButton.innerHTML = sounds.muted ? "<i class='fas fa-volume-mute'></i>" : "<i class='fas fa-volume-up'></i>";
+};
+updateMuteButton();
 
 // Mute/unmute toggle
 muteButton.addEventListener("click", () => {
-  if (audio.muted) {
-    audio.muted = false;
-    audio.play().catch((error) => console.log("Playback error:", error));
-    muteButton.innerHTML = "<i class='fas fa-volume-up'></i>";
-  } else {
-    audio.muted = true;
-    muteButton.innerHTML = "<i class='fas fa-volume-mute'></i>";
-  }
+  sounds.setMuted(!sounds.muted);
+  updateMuteButton();
 });
 
-let audioPlaying = false;
-// Pause game when the page is hidden
-document.addEventListener("visibilitychange", () => {
-  if (document.hidden) {
-    console.log("hidden");
-    audioPlaying = !audio.isPaused && audio.currentTime > 0;
-    if (audioPlaying) {
-      audio.pause();
-    }
-    game.pause();
-  } else {
-    console.log("visible");
-    if (audioPlaying) {
-      audio.play();
-    }
-    game.resume();
-  }
-});
-
-// Pause game when "play" is clicked
-document.getElementById("startGameBtn").addEventListener("click", () => {
-  document.getElementById("startGame").style.display = "none";
-  document.getElementById("insideGameContainer").style.display = "flex";
-  game.start();
-});
-
-document.getElementById("restartGame").addEventListener("click", () => {
-  document.getElementById("gameEndDiv").style.display = "none";
-  game = new GameEngine();
-  game.start();
-});
+// Volume slider
+const effectsVolume = document.getElementById("effectsVolume");
+effectsVolume.value = sounds.effectsVolume;
+effectsVolume.addEventListener("input", () => sounds.setEffectsVolume(effectsVolume.value));
@@ -0,0 +1,642 @@
+import { BladeTrailDuration, MaxFrameTime } from "../core/constants.js";
+import { Point, Size } from "../core/geometry.js";
+import { EffectSettings } from "../core/effects.js";
+import { BombSettings, BombType } from "../core/bombs.js";
+import { ParticlePool, ParticleQuality, ParticleSettings } from "./particles.js";
+
+// Floating labels rise for 1 second while fading out
+const FloatingLabelDuration = 1000;
+const FloatingLabelRise = 60;
+// Juice of fruit kinds without a juice color
+const DefaultJuiceColor = "#ffd54a";
+// Juice drops fall with 900 pixels per second squared
+const ParticleGravity = 900;
+// Juice splats fade out from the background within 3 seconds
+const SplatDuration = 3;
+// A bomb explosion lasts 1 second, the screen flashes white during the first 300 msec
+const ExplosionDuration = 1000;
+const FlashDuration = 300;
+// and shakes by up to 12 pixels
+const ShakeMagnitude = 12;
+// Shape of a juice splat relative to its size
+const SplatDrops = [
+  { x: 0, y: 0, radius: 1 },
+  { x: 1, y: 0.5, radius: 0.25 },
+  { x: -0.8, y: -0.7, radius: 0.2 },
+  { x: 0.3, y: -1.2, radius: 0.15 },
+];
+const ExplosionColors = ["#fff3b0", "#ffb703", "#fb5607", "#6c757d"];
+// The shock wave of a fuse bomb spreads to its blast radius within 400 msec
+const BlastDuration = 400;
+// Defused bombs are drawn faded
+const DefusedAlpha = 0.45;
+// Blade trails are white unless a player has a color of their own
+const DefaultBladeColor = "rgba(255, 255, 255, 0.7)";
+// High contrast trails are opaque with a dark outline, yellow by default
+const HighContrastBladeColor = "#ffe600";
+const HighContrastOutline = "#000000";
+// Symbols marking the bomb types when colors aren't enough, a fuse bomb shows its seconds left
+const BombSymbols = Object.freeze({
+  [BombType.Classic]: "✕",
+  [BombType.Penalty]: "−",
+});
+// The blade cursor is a ring of 24 world units with a pointer showing the slash direction
+const CursorRadius = 24;
+
+/**
+ * @brief Draws a board on a canvas.
+ */
+export class CanvasRenderer {
+  /**
+   * @brief CanvasRenderer object constructor.
+   *
+   * @param canvas Canvas element to draw on.
+   * @param assets Object with the loaded images (a Map keyed by path) and
+   *        the sprite atlas of the thrown objects.
+   * @param quality Particle effects quality, see ParticleQuality.
+   */
+  constructor(canvas, assets, quality = ParticleQuality.High) {
+    this.canvas = canvas;
+    this.canvas.style.cursor = "none";
+    this.ctx = canvas.getContext("2d");
+    // viewport of the board on the screen, see resize()
+    this.viewport = null;
+    this.atlas = assets.atlas;
+    this.backgroundImage = assets.images.get("images/background.jpg");
+    // floating labels shown over the board
+    this.labels = [];
+    this.setParticleQuality(quality);
+    // running bomb explosion, { start } in msec and its strength, see BombSettings shake
+    this.explosion = null;
+    // spreading shock waves of fuse bombs, { x, y, radius, start }
+    this.blasts = [];
+    // time of the last drawn frame in msec, particles move in real time
+    this.lastFrame = null;
+    this.setAccessibility({});
+    // blade cursor drawn while it's active, see CursorInput
+    this.cursor = null;
+  }
+
+  /**
+   * @brief Changes how the board is drawn for accessibility.
+   *
+   * @param options Object with highContrast true for outlined blade trails,
+   *        reducedMotion true for no screen shake and particles and
+   *        bombSymbols true for bombs marked by a symbol, see
+   *        AccessibilitySettings.
+   */
+  setAccessibility(options) {
+    this.highContrast = options.highContrast === true;
+    this.reducedMotion = options.reducedMotion === true;
+    this.bombSymbols = options.bombSymbols === true;
+    if (this.reducedMotion) {
+      this.particles.clear();
+      this.splats.clear();
+    }
+  }
+
+  /**
+   * @brief Changes the quality of particle effects.
+   *
+   * Running particles are dropped, the pools are allocated here once.
+   *
+   * @param quality Particle effects quality, see ParticleQuality.
+   */
+  setParticleQuality(quality) {
+    this.particleSettings = ParticleSettings[quality] || ParticleSettings[ParticleQuality.High];
+    this.particles = new ParticlePool(this.particleSettings.poolSize);
+    this.splats = new ParticlePool(this.particleSettings.splats);
+  }
+
+  /**
+   * @brief Drops labels, particles and explosions of a previous game.
+   */
+  reset() {
+    this.labels = [];
+    this.particles.clear();
+    this.splats.clear();
+    this.explosion = null;
+    this.blasts = [];
+  }
+
+  /**
+   * @brief Sprays juice of a sliced fruit and leaves a splat on the background.
+   *
+   * @param fruit Sliced fruit.
+   * @param left Optional left edge of its board in the scene, see drawBoards().
+   */
+  splash(fruit, left = 0) {
+    if (this.reducedMotion) {
+      return;
+    }
+
+    const center = fruit.center();
+    center.x += left;
+    const color = fruit.kind.juiceColor || DefaultJuiceColor;
+    for (let i = 0; i < this.particleSettings.spray; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = 80 + Math.random() * 320;
+      // drops keep some of the fruit momentum
+      const vx = Math.cos(angle) * speed + fruit.velocity.vx / 2;
+      const vy = Math.sin(angle) * speed + fruit.velocity.vy / 2;
+      this.particles.emit(center.x, center.y, vx, vy, ParticleGravity, 2 + Math.random() * 3, color, 0.4 + Math.random() * 0.4);
+    }
+    const size = Math.min(fruit.imageSize.width, fruit.imageSize.height);
+    this.splats.emit(center.x, center.y, 0, 0, 0, size * (0.3 + Math.random() * 0.2), color, SplatDuration);
+  }
+
+  /**
+   * @brief Blows up a sliced bomb with a flash and a screen shake.
+   *
+   * @param bomb Sliced bomb.
+   * @param left Optional left edge of its board in the scene, see drawBoards().
+   */
+  explode(bomb, left = 0) {
+    const center = bomb.center();
+    center.x += left;
+    const settings = BombSettings[bomb.bombType()];
+    if (this.particleSettings.flash || this.particleSettings.shake) {
+      this.explosion = { start: performance.now(), strength: settings.shake };
+    }
+    // sparks of the bomb color mixed in tell the bomb types apart
+    const colors = [...ExplosionColors, settings.color];
+    const sparks = this.reducedMotion ? 0 : this.particleSettings.explosion * settings.shake;
+    for (let i = 0; i < sparks; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const speed = 150 + Math.random() * 500;
+      const color = colors[Math.floor(Math.random() * colors.length)];
+      this.particles.emit(center.x, center.y, Math.cos(angle) * speed, Math.sin(angle) * speed, ParticleGravity / 3, 2 + Math.random() * 4, color, 0.5 + Math.random() * 0.5);
+    }
+  }
+
+  /**
+   * @brief Shows the shock wave of a fuse bomb, the fruits it caught splash.
+   *
+   * @param bomb Fuse bomb.
+   * @param blasted Whole fruits blown up by the bomb.
+   * @param left Optional left edge of its board in the scene, see drawBoards().
+   */
+  blast(bomb, blasted, left = 0) {
+    const center = bomb.center();
+    this.blasts.push({ x: center.x + left, y: center.y, radius: BombSettings[BombType.Fuse].blastRadius, start: performance.now() });
+    blasted.forEach((fruit) => this.splash(fruit, left));
+  }
+
+  /**
+   * @brief Returns the remaining time of a running bomb explosion in msec, 0 if there's none.
+   */
+  explosionTimeLeft() {
+    return this.explosion ? Math.max(this.explosion.start + ExplosionDuration - performance.now(), 0) : 0;
+  }
+
+  /**
+   * @brief Returns true while a bomb explosion is running.
+   */
+  isExploding() {
+    return this.explosionTimeLeft() > 0;
+  }
+
+  /**
+   * @brief Shows a label floating up from a board position.
+   *
+   * @param position Scene position of the label, the board position for a single board.
+   * @param title Label text.
+   * @param subtitle Smaller text under the title.
+   */
+  addFloatingLabel(position, title, subtitle) {
+    this.labels.push({ position: position, title: title, subtitle: subtitle, start: performance.now() });
+  }
+
+  /**
+   * @brief Fits the canvas to the screen.
+   *
+   * The canvas covers the screen in device pixels, so it stays sharp on high
+   * density displays, and the board is drawn in world units through the
+   * viewport transform.
+   *
+   * @param viewport Viewport of the board on the screen, see Viewport.
+   */
+  resize(viewport) {
+    this.viewport = viewport;
+    this.canvas.width = Math.round(viewport.screen.width * viewport.pixelRatio);
+    this.canvas.height = Math.round(viewport.screen.height * viewport.pixelRatio);
+    this.canvas.style.width = `${viewport.screen.width}px`;
+    this.canvas.style.height = `${viewport.screen.height}px`;
+  }
+
+  /**
+   * @brief Draws fruits and blade trails of a board.
+   *
+   * @param board Board to draw.
+   * @param alpha Interpolation factor between the last two physics steps.
+   */
+  draw(board, alpha) {
+    this.drawBoards([board], alpha);
+  }
+
+  /**
+   * @brief Draws boards side by side, e.g. the halves of a versus match.
+   *
+   * The boards make up one scene, the first one on the left. Juice,
+   * explosions and labels are placed in scene coordinates, they're the board
+   * coordinates of a single board.
+   *
+   * @param boards Boards to draw, all of the same height.
+   * @param alpha Interpolation factor between the last two physics steps.
+   * @param bladeColors Optional blade trail color of every board.
+   */
+  drawBoards(boards, alpha, bladeColors = []) {
+    const now = performance.now();
+    const dt = this.lastFrame === null ? 0 : Math.min((now - this.lastFrame) / 1000, MaxFrameTime);
+    this.lastFrame = now;
+    this.particles.update(dt);
+    this.splats.update(dt);
+
+    const width = boards.reduce((sum, board) => sum + board.size.width, 0);
+    const height = boards[0].size.height;
+    if (width !== this.viewport.world.width || height !== this.viewport.world.height) {
+      // a replay resizes its board as recorded
+      this.resize(this.viewport.withWorld(new Size(width, height)));
+    }
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    const { scale, offset, pixelRatio } = this.viewport;
+    this.ctx.setTransform(pixelRatio * scale, 0, 0, pixelRatio * scale, pixelRatio * offset.x, pixelRatio * offset.y);
+    // nothing is drawn on the letterbox stripes
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(0, 0, width, height);
+    this.ctx.clip();
+
+    // left edge of every board in the scene
+    const lefts = boards.map((board, index) => boards.slice(0, index).reduce((sum, other) => sum + other.size.width, 0));
+    // every board is drawn clipped to its part of the scene
+    const onBoards = (draw) =>
+      boards.forEach((board, index) => {
+        this.ctx.save();
+        this.ctx.translate(lefts[index], 0);
+        this.ctx.beginPath();
+        this.ctx.rect(0, 0, board.size.width, board.size.height);
+        this.ctx.clip();
+        draw(board, index);
+        this.ctx.restore();
+      });
+
+    onBoards((board) => {
+      this.ctx.drawImage(this.backgroundImage, 0, 0, board.size.width, board.size.height);
+      this.ctx.shadowBlur = 0;
+      if (board.fruitTimeScale !== 1) {
+        // frosty tint while fruits are frozen, a red one while they're sped up
+        this.ctx.fillStyle = board.fruitTimeScale < 1 ? "rgba(127, 216, 255, 0.15)" : "rgba(255, 77, 109, 0.12)";
+        this.ctx.fillRect(0, 0, board.size.width, board.size.height);
+      }
+    });
+    this.drawSplats();
+
+    this.ctx.save();
+    this.shake(now);
+    // Draw fruits
+    onBoards((board) => {
+      board.fruits.forEach((fruit) => {
+        this.drawFruit(fruit, alpha);
+      });
+    });
+    this.drawParticles();
+    this.drawBlasts(now);
+    this.ctx.restore();
+
+    // Draw blade trails
+    onBoards((board, index) => {
+      board.blades.forEach((blade) => {
+        this.drawBlade(blade, board.time, bladeColors[index] || (this.highContrast ? HighContrastBladeColor : DefaultBladeColor));
+      });
+    });
+    if (this.cursor && this.cursor.isActive()) {
+      this.drawCursor(this.cursor.position, this.cursor.direction);
+    }
+
+    this.drawLabels(width);
+    this.drawFlash(now, new Size(width, height));
+    this.ctx.restore();
+  }
+
+  /**
+   * @brief Shakes the canvas while a bomb explosion runs, the shake calms down over time.
+   *
+   * @param now Current time in msec.
+   */
+  shake(now) {
+    if (!this.explosion || !this.particleSettings.shake || this.reducedMotion) {
+      return;
+    }
+
+    const progress = (now - this.explosion.start) / ExplosionDuration;
+    if (progress < 1) {
+      const magnitude = ShakeMagnitude * this.explosion.strength * (1 - progress);
+      this.ctx.translate((Math.random() * 2 - 1) * magnitude, (Math.random() * 2 - 1) * magnitude);
+    }
+  }
+
+  /**
+   * @brief Draws the white flash at the start of a bomb explosion.
+   *
+   * @param now Current time in msec.
+   * @param size Size of the board.
+   */
+  drawFlash(now, size) {
+    if (!this.explosion || !this.particleSettings.flash) {
+      return;
+    }
+
+    const progress = (now - this.explosion.start) / FlashDuration;
+    if (progress < 1) {
+      this.ctx.fillStyle = `rgba(255, 255, 255, ${0.8 * this.explosion.strength * (1 - progress)})`;
+      this.ctx.fillRect(0, 0, size.width, size.height);
+    }
+  }
+
+  /**
+   * @brief Draws juice splats fading out on the background.
+   */
+  drawSplats() {
+    this.ctx.save();
+    this.splats.forEach((splat, progress) => {
+      this.ctx.globalAlpha = 0.6 * (1 - progress);
+      this.ctx.fillStyle = splat.color;
+      this.ctx.beginPath();
+      // a blob with a few drops around it
+      SplatDrops.forEach((drop) => {
+        const x = splat.x + drop.x * splat.size;
+        const y = splat.y + drop.y * splat.size;
+        this.ctx.moveTo(x + drop.radius * splat.size, y);
+        this.ctx.arc(x, y, drop.radius * splat.size, 0, Math.PI * 2);
+      });
+      this.ctx.fill();
+    });
+    this.ctx.restore();
+  }
+
+  /**
+   * @brief Draws the shock waves of fuse bombs, finished ones are dropped.
+   *
+   * @param now Current time in msec.
+   */
+  drawBlasts(now) {
+    this.blasts = this.blasts.filter((blast) => now - blast.start < BlastDuration);
+    this.ctx.save();
+    this.ctx.strokeStyle = BombSettings[BombType.Fuse].color;
+    this.blasts.forEach((blast) => {
+      const progress = (now - blast.start) / BlastDuration;
+      this.ctx.globalAlpha = 1 - progress;
+      this.ctx.lineWidth = 10 * (1 - progress) + 2;
+      this.ctx.beginPath();
+      this.ctx.arc(blast.x, blast.y, blast.radius * Math.sqrt(progress), 0, Math.PI * 2);
+      this.ctx.stroke();
+    });
+    this.ctx.restore();
+  }
+
+  /**
+   * @brief Draws juice drops and explosion sparks.
+   */
+  drawParticles() {
+    this.ctx.save();
+    this.particles.forEach((particle, progress) => {
+      this.ctx.globalAlpha = 1 - progress;
+      this.ctx.fillStyle = particle.color;
+      this.ctx.beginPath();
+      this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+      this.ctx.fill();
+    });
+    this.ctx.restore();
+  }
+
+  /**
+   * @brief Draws floating labels, expired labels are dropped.
+   *
+   * @param width Width of the board.
+   */
+  drawLabels(width) {
+    const now = performance.now();
+    this.labels = this.labels.filter((label) => now - label.start < FloatingLabelDuration);
+    this.labels.forEach((label) => {
+      const progress = (now - label.start) / FloatingLabelDuration;
+      // keep labels away from the board edges
+      const x = Math.min(Math.max(label.position.x, 100), width - 100);
+      const y = Math.max(label.position.y, 60) - progress * FloatingLabelRise;
+
+      this.ctx.save();
+      this.ctx.globalAlpha = 1 - progress;
+      this.ctx.textAlign = "center";
+      this.ctx.fillStyle = "yellow";
+      this.ctx.strokeStyle = "rgba(0, 0, 0, 0.8)";
+      this.ctx.lineWidth = 4;
+      this.ctx.font = "bold 32px Arial, sans-serif";
+      this.ctx.strokeText(label.title, x, y);
+      this.ctx.fillText(label.title, x, y);
+      this.ctx.font = "bold 22px Arial, sans-serif";
+      this.ctx.strokeText(label.subtitle, x, y + 28);
+      this.ctx.fillText(label.subtitle, x, y + 28);
+      this.ctx.restore();
+    });
+  }
+
+  /**
+   * @brief Draws a fruit from the sprite atlas.
+   *
+   * The image is rotated around its center, halves are clipped to their cut.
+   *
+   * @param fruit Fruit to draw.
+   * @param alpha Interpolation factor between the last two physics steps.
+   */
+  drawFruit(fruit, alpha) {
+    const position = fruit.interpolatedPosition(alpha);
+    const { width, height } = fruit.imageSize;
+    if (fruit.isSpecial()) {
+      this.drawAura(position, fruit.imageSize, EffectSettings[fruit.special].color);
+    }
+    if (fruit.isBomb() && !fruit.isSliced() && !fruit.defused) {
+      this.drawBombMarker(fruit, position);
+    }
+    this.ctx.save();
+    if (fruit.defused) {
+      this.ctx.globalAlpha = DefusedAlpha;
+    }
+    this.ctx.translate(position.x + width / 2, position.y + height / 2);
+    this.ctx.rotate(fruit.interpolatedAngle(alpha));
+    if (fruit.cut) {
+      this.clipHalf(fruit.cut, Math.hypot(width, height));
+    }
+    this.atlas.draw(this.ctx, fruit.imagePath(), -width / 2, -height / 2, width, height);
+    this.ctx.restore();
+    if (this.bombSymbols && fruit.isBomb() && !fruit.isSliced() && !fruit.defused) {
+      this.drawBombSymbol(fruit, position);
+    }
+  }
+
+  /**
+   * @brief Clips drawing to the side of a cut kept by a fruit half.
+   *
+   * The context has to be centered on the fruit and rotated by its angle.
+   *
+   * @param cut Cut of the half, see Fruit.split().
+   * @param reach Distance covering the whole image from its center.
+   */
+  clipHalf(cut, reach) {
+    this.ctx.rotate(cut.angle);
+    this.ctx.beginPath();
+    this.ctx.rect(-reach, cut.side > 0 ? cut.offset : cut.offset - 2 * reach, 2 * reach, 2 * reach);
+    this.ctx.clip();
+    this.ctx.rotate(-cut.angle);
+  }
+
+  /**
+   * @brief Marks the type of a bomb, classic bombs are drawn plain.
+   *
+   * Penalty bombs get a ring of their color, fuse bombs a ring burning down
+   * with their fuse that blinks faster as it runs out.
+   *
+   * @param bomb Bomb to mark.
+   * @param position Top left corner of the bomb.
+   */
+  drawBombMarker(bomb, position) {
+    const type = bomb.bombType();
+    if (type === BombType.Classic) {
+      return;
+    }
+
+    const size = bomb.imageSize;
+    const color = BombSettings[type].color;
+    if (type === BombType.Penalty) {
+      this.drawAura(position, size, color);
+      return;
+    }
+
+    const left = bomb.fuse === null ? 0 : bomb.fuse / BombSettings[BombType.Fuse].fuseTime;
+    const blink = Math.sin(performance.now() / (60 + 200 * left)) > 0;
+    this.ctx.save();
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 6;
+    this.ctx.shadowColor = color;
+    this.ctx.shadowBlur = blink ? 25 : 8;
+    this.ctx.beginPath();
+    this.ctx.arc(position.x + size.width / 2, position.y + size.height / 2, Math.max(size.width, size.height) / 2, -Math.PI / 2, -Math.PI / 2 + left * Math.PI * 2);
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  /**
+   * @brief Draws the symbol of a bomb type in a badge on the bomb, see BombSymbols.
+   *
+   * @param bomb Bomb to mark.
+   * @param position Top left corner of the bomb.
+   */
+  drawBombSymbol(bomb, position) {
+    const type = bomb.bombType();
+    const symbol = type === BombType.Fuse ? String(Math.ceil(bomb.fuse)) : BombSymbols[type];
+    const size = bomb.imageSize;
+    const radius = Math.min(size.width, size.height) / 4;
+    const x = position.x + size.width / 2;
+    const y = position.y + size.height / 2;
+    this.ctx.save();
+    this.ctx.fillStyle = "#ffffff";
+    this.ctx.strokeStyle = BombSettings[type].color;
+    this.ctx.lineWidth = 4;
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+    this.ctx.fill();
+    this.ctx.stroke();
+    this.ctx.fillStyle = "#000000";
+    this.ctx.font = `bold ${Math.round(radius * 1.4)}px Arial, sans-serif`;
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    this.ctx.fillText(symbol, x, y);
+    this.ctx.restore();
+  }
+
+  /**
+   * @brief Draws a glowing ring marking a special fruit.
+   *
+   * @param position Top left corner of the fruit.
+   * @param size Fruit image size.
+   * @param color Color of the fruit effect.
+   */
+  drawAura(position, size, color) {
+    const radius = Math.max(size.width, size.height) / 2;
+    this.ctx.save();
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 4;
+    this.ctx.shadowColor = color;
+    this.ctx.shadowBlur = 20;
+    this.ctx.beginPath();
+    this.ctx.arc(position.x + size.width / 2, position.y + size.height / 2, radius, 0, Math.PI * 2);
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  /**
+   * @brief Draws a blade trail.
+   *
+   * Trail points older than BladeTrailDuration are not drawn.
+   *
+   * @param blade Blade to draw.
+   * @param now Current board time in seconds.
+   * @param color Trail color.
+   */
+  drawBlade(blade, now, color) {
+    const trail = blade.trail.filter((point) => now - point.time <= BladeTrailDuration);
+    if (trail.length < 2) {
+      return;
+    }
+
+    this.ctx.lineCap = "round";
+    this.ctx.lineJoin = "round";
+    this.ctx.beginPath();
+    this.ctx.moveTo(trail[0].position.x, trail[0].position.y);
+    trail.forEach((point) => {
+      this.ctx.lineTo(point.position.x, point.position.y);
+    });
+    if (this.highContrast) {
+      // a dark outline under a solid line stands out on any background
+      this.ctx.strokeStyle = HighContrastOutline;
+      this.ctx.lineWidth = 12;
+      this.ctx.stroke();
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = 6;
+      this.ctx.stroke();
+      return;
+    }
+
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 5;
+    this.ctx.shadowBlur = 10; // Add a blur effect to the line
+    this.ctx.shadowColor = color;
+    this.ctx.stroke();
+    this.ctx.shadowBlur = 0;
+  }
+
+  /**
+   * @brief Draws the blade cursor, a ring with a pointer in the slash direction.
+   *
+   * @param position Scene position of the cursor.
+   * @param direction Unit vector of the slash direction.
+   */
+  drawCursor(position, direction) {
+    const tip = new Point(position.x + direction.x * CursorRadius * 1.8, position.y + direction.y * CursorRadius * 1.8);
+    this.ctx.save();
+    this.ctx.lineCap = "round";
+    [
+      [HighContrastOutline, 7],
+      ["#ffffff", 3],
+    ].forEach(([color, width]) => {
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = width;
+      this.ctx.beginPath();
+      this.ctx.arc(position.x, position.y, CursorRadius, 0, Math.PI * 2);
+      this.ctx.moveTo(position.x + direction.x * CursorRadius, position.y + direction.y * CursorRadius);
+      this.ctx.lineTo(tip.x, tip.y);
+      this.ctx.stroke();
+    });
+    this.ctx.restore();
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * @brief Quality levels of particle effects, picked on the start screen.
+ */
+export const ParticleQuality = Object.freeze({
+  High: "high",
+  Low: "low",
+  Off: "off",
+});
+
+/**
+ * @brief Particle settings keyed by ParticleQuality.
+ *
+ * At most poolSize particles and splats juice splats are alive at once,
+ * spray particles are thrown per sliced fruit and explosion particles per
+ * exploded bomb. flash and shake tell whether a bomb flashes and shakes the
+ * screen.
+ */
+export const ParticleSettings = Object.freeze({
+  [ParticleQuality.High]: { name: "High", poolSize: 600, splats: 24, spray: 24, explosion: 120, flash: true, shake: true },
+  [ParticleQuality.Low]: { name: "Low", poolSize: 150, splats: 6, spray: 8, explosion: 40, flash: true, shake: false },
+  [ParticleQuality.Off]: { name: "Off", poolSize: 0, splats: 0, spray: 0, explosion: 0, flash: false, shake: false },
+});
+
+/**
+ * @brief Fixed-size pool of particles.
+ *
+ * Every particle is allocated up front and reused, so effects don't allocate
+ * while a game runs. Once the pool is full a new particle replaces the oldest
+ * one.
+ */
+export class ParticlePool {
+  /**
+   * @brief ParticlePool object constructor.
+   *
+   * @param capacity Maximum number of particles alive at once.
+   */
+  constructor(capacity) {
+    this.particles = Array.from({ length: capacity }, () => ({ x: 0, y: 0, vx: 0, vy: 0, gravity: 0, size: 0, color: "", age: 0, life: 0 }));
+    // index of the particle reused next
+    this.next = 0;
+  }
+
+  /**
+   * @brief Starts a particle.
+   *
+   * @param x Horizontal position in pixels.
+   * @param y Vertical position in pixels.
+   * @param vx Horizontal velocity in pixels per second.
+   * @param vy Vertical velocity in pixels per second.
+   * @param gravity Gravity in pixels per second squared.
+   * @param size Particle radius in pixels.
+   * @param color Particle CSS color.
+   * @param life Lifetime in seconds.
+   * @return The particle, null if the pool is empty.
+   */
+  emit(x, y, vx, vy, gravity, size, color, life) {
+    if (this.particles.length === 0) {
+      return null;
+    }
+
+    const particle = this.particles[this.next];
+    this.next = (this.next + 1) % this.particles.length;
+    Object.assign(particle, { x: x, y: y, vx: vx, vy: vy, gravity: gravity, size: size, color: color, age: 0, life: life });
+    return particle;
+  }
+
+  /**
+   * @brief Moves and ages alive particles.
+   *
+   * @param dt Time step in seconds.
+   */
+  update(dt) {
+    this.forEach((particle) => {
+      particle.age += dt;
+      particle.x += particle.vx * dt;
+      particle.y += particle.vy * dt + (particle.gravity * dt * dt) / 2;
+      particle.vy += particle.gravity * dt;
+    });
+  }
+
+  /**
+   * @brief Calls a callback with every alive particle.
+   *
+   * @param callback Function called with a particle and its progress in [0, 1).
+   */
+  forEach(callback) {
+    this.particles.forEach((particle) => {
+      if (particle.age < particle.life) {
+        callback(particle, particle.age / particle.life);
+      }
+    });
+  }
+
+  /**
+   * @brief Returns the number of alive particles.
+   */
+  aliveCount() {
+    let count = 0;
+    this.forEach(() => count++);
+    return count;
+  }
+
+  /**
+   * @brief Kills every particle.
+   */
+  clear() {
+    this.particles.forEach((particle) => (particle.life = 0));
+  }
+}
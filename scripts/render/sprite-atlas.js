@@ -0,0 +1,90 @@
+// Sprites are packed into 128 x 128 cells, 8 cells per row
+const CellSize = 128;
+const Columns = 8;
+// Empty pixels around every cell, so scaled sprites don't bleed into their neighbours
+const Padding = 2;
+
+/**
+ * @brief Creates a canvas to pack sprites on.
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * @brief Sprites packed into a single canvas.
+ *
+ * Every sprite is scaled to a cell of the atlas, the renderer draws parts of
+ * one image instead of switching between many.
+ */
+export class SpriteAtlas {
+  /**
+   * @brief Returns the area of a sprite in the atlas.
+   *
+   * @param index Index of the sprite.
+   * @return Object with x, y, width and height in pixels.
+   */
+  static frameAt(index) {
+    const stride = CellSize + 2 * Padding;
+    return {
+      x: (index % Columns) * stride + Padding,
+      y: Math.floor(index / Columns) * stride + Padding,
+      width: CellSize,
+      height: CellSize,
+    };
+  }
+
+  /**
+   * @brief Packs sprites into an atlas.
+   *
+   * @param sprites Map of the loaded sprite images keyed by path.
+   * @param environment Optional object with the createCanvas(width, height)
+   *        function to use, defaults to a canvas element.
+   */
+  constructor(sprites, environment = {}) {
+    const stride = CellSize + 2 * Padding;
+    const rows = Math.max(Math.ceil(sprites.size / Columns), 1);
+    this.canvas = (environment.createCanvas || createCanvas)(Math.min(sprites.size, Columns) * stride || stride, rows * stride);
+    // sprite areas keyed by path
+    this.frames = new Map();
+
+    const ctx = this.canvas.getContext("2d");
+    [...sprites].forEach(([path, image], index) => {
+      const frame = SpriteAtlas.frameAt(index);
+      ctx.drawImage(image, frame.x, frame.y, frame.width, frame.height);
+      this.frames.set(path, frame);
+    });
+  }
+
+  /**
+   * @brief Returns the area of a sprite.
+   *
+   * @param path Sprite image path.
+   * @throws Error if the sprite isn't in the atlas.
+   */
+  frame(path) {
+    const frame = this.frames.get(path);
+    if (!frame) {
+      throw new Error(`Sprite ${path} is not in the atlas, add it to the sprites of the asset manifest`);
+    }
+    return frame;
+  }
+
+  /**
+   * @brief Draws a sprite.
+   *
+   * @param ctx Canvas context to draw on.
+   * @param path Sprite image path.
+   * @param x Left edge of the sprite.
+   * @param y Top edge of the sprite.
+   * @param width Width of the sprite.
+   * @param height Height of the sprite.
+   */
+  draw(ctx, path, x, y, width, height) {
+    const frame = this.frame(path);
+    ctx.drawImage(this.canvas, frame.x, frame.y, frame.width, frame.height, x, y, width, height);
+  }
+}
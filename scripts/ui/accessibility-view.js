@@ -0,0 +1,90 @@
+import { BladeControl, SettingOptions } from "../core/accessibility.js";
+
+// Label of every setting, see SettingOptions
+const SettingLabels = Object.freeze({
+  controls: "Blade control",
+  gameSpeed: "Game speed",
+  fruitScale: "Fruit size",
+  highContrast: "High contrast blade trail",
+  reducedMotion: "Reduced motion (no shake or particles)",
+  bombSymbols: "Mark bombs with symbols",
+});
+// Names of the blade controls, numeric choices are shown as percentages
+const ControlNames = Object.freeze({
+  [BladeControl.Pointer]: "Mouse / touch",
+  [BladeControl.Cursor]: "Keyboard / gamepad",
+});
+
+/**
+ * @brief Accessibility settings panel opened from the start screen.
+ *
+ * Settings with two choices are checkboxes, the others are pickers. Every
+ * change is saved at once.
+ */
+export class AccessibilityView {
+  /**
+   * @brief AccessibilityView object constructor.
+   *
+   * @param settings Settings to change, see AccessibilitySettings.
+   * @param changed Function called after a setting was changed.
+   */
+  constructor(settings, changed) {
+    this.settings = settings;
+    this.element = document.getElementById("accessibility");
+    this.hintElement = document.getElementById("cursorHint");
+    document.getElementById("accessibilitySettings").replaceChildren(
+      ...Object.entries(SettingOptions).map(([name, options]) => {
+        const row = document.createElement("label");
+        row.className = "setting";
+        row.append(SettingLabels[name]);
+        const control = options.length === 2 && typeof options[0] === "boolean" ? this.checkbox(name) : this.picker(name, options);
+        control.addEventListener("change", () => {
+          settings.set(name, control.type === "checkbox" ? control.checked : options[control.selectedIndex]);
+          this.updateHint();
+          changed();
+        });
+        row.append(control);
+        return row;
+      })
+    );
+    this.updateHint();
+    document.getElementById("closeAccessibility").addEventListener("click", () => this.hide());
+  }
+
+  /**
+   * @brief Creates the checkbox of a setting.
+   */
+  checkbox(name) {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = this.settings.data[name];
+    return checkbox;
+  }
+
+  /**
+   * @brief Creates the picker of a setting.
+   */
+  picker(name, options) {
+    const select = document.createElement("select");
+    options.forEach((option) => {
+      const text = typeof option === "number" ? `${Math.round(option * 100)}%` : ControlNames[option];
+      select.add(new Option(text, String(option), false, this.settings.data[name] === option));
+    });
+    return select;
+  }
+
+  /**
+   * @brief Shows how to play with the cursor while it's the blade control.
+   */
+  updateHint() {
+    this.hintElement.style.display = this.settings.data.controls === BladeControl.Cursor ? "block" : "none";
+  }
+
+  show() {
+    this.element.style.display = "flex";
+  }
+
+  hide() {
+    this.element.style.display = "none";
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * @brief Daily challenge entry of the start screen and result code of the game over screen.
+ */
+export class DailyView {
+  /**
+   * @brief DailyView object constructor.
+   *
+   * @param daily Daily challenge progress, see DailyChallenge.
+   */
+  constructor(daily) {
+    this.daily = daily;
+    this.statusElement = document.getElementById("dailyStatus");
+    this.resultElement = document.getElementById("dailyResult");
+    this.resultTextElement = document.getElementById("dailyResultText");
+    this.codeInput = document.getElementById("dailyCode");
+    this.copyButton = document.getElementById("copyDailyCode");
+    this.copyButton.addEventListener("click", () => this.copyCode());
+  }
+
+  /**
+   * @brief Shows today's state of the challenge on the start screen.
+   */
+  showStatus() {
+    const streak = this.daily.streak();
+    const played = this.daily.hasPlayedToday() ? `Today: ${this.daily.result().score}, replays are practice` : "Not played today";
+    this.statusElement.textContent = streak > 0 ? `${played} · Streak: ${streak} ${streak === 1 ? "day" : "days"}` : played;
+  }
+
+  /**
+   * @brief Records a finished daily run and shows the result code.
+   *
+   * @param game Finished game.
+   * @param result Result of the run, see GameEvent.GameOver.
+   */
+  gameEnded(game, result) {
+    if (game.mode.id !== "daily") {
+      this.resultElement.style.display = "none";
+      return;
+    }
+
+    const today = game.ranked ? this.daily.finish(result.score) : this.daily.result();
+    this.resultTextElement.textContent = game.ranked
+      ? `Daily challenge ${today.day}, streak: ${this.daily.streak()}`
+      : `Practice run, your score of ${today.day} is ${today.score}`;
+    this.codeInput.value = today.code;
+    this.copyButton.textContent = "Copy";
+    this.resultElement.style.display = "flex";
+  }
+
+  /**
+   * @brief Copies the result code, selecting it if the clipboard isn't available.
+   */
+  async copyCode() {
+    this.codeInput.select();
+    try {
+      await navigator.clipboard.writeText(this.codeInput.value);
+      this.copyButton.textContent = "Copied!";
+    } catch (error) {
+      // the selected code can still be copied by hand
+      this.copyButton.textContent = "Press Ctrl+C";
+    }
+  }
+}
@@ -0,0 +1,311 @@
+import { GameEngine } from "../core/engine.js";
+import { ReplayPlayer, parseReplay, verifyReplay } from "../core/replay.js";
+import { GameState, GameTransitions, StateMachine } from "../core/state-machine.js";
+import { ReplayView } from "./replay-view.js";
+
+// The countdown shows 3, 2, 1 for a second each
+const CountdownFrom = 3;
+const CountdownStep = 1000;
+// Keys opening and closing the pause menu
+const PauseKeys = ["Escape", "p", "P"];
+
+/**
+ * @brief Drives the game through its states: menu, countdown, playing,
+ * paused, game over and replay.
+ *
+ * Every state shows its part of the page on enter and hides it on exit,
+ * listeners and timers of a state live in its scope.
+ */
+export class GameFlow {
+  /**
+   * @brief GameFlow object constructor.
+   *
+   * @param app Object with the createGame(options) function returning a new
+   *        GameEngine (or a VersusMatch for a versus match), the
+   *        createPlayback(replay) function returning a new game playing a
+   *        replay back, the waves played, the blade inputs (see PointerInput
+   *        and CursorInput), the game view, the versus view, the daily
+   *        challenge view, the saved run (see RunSave) and the renderer.
+   */
+  constructor(app) {
+    this.createGame = app.createGame;
+    this.createPlayback = app.createPlayback;
+    this.waves = app.waves;
+    this.inputs = app.inputs;
+    this.view = app.view;
+    this.versusView = app.versusView;
+    this.dailyView = app.dailyView;
+    this.runSave = app.runSave;
+    this.renderer = app.renderer;
+    this.game = null;
+    // options of the games started until the menu is shown again, see createGame()
+    this.gameOptions = {};
+
+    this.startPage = document.getElementById("startGame");
+    this.continueButton = document.getElementById("continueRunBtn");
+    this.hud = document.getElementById("insideGameContainer");
+    this.countdownElement = document.getElementById("countDownContainer");
+    this.countdownText = this.countdownElement.querySelector("h1");
+    this.pauseMenu = document.getElementById("pauseMenu");
+    this.replayView = new ReplayView();
+    this.replayMessage = document.getElementById("replayMessage");
+    // replay being watched, the finished game and its result wait for it
+    this.player = null;
+    this.finished = null;
+
+    this.machine = new StateMachine(
+      {
+        [GameState.Menu]: { enter: (scope) => this.enterMenu(scope), exit: () => this.exitMenu() },
+        [GameState.Countdown]: { enter: (scope) => this.enterCountdown(scope), exit: () => this.exitCountdown() },
+        [GameState.Playing]: { enter: (scope) => this.enterPlaying(scope), exit: () => this.inputs.forEach((input) => input.detach()) },
+        [GameState.Paused]: { enter: (scope) => this.enterPaused(scope), exit: () => (this.pauseMenu.style.display = "none") },
+        [GameState.GameOver]: { enter: (scope) => this.enterGameOver(scope), exit: () => this.exitGameOver() },
+        [GameState.Replay]: { enter: (scope, params) => this.enterReplay(scope, params.replay), exit: () => this.exitReplay() },
+      },
+      GameTransitions
+    );
+  }
+
+  /**
+   * @brief Opens the menu.
+   */
+  start() {
+    this.machine.transition(GameState.Menu);
+  }
+
+  /**
+   * @brief Replaces the game with a new one, the plugins leave the old one.
+   *
+   * @param options Optional game options kept for restarts, e.g. { daily: true }
+   *        or { versus: true }.
+   */
+  newGame(options = this.gameOptions) {
+    this.gameOptions = options;
+    if (this.game) {
+      this.game.dispose();
+    }
+    this.game = this.createGame(options);
+  }
+
+  /**
+   * @brief Advances the game by one physics step, an ended game shows the game over state.
+   *
+   * @param dt Time step in seconds.
+   */
+  update(dt) {
+    if (this.player) {
+      this.player.update(dt);
+      this.game = this.player.engine;
+      this.replayView.update(this.player);
+      return;
+    }
+
+    this.game.update(dt);
+    this.runSave.checkpoint();
+    if (this.machine.is(GameState.Playing) && this.game.isGameOver) {
+      this.dailyView.gameEnded(this.game, this.view.result);
+      this.machine.transition(GameState.GameOver);
+    }
+  }
+
+  /**
+   * @brief Pauses on Esc or P, the pause button, or when the page gets hidden.
+   *
+   * @param scope Scope of the state that can be paused.
+   */
+  listenForPause(scope) {
+    const pause = () => this.machine.transition(GameState.Paused);
+    scope.listen(document, "keydown", (event) => {
+      if (PauseKeys.includes(event.key)) {
+        pause();
+      }
+    });
+    scope.listen(document, "visibilitychange", () => {
+      if (document.hidden) {
+        pause();
+      }
+    });
+    scope.listen(document.getElementById("pauseBtn"), "click", pause);
+  }
+
+  /**
+   * @brief Starts a new game with a countdown.
+   */
+  restart() {
+    this.newGame();
+    this.machine.transition(GameState.Countdown);
+  }
+
+  /**
+   * @brief Resumes the saved run with a countdown, restarts begin a new run of its kind.
+   */
+  continueRun() {
+    const run = this.runSave.load();
+    if (!run) {
+      // the save was discarded since the menu was shown
+      this.continueButton.style.display = "none";
+      return;
+    }
+
+    const daily = run.mode === "daily";
+    this.newGame({ daily: daily, run: run });
+    this.gameOptions = { daily: daily };
+    this.machine.transition(GameState.Countdown);
+  }
+
+  enterMenu(scope) {
+    this.newGame({});
+    this.dailyView.showStatus();
+    this.continueButton.style.display = this.runSave.load() ? "inline-block" : "none";
+    scope.listen(this.continueButton, "click", () => this.continueRun());
+    this.startPage.style.display = "flex";
+    this.hud.style.display = "none";
+    scope.listen(document.getElementById("startGameBtn"), "click", () => this.machine.transition(GameState.Countdown));
+    scope.listen(document.getElementById("dailyBtn"), "click", () => {
+      this.newGame({ daily: true });
+      this.machine.transition(GameState.Countdown);
+    });
+    scope.listen(document.getElementById("versusBtn"), "click", () => {
+      this.newGame({ versus: true });
+      this.machine.transition(GameState.Countdown);
+    });
+  }
+
+  exitMenu() {
+    this.startPage.style.display = "none";
+    this.hud.style.display = "flex";
+  }
+
+  enterCountdown(scope) {
+    let count = CountdownFrom;
+    this.countdownText.textContent = count;
+    this.countdownElement.style.display = "flex";
+    scope.setInterval(() => {
+      count--;
+      if (count > 0) {
+        this.countdownText.textContent = count;
+      } else {
+        this.machine.transition(GameState.Playing);
+      }
+    }, CountdownStep);
+    this.listenForPause(scope);
+  }
+
+  exitCountdown() {
+    this.countdownElement.style.display = "none";
+  }
+
+  enterPlaying(scope) {
+    this.inputs.forEach((input) => input.attach(this.game));
+    if (this.game.isStarted) {
+      this.game.resume();
+    } else {
+      this.game.start();
+    }
+    this.listenForPause(scope);
+  }
+
+  enterPaused(scope) {
+    this.game.pause();
+    this.pauseMenu.style.display = "flex";
+    const resume = () => this.machine.transition(GameState.Countdown);
+    scope.listen(document.getElementById("resumeGame"), "click", resume);
+    scope.listen(document.getElementById("restartFromPause"), "click", () => this.restart());
+    scope.listen(document.getElementById("quitGame"), "click", () => this.machine.transition(GameState.Menu));
+    scope.listen(document, "keydown", (event) => {
+      if (PauseKeys.includes(event.key)) {
+        resume();
+      }
+    });
+  }
+
+  enterGameOver(scope) {
+    if (this.gameOptions.versus) {
+      this.enterVersusResults(scope);
+      return;
+    }
+
+    // let a bomb explosion play out first
+    scope.setTimeout(() => this.view.showGameOver(), this.renderer.explosionTimeLeft());
+    scope.listen(document.getElementById("restartGame"), "click", () => this.restart());
+    scope.listen(document.getElementById("menuFromGameOver"), "click", () => this.machine.transition(GameState.Menu));
+
+    const replay = this.view.result.replay;
+    const watchButton = document.getElementById("watchReplay");
+    const exportButton = document.getElementById("exportReplay");
+    const importInput = document.getElementById("importReplay");
+    watchButton.disabled = !replay;
+    exportButton.disabled = !replay;
+    this.replayMessage.textContent = "";
+    scope.listen(watchButton, "click", () => this.machine.transition(GameState.Replay, { replay: replay }));
+    scope.listen(exportButton, "click", () => ReplayView.download(replay));
+    scope.listen(importInput, "change", async () => {
+      const file = importInput.files[0];
+      importInput.value = "";
+      try {
+        const imported = parseReplay(await file.text());
+        if (this.machine.is(GameState.GameOver)) {
+          this.machine.transition(GameState.Replay, { replay: imported });
+        }
+      } catch (error) {
+        this.replayMessage.textContent = error.message;
+      }
+    });
+  }
+
+  /**
+   * @brief Shows the results of a finished versus match, a rematch starts a new one.
+   *
+   * @param scope Scope of the game over state.
+   */
+  enterVersusResults(scope) {
+    scope.setTimeout(() => this.versusView.showResults(this.game), this.renderer.explosionTimeLeft());
+    scope.listen(document.getElementById("rematch"), "click", () => this.restart());
+    scope.listen(document.getElementById("menuFromVersus"), "click", () => this.machine.transition(GameState.Menu));
+  }
+
+  exitGameOver() {
+    this.view.hideGameOver();
+    this.versusView.hideResults();
+  }
+
+  enterReplay(scope, replay) {
+    this.finished = { game: this.game, result: this.view.result };
+    // the check plays the whole run once without showing it
+    const check = verifyReplay(replay, (recorded) => GameEngine.fromReplay(recorded, [], { waves: this.waves }));
+    this.player = new ReplayPlayer(replay, (recorded) => this.createPlayback(recorded));
+    this.game = this.player.engine;
+    this.replayView.show(this.player, check);
+
+    const speedPicker = document.getElementById("replaySpeed");
+    const scrub = document.getElementById("replayScrub");
+    scope.listen(document.getElementById("replayPlayPause"), "click", () => {
+      if (this.player.isFinished()) {
+        // play a finished replay again
+        this.player.restart();
+        this.player.isPaused = false;
+      } else {
+        this.player.isPaused = !this.player.isPaused;
+      }
+    });
+    scope.listen(speedPicker, "change", () => (this.player.speed = Number(speedPicker.value)));
+    scope.listen(scrub, "input", () => {
+      // skipped slices make no sound and leave no juice
+      this.view.quiet = true;
+      this.player.seek(Number(scrub.value));
+      this.view.quiet = false;
+      this.renderer.reset();
+      this.game = this.player.engine;
+    });
+    scope.listen(document.getElementById("closeReplay"), "click", () => this.machine.transition(GameState.GameOver));
+  }
+
+  exitReplay() {
+    this.replayView.hide();
+    this.player.engine.dispose();
+    this.player = null;
+    this.game = this.finished.game;
+    this.view.gameOver(this.finished.result);
+    this.finished = null;
+  }
+}
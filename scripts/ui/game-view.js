@@ -0,0 +1,241 @@
+import { HudElement } from "../core/modes.js";
+import { EffectKind, EffectSettings } from "../core/effects.js";
+import { BombType } from "../core/bombs.js";
+import { GameEvent, GamePlugin } from "../core/events.js";
+
+// The timer turns red during the last 10 seconds
+const TimerWarning = 10;
+
+// Font Awesome icons of the effect indicators
+const EffectIcons = Object.freeze({
+  [EffectKind.Freeze]: "fa-snowflake",
+  [EffectKind.Frenzy]: "fa-fire",
+  [EffectKind.DoubleScore]: "fa-star",
+  [EffectKind.SpeedUp]: "fa-forward",
+});
+
+// Sound sets played when a bomb of a type is thrown and when it goes off
+export const BombSounds = Object.freeze({
+  [BombType.Classic]: { thrown: "bombFuse", explosion: "explosion" },
+  [BombType.Penalty]: { thrown: "penaltyBomb", explosion: "penaltyExplosion" },
+  [BombType.Fuse]: { thrown: "fuseBomb", explosion: "blast" },
+});
+
+/**
+ * @brief Game view showing the game state in the page HUD.
+ *
+ * A plugin following the events of every game: it updates the HUD, plays
+ * the sounds and shows the effects of the renderer.
+ */
+export class GameView extends GamePlugin {
+  /**
+   * @brief GameView object constructor.
+   *
+   * @param renderer Canvas renderer showing floating labels.
+   * @param sounds Sound manager playing the game sounds.
+   * @param leaderboard Leaderboard keeping the finished runs.
+   */
+  constructor(renderer, sounds, leaderboard) {
+    super("view");
+    this.renderer = renderer;
+    this.sounds = sounds;
+    this.leaderboard = leaderboard;
+    this.scoreElement = document.getElementById("score");
+    this.highScoreElements = [document.getElementById("highScore"), document.getElementById("homeHighScore")];
+    this.chancesElement = document.getElementById("gameChances");
+    this.chanceImages = [document.getElementById("chance1"), document.getElementById("chance2"), document.getElementById("chance3")];
+    this.timerElement = document.getElementById("gameTimer");
+    this.timeLeftElement = document.getElementById("timeLeft");
+    this.effectsElement = document.getElementById("effects");
+    this.gameEndDiv = document.getElementById("gameEndDiv");
+    this.endGameScoreElement = document.getElementById("endGameScore");
+    this.recordForm = document.getElementById("recordForm");
+    this.recordRankElement = document.getElementById("recordRank");
+    this.playerNameInput = document.getElementById("playerName");
+    // leaderboard entry of the last run waiting for the player name
+    this.record = null;
+    this.recordForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.saveRecord();
+    });
+    // result of the last run, shown by showGameOver()
+    this.result = null;
+    // no sounds and effects while a replay fast-forwards
+    this.quiet = false;
+  }
+
+  /**
+   * @brief Follows the events of a new game.
+   *
+   * @param events Event bus of the game.
+   */
+  attach(events) {
+    events.on(GameEvent.ScoreChanged, ({ score }) => this.scoreChanged(score));
+    events.on(GameEvent.HighScoreChanged, ({ highScore }) => this.highScoreChanged(highScore));
+    events.on(GameEvent.ChanceLost, ({ missedFruits }) => this.chanceLost(missedFruits));
+    events.on(GameEvent.TimeChanged, ({ seconds }) => this.timeChanged(seconds));
+    events.on(GameEvent.ComboEnded, (combo) => this.comboEnded(combo));
+    events.on(GameEvent.FruitSpawned, ({ fruit }) => {
+      if (fruit.isBomb()) {
+        this.bombThrown(fruit);
+      }
+    });
+    events.on(GameEvent.FruitSliced, ({ fruit }) => this.fruitSliced(fruit));
+    events.on(GameEvent.BombDetonated, ({ bomb, blasted }) => this.bombDetonated(bomb, blasted));
+    events.on(GameEvent.BombDefused, ({ bomb }) => this.bombDefused(bomb));
+    events.on(GameEvent.EffectsChanged, ({ effects }) => this.effectsChanged(effects));
+    events.on(GameEvent.GameOver, (result) => this.gameOver(result));
+  }
+
+  /**
+   * @brief Prepares the HUD for a new game.
+   *
+   * @param mode Game mode, decides which HUD elements are shown.
+   */
+  reset(mode) {
+    this.chancesElement.style.display = mode.hud.includes(HudElement.Chances) ? "block" : "none";
+    this.timerElement.style.display = mode.hud.includes(HudElement.Timer) ? "block" : "none";
+    // Show all chances
+    this.chanceImages.forEach((image) => (image.style.display = "block"));
+    this.effectsElement.replaceChildren();
+    this.result = null;
+    // a record left without a new name keeps the last one
+    this.record = null;
+    this.hideGameOver();
+    this.renderer.reset();
+  }
+
+  scoreChanged(score) {
+    this.scoreElement.textContent = score;
+  }
+
+  highScoreChanged(highScore) {
+    this.highScoreElements.forEach((element) => (element.textContent = highScore));
+  }
+
+  /**
+   * @brief Plays a sound unless the view is quiet.
+   *
+   * @param name Sound set name.
+   */
+  play(name) {
+    if (!this.quiet) {
+      this.sounds.play(name);
+    }
+  }
+
+  chanceLost(missedFruits) {
+    this.play("miss");
+    // Remove the images of the lost chances, a resumed run can have lost several
+    this.chanceImages.slice(0, missedFruits).forEach((image) => (image.style.display = "none"));
+  }
+
+  timeChanged(seconds) {
+    this.timeLeftElement.textContent = seconds;
+    this.timerElement.classList.toggle("warning", seconds <= TimerWarning);
+  }
+
+  comboEnded(combo) {
+    if (this.quiet) {
+      return;
+    }
+    this.play("combo");
+    this.renderer.addFloatingLabel(combo.position, `+${combo.count} combo`, `+${combo.bonus}`);
+  }
+
+  fruitSliced(fruit) {
+    if (this.quiet) {
+      return;
+    }
+    if (fruit.isBomb()) {
+      // a fuse bomb goes off in bombDetonated()
+      if (fruit.bombType() !== BombType.Fuse) {
+        this.play(BombSounds[fruit.bombType()].explosion);
+        this.renderer.explode(fruit);
+      }
+    } else {
+      this.play("slice");
+      this.renderer.splash(fruit);
+    }
+  }
+
+  bombThrown(bomb) {
+    this.play(BombSounds[bomb.bombType()].thrown);
+  }
+
+  bombDetonated(bomb, blasted) {
+    if (this.quiet) {
+      return;
+    }
+    this.play(BombSounds[BombType.Fuse].explosion);
+    this.renderer.explode(bomb);
+    this.renderer.blast(bomb, blasted);
+  }
+
+  bombDefused(bomb) {
+    if (this.quiet) {
+      return;
+    }
+    this.play("defuse");
+    this.renderer.addFloatingLabel(bomb.center(), "Defused", "");
+  }
+
+  effectsChanged(effects) {
+    this.effectsElement.replaceChildren(
+      ...effects.map((effect) => {
+        const settings = EffectSettings[effect.kind];
+        const indicator = document.createElement("div");
+        indicator.className = "effect";
+        indicator.style.setProperty("--effect-color", settings.color);
+        indicator.innerHTML = `<i class="fas ${EffectIcons[effect.kind]}"></i> ${settings.name} <span>${effect.seconds}s</span>`;
+        return indicator;
+      })
+    );
+  }
+
+  gameOver(result) {
+    this.result = result;
+  }
+
+  /**
+   * @brief Shows the game over overlay with the result of the last run.
+   */
+  showGameOver() {
+    const result = this.result;
+    this.sounds.play("gameOver");
+    this.gameEndDiv.style.display = "flex";
+    this.gameEndDiv.style.justifyContent = "center";
+    this.gameEndDiv.style.alignItems = "center";
+    this.gameEndDiv.style.opacity = 0.9;
+    this.endGameScoreElement.textContent = result.score;
+
+    // a run in the leaderboard asks for the player name, once
+    this.record = result.rank >= 0 && !result.named ? result.entry : null;
+    this.recordForm.style.display = this.record ? "flex" : "none";
+    if (this.record) {
+      this.recordRankElement.textContent = `#${result.rank + 1}`;
+      this.playerNameInput.value = this.leaderboard.playerName();
+      this.playerNameInput.focus();
+      this.playerNameInput.select();
+    }
+  }
+
+  /**
+   * @brief Hides the game over overlay.
+   */
+  hideGameOver() {
+    this.gameEndDiv.style.display = "none";
+  }
+
+  /**
+   * @brief Saves the entered player name to the leaderboard entry of the last run.
+   */
+  saveRecord() {
+    if (this.record) {
+      this.leaderboard.rename(this.record, this.playerNameInput.value);
+      this.record = null;
+      this.result.named = true;
+    }
+    this.recordForm.style.display = "none";
+  }
+}
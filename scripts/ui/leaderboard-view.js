@@ -0,0 +1,99 @@
+/**
+ * @brief Formats a run duration as minutes and seconds.
+ *
+ * @param seconds Duration in seconds, null if unknown.
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return "–";
+  }
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+/**
+ * @brief Formats a run date, dates of migrated high scores are unknown.
+ *
+ * @param date ISO date string or null.
+ */
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString() : "–";
+}
+
+/**
+ * @brief Leaderboard screen opened from the start page.
+ *
+ * Shows the top runs of one game mode at a time, a tab per mode.
+ */
+export class LeaderboardView {
+  /**
+   * @brief LeaderboardView object constructor.
+   *
+   * @param leaderboard Leaderboard to show.
+   * @param modes Map of the game modes keyed by id, see GameModes.
+   */
+  constructor(leaderboard, modes) {
+    this.leaderboard = leaderboard;
+    this.modes = modes;
+    this.element = document.getElementById("leaderboard");
+    this.tabsElement = document.getElementById("leaderboardTabs");
+    this.rowsElement = document.getElementById("leaderboardRows");
+    document.getElementById("closeLeaderboard").addEventListener("click", () => this.hide());
+  }
+
+  /**
+   * @brief Opens the leaderboard.
+   *
+   * @param modeId Id of the game mode shown first.
+   */
+  show(modeId) {
+    this.element.style.display = "flex";
+    this.showMode(modeId);
+  }
+
+  hide() {
+    this.element.style.display = "none";
+  }
+
+  /**
+   * @brief Shows the table of a game mode.
+   *
+   * @param modeId Game mode id.
+   */
+  showMode(modeId) {
+    const ranked = [...this.modes.values()].filter((mode) => mode.hasLeaderboard);
+    this.tabsElement.replaceChildren(
+      ...ranked.map((mode) => {
+        const tab = document.createElement("button");
+        tab.textContent = mode.name;
+        tab.classList.toggle("selected", mode.id === modeId);
+        tab.addEventListener("click", () => this.showMode(mode.id));
+        return tab;
+      })
+    );
+
+    const entries = this.leaderboard.entries(modeId);
+    if (entries.length === 0) {
+      const row = document.createElement("tr");
+      const cell = document.createElement("td");
+      cell.colSpan = 7;
+      cell.textContent = "No runs yet";
+      row.appendChild(cell);
+      this.rowsElement.replaceChildren(row);
+      return;
+    }
+
+    this.rowsElement.replaceChildren(
+      ...entries.map((entry, index) => {
+        const row = document.createElement("tr");
+        // names are typed by players, so they're only ever set as text
+        [index + 1, entry.name, entry.score, entry.bestCombo ?? "–", entry.fruitsSliced ?? "–", formatDuration(entry.duration), formatDate(entry.date)].forEach((value) => {
+          const cell = document.createElement("td");
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+        return row;
+      })
+    );
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * @brief Loading screen shown on the start page while assets load.
+ *
+ * The start buttons stay disabled until every asset is loaded.
+ */
+export class LoadingView {
+  constructor() {
+    this.loadingElement = document.getElementById("loading");
+    this.progressElement = document.getElementById("loadingProgress");
+    this.textElement = document.getElementById("loadingText");
+    this.startButtons = [document.getElementById("startGameBtn"), document.getElementById("dailyBtn"), document.getElementById("continueRunBtn"), document.getElementById("versusBtn")];
+    this.startButtons.forEach((button) => (button.disabled = true));
+  }
+
+  /**
+   * @brief Shows the loading progress.
+   *
+   * @param loaded Number of settled assets.
+   * @param total Number of all assets.
+   */
+  progress(loaded, total) {
+    const percent = total > 0 ? Math.round((loaded / total) * 100) : 100;
+    this.progressElement.style.width = `${percent}%`;
+    this.textElement.textContent = `Loading ${percent}%`;
+  }
+
+  /**
+   * @brief Shows why the game can't start.
+   *
+   * @param error Loading error, see AssetError.
+   */
+  failed(error) {
+    this.loadingElement.classList.add("failed");
+    this.textElement.textContent = error.message;
+  }
+
+  /**
+   * @brief Hides the loading screen and enables the start buttons.
+   */
+  done() {
+    this.loadingElement.style.display = "none";
+    this.startButtons.forEach((button) => (button.disabled = false));
+  }
+}
@@ -0,0 +1,70 @@
+import { PhysicsStep } from "../core/constants.js";
+
+// Playback speeds offered in the speed picker
+const ReplaySpeeds = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * @brief Formats a number of physics steps as m:ss.
+ */
+function formatSteps(steps) {
+  const seconds = Math.floor(steps * PhysicsStep);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * @brief Replay controls shown over a played back run.
+ */
+export class ReplayView {
+  /**
+   * @brief Saves a replay as a JSON file.
+   *
+   * @param replay Replay, see ReplayRecorder.
+   */
+  static download(replay) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(replay)], { type: "application/json" }));
+    link.download = `replay-${replay.mode}-${replay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  constructor() {
+    this.element = document.getElementById("replayControls");
+    this.playPauseButton = document.getElementById("replayPlayPause");
+    this.speedPicker = document.getElementById("replaySpeed");
+    this.scrub = document.getElementById("replayScrub");
+    this.timeElement = document.getElementById("replayTime");
+    this.statusElement = document.getElementById("replayStatus");
+    ReplaySpeeds.forEach((speed) => this.speedPicker.add(new Option(`${speed}x`, speed, false, speed === 1)));
+  }
+
+  /**
+   * @brief Shows the controls of a playback.
+   *
+   * @param player Replay player.
+   * @param check Result of verifyReplay().
+   */
+  show(player, check) {
+    this.speedPicker.value = player.speed;
+    this.scrub.max = player.replay.steps;
+    this.statusElement.textContent = check.valid ? `Verified: ${check.score} points` : `Score mismatch: ${player.replay.score} claimed, ${check.score} played`;
+    this.statusElement.classList.toggle("invalid", !check.valid);
+    this.element.style.display = "flex";
+    this.update(player);
+  }
+
+  /**
+   * @brief Shows the playback position.
+   *
+   * @param player Replay player.
+   */
+  update(player) {
+    this.scrub.value = player.step;
+    this.timeElement.textContent = `${formatSteps(player.step)} / ${formatSteps(player.replay.steps)}`;
+    this.playPauseButton.innerHTML = player.isPaused || player.isFinished() ? "<i class='fas fa-play'></i>" : "<i class='fas fa-pause'></i>";
+  }
+
+  hide() {
+    this.element.style.display = "none";
+  }
+}
@@ -0,0 +1,128 @@
+import { Achievements } from "../core/stats.js";
+
+// An achievement toast stays for 3 seconds, toasts of several achievements follow each other
+const ToastDuration = 3000;
+
+/**
+ * @brief Formats a time as hours, minutes and seconds, hours only if there are any.
+ *
+ * @param seconds Time in seconds.
+ */
+function formatTime(seconds) {
+  const whole = Math.round(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor((whole % 3600) / 60);
+  const rest = String(whole % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * @brief Creates an element with a class and a text.
+ */
+function element(tag, className, text) {
+  const created = document.createElement(tag);
+  created.className = className;
+  created.textContent = text;
+  return created;
+}
+
+/**
+ * @brief Statistics and achievements screen opened from the start page, and
+ * the toasts of achievements unlocked in a game.
+ */
+export class StatsView {
+  /**
+   * @brief StatsView object constructor.
+   *
+   * @param stats Lifetime statistics to show, see LifetimeStats.
+   */
+  constructor(stats) {
+    this.stats = stats;
+    this.element = document.getElementById("stats");
+    this.rowsElement = document.getElementById("statsRows");
+    this.fruitsElement = document.getElementById("fruitStats");
+    this.achievementsElement = document.getElementById("achievementList");
+    this.toastElement = document.getElementById("achievementToast");
+    // achievements waiting for their toast, the first one is shown
+    this.toasts = [];
+    document.getElementById("closeStats").addEventListener("click", () => this.hide());
+  }
+
+  /**
+   * @brief Opens the statistics screen.
+   */
+  show() {
+    const data = this.stats.data;
+    const rows = [
+      ["Games played", data.gamesPlayed],
+      ["Fruits sliced", this.stats.totalSlices()],
+      ["Bombs hit", data.bombsHit],
+      ["Fruits missed", data.misses],
+      ["Best combo", data.bestCombo],
+      ["Longest run", formatTime(data.longestRun)],
+      ["Time played", formatTime(data.playTime)],
+    ];
+    this.rowsElement.replaceChildren(
+      ...rows.map(([name, value]) => {
+        const row = document.createElement("tr");
+        row.append(element("td", "", name), element("td", "", value));
+        return row;
+      })
+    );
+
+    this.fruitsElement.replaceChildren(
+      ...this.stats.catalog.fruits.map((kind) => {
+        const fruit = element("div", "fruitStat", "");
+        const image = document.createElement("img");
+        image.src = kind.sprites[0];
+        image.alt = kind.id;
+        fruit.append(image, element("span", "", this.stats.slices(kind.id)));
+        return fruit;
+      })
+    );
+
+    this.achievementsElement.replaceChildren(
+      ...Achievements.map((achievement) => {
+        const date = this.stats.unlockedOn(achievement.id);
+        const item = element("li", date ? "unlocked" : "locked", "");
+        const icon = element("i", date ? "fas fa-medal" : "fas fa-lock", "");
+        const status = date ? `Unlocked ${new Date(date).toLocaleDateString()}` : "Locked";
+        item.append(icon, element("span", "achievementName", achievement.name), element("span", "achievementDescription", `${achievement.description} · ${status}`));
+        return item;
+      })
+    );
+    this.element.style.display = "flex";
+  }
+
+  hide() {
+    this.element.style.display = "none";
+  }
+
+  /**
+   * @brief Shows the toast of a newly unlocked achievement.
+   *
+   * @param achievement Unlocked achievement, see Achievements.
+   */
+  toast(achievement) {
+    this.toasts.push(achievement);
+    if (this.toasts.length === 1) {
+      this.showToast();
+    }
+  }
+
+  /**
+   * @brief Shows the first waiting toast, then the next one.
+   */
+  showToast() {
+    const achievement = this.toasts[0];
+    this.toastElement.replaceChildren(element("i", "fas fa-medal", ""), element("span", "achievementName", `Achievement unlocked: ${achievement.name}`), element("span", "achievementDescription", achievement.description));
+    this.toastElement.classList.add("visible");
+    setTimeout(() => {
+      this.toastElement.classList.remove("visible");
+      this.toasts.shift();
+      if (this.toasts.length > 0) {
+        this.showToast();
+      }
+    }, ToastDuration);
+  }
+}
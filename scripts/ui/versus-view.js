@@ -0,0 +1,173 @@
+import { GameEvent, GamePlugin } from "../core/events.js";
+import { EffectSettings } from "../core/effects.js";
+import { BombType } from "../core/bombs.js";
+import { Point } from "../core/geometry.js";
+import { VersusAttack, VersusAttacks } from "../core/versus.js";
+import { BombSounds } from "./game-view.js";
+
+// Blade trail and HUD color of every player
+export const PlayerColors = Object.freeze(["#4cc9f0", "#ff9f1c"]);
+// Labels shown where a special fruit sending an attack was sliced
+const AttackLabels = Object.freeze({
+  [VersusAttack.Bomb]: "Bomb sent!",
+  [VersusAttack.SpeedUp]: "Speed-up sent!",
+});
+
+/**
+ * @brief HUD and effects of one player of a versus match.
+ *
+ * A plugin following the game of the player: it shows the score, chances
+ * and active effects in the player's half of the HUD, plays the sounds and
+ * shows the juice and explosions on the player's half of the scene.
+ */
+class PlayerView extends GamePlugin {
+  /**
+   * @brief PlayerView object constructor.
+   *
+   * @param index Index of the player, 0 for the left one.
+   * @param renderer Canvas renderer drawing the match.
+   * @param sounds Sound manager playing the game sounds.
+   */
+  constructor(index, renderer, sounds) {
+    super("player");
+    this.index = index;
+    this.renderer = renderer;
+    this.sounds = sounds;
+    this.element = document.getElementById(`versusPlayer${index + 1}`);
+    this.element.style.setProperty("--player-color", PlayerColors[index]);
+    this.scoreElement = this.element.querySelector(".versusScore");
+    this.chanceIcons = [...this.element.querySelectorAll(".versusChances i")];
+    this.effectsElement = this.element.querySelector(".versusEffects");
+    this.engine = null;
+  }
+
+  /**
+   * @brief Follows the events of the player's game.
+   *
+   * @param events Event bus of the game.
+   * @param engine Game engine of the player.
+   */
+  attach(events, engine) {
+    this.engine = engine;
+    events.on(GameEvent.ScoreChanged, ({ score }) => (this.scoreElement.textContent = score));
+    events.on(GameEvent.ChanceLost, ({ missedFruits }) => {
+      this.sounds.play("miss");
+      this.chanceIcons.slice(0, missedFruits).forEach((icon) => icon.classList.add("lost"));
+    });
+    events.on(GameEvent.FruitSpawned, ({ fruit }) => {
+      if (fruit.isBomb()) {
+        this.sounds.play(BombSounds[fruit.bombType()].thrown);
+      }
+    });
+    events.on(GameEvent.FruitSliced, ({ fruit, position }) => this.fruitSliced(fruit, position));
+    events.on(GameEvent.BombDetonated, ({ bomb, blasted }) => {
+      this.sounds.play(BombSounds[BombType.Fuse].explosion);
+      this.renderer.explode(bomb, this.left());
+      this.renderer.blast(bomb, blasted, this.left());
+    });
+    events.on(GameEvent.BombDefused, ({ bomb }) => {
+      this.sounds.play("defuse");
+      this.addLabel(bomb.center(), "Defused", "");
+    });
+    events.on(GameEvent.ComboEnded, ({ position, count, bonus }) => {
+      this.sounds.play("combo");
+      this.addLabel(position, `+${count} combo`, `+${bonus}`);
+    });
+    events.on(GameEvent.EffectsChanged, ({ effects }) => {
+      this.effectsElement.textContent = effects.map((effect) => `${EffectSettings[effect.kind].name} ${effect.seconds}s`).join(" · ");
+    });
+  }
+
+  /**
+   * @brief Returns the left edge of the player's board in the scene.
+   */
+  left() {
+    return this.index * this.engine.board.size.width;
+  }
+
+  /**
+   * @brief Shows a label over the player's board.
+   *
+   * @param position Board position of the label.
+   */
+  addLabel(position, title, subtitle) {
+    this.renderer.addFloatingLabel(new Point(position.x + this.left(), position.y), title, subtitle);
+  }
+
+  fruitSliced(fruit, position) {
+    if (fruit.isBomb()) {
+      // a fuse bomb goes off with its own event
+      if (fruit.bombType() !== BombType.Fuse) {
+        this.sounds.play(BombSounds[fruit.bombType()].explosion);
+        this.renderer.explode(fruit, this.left());
+      }
+      return;
+    }
+
+    this.sounds.play("slice");
+    this.renderer.splash(fruit, this.left());
+    if (fruit.isSpecial()) {
+      this.addLabel(position, AttackLabels[VersusAttacks[fruit.special]], "");
+    }
+  }
+
+  /**
+   * @brief Prepares the HUD of the player for a new round.
+   */
+  reset() {
+    this.scoreElement.textContent = 0;
+    this.chanceIcons.forEach((icon) => icon.classList.remove("lost"));
+    this.effectsElement.textContent = "";
+  }
+}
+
+/**
+ * @brief Split HUD and results screen of a versus match.
+ *
+ * The players are the plugins of the games of a match, the first one for
+ * the left player, see VersusMatch.
+ */
+export class VersusView {
+  /**
+   * @brief VersusView object constructor.
+   *
+   * @param renderer Canvas renderer drawing the match.
+   * @param sounds Sound manager playing the game sounds.
+   */
+  constructor(renderer, sounds) {
+    this.sounds = sounds;
+    this.players = PlayerColors.map((color, index) => new PlayerView(index, renderer, sounds));
+    this.hud = document.getElementById("insideGameContainer");
+    this.resultsElement = document.getElementById("versusResults");
+    this.winnerElement = document.getElementById("versusWinner");
+    this.scoresElement = document.getElementById("versusScores");
+  }
+
+  /**
+   * @brief Switches the HUD between a versus match and the other modes.
+   *
+   * @param active True for a new versus match.
+   */
+  reset(active) {
+    this.hud.classList.toggle("versus", active);
+    this.players.forEach((player) => player.reset());
+    this.hideResults();
+  }
+
+  /**
+   * @brief Shows the results of a finished match.
+   *
+   * @param match Finished match, see VersusMatch.
+   */
+  showResults(match) {
+    this.sounds.play("gameOver");
+    this.winnerElement.textContent = match.winner === null ? "It's a draw!" : `Player ${match.winner + 1} wins!`;
+    this.winnerElement.style.color = match.winner === null ? "" : PlayerColors[match.winner];
+    this.scoresElement.textContent = match.players.map((engine, index) => `Player ${index + 1}: ${engine.currentScore}`).join(" · ");
+    this.resultsElement.style.display = "flex";
+  }
+
+  hideResults() {
+    this.resultsElement.style.display = "none";
+  }
+}
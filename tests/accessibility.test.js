@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AccessibilitySettings, BladeControl, SettingOptions } from "../scripts/core/accessibility.js";
+import { MemoryStorage } from "../scripts/core/storage.js";
+
+test("settings start with their defaults and persist", () => {
+  const storage = new MemoryStorage();
+  const settings = new AccessibilitySettings(storage, { reducedMotion: true });
+  assert.deepEqual(settings.data, { controls: BladeControl.Pointer, gameSpeed: 1, fruitScale: 1, highContrast: false, reducedMotion: true, bombSymbols: false });
+
+  settings.set("controls", BladeControl.Cursor);
+  settings.set("gameSpeed", 0.5);
+  settings.set("reducedMotion", false);
+  const saved = new AccessibilitySettings(storage, { reducedMotion: true });
+  assert.equal(saved.data.controls, BladeControl.Cursor);
+  assert.equal(saved.data.gameSpeed, 0.5);
+  assert.equal(saved.data.reducedMotion, false);
+});
+
+test("unknown settings and choices are rejected", () => {
+  const settings = new AccessibilitySettings(new MemoryStorage());
+  assert.throws(() => settings.set("colorBlind", true), /Unknown setting "colorBlind"/);
+  assert.throws(() => settings.set("gameSpeed", 3), /Setting "gameSpeed" can't be 3/);
+  assert.equal(settings.data.gameSpeed, 1);
+});
+
+test("unreadable settings get their defaults", () => {
+  const storage = new MemoryStorage();
+  storage.setItem("accessibility", "{");
+  assert.equal(new AccessibilitySettings(storage).data.fruitScale, SettingOptions.fruitScale[0]);
+  storage.setItem("accessibility", JSON.stringify({ version: 1, fruitScale: 1.5, gameSpeed: 0.1, highContrast: "yes" }));
+  const settings = new AccessibilitySettings(storage);
+  assert.equal(settings.data.fruitScale, 1.5);
+  assert.equal(settings.data.gameSpeed, 1);
+  assert.equal(settings.data.highContrast, false);
+  storage.setItem("accessibility", JSON.stringify({ version: 2, fruitScale: 1.5 }));
+  assert.equal(new AccessibilitySettings(storage).data.fruitScale, 1);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AssetError, AssetLoader } from "../scripts/assets/asset-loader.js";
+import { SpriteAtlas } from "../scripts/render/sprite-atlas.js";
+import { AssetManifest } from "../scripts/data/assets.js";
+import { DefaultCatalog } from "../scripts/core/catalog.js";
+
+const Manifest = {
+  images: ["images/background.jpg"],
+  sprites: ["images/apple.png", "images/bomb.png"],
+  sounds: {
+    slice: { path: "audio/Slice.wav" },
+  },
+};
+
+/**
+ * @brief Loader environment serving every path but the missing ones.
+ */
+function fakeEnvironment(missing = []) {
+  const load = (path) => (missing.includes(path) ? Promise.reject(new Error("HTTP 404")) : Promise.resolve({ path: path }));
+  return { loadImage: load, loadSound: load };
+}
+
+test("every thrown object is packed into the atlas", () => {
+  DefaultCatalog.kinds.forEach((kind) => kind.sprites.forEach((sprite) => assert.ok(AssetManifest.sprites.includes(sprite), `${kind.id}: ${sprite}`)));
+});
+
+test("loader reports progress and returns the assets", async () => {
+  const steps = [];
+  const assets = await new AssetLoader(Manifest, fakeEnvironment()).load((loaded, total) => steps.push(`${loaded}/${total}`));
+  assert.deepEqual(steps, ["0/4", "1/4", "2/4", "3/4", "4/4"]);
+  assert.deepEqual([...assets.images.keys()], ["images/background.jpg", "images/apple.png", "images/bomb.png"]);
+  assert.deepEqual(assets.sounds.get("slice"), { path: "audio/Slice.wav" });
+});
+
+test("data files are loaded by name", async () => {
+  const manifest = { ...Manifest, data: { waves: { path: "waves/set-pieces.json" } } };
+  const loadData = (path) => Promise.resolve({ version: 1, path: path });
+  const assets = await new AssetLoader(manifest, { ...fakeEnvironment(), loadData: loadData }).load();
+  assert.deepEqual(assets.data.get("waves"), { version: 1, path: "waves/set-pieces.json" });
+});
+
+test("missing assets are listed in the error", async () => {
+  const loader = new AssetLoader(Manifest, fakeEnvironment(["images/bomb.png", "audio/Slice.wav"]));
+  await assert.rejects(loader.load(), (error) => {
+    assert.ok(error instanceof AssetError);
+    assert.deepEqual(
+      error.failures.map((failure) => failure.path),
+      ["images/bomb.png", "audio/Slice.wav"]
+    );
+    assert.match(error.message, /Missing assets: images\/bomb.png \(HTTP 404\), audio\/Slice.wav \(HTTP 404\)/);
+    return true;
+  });
+});
+
+test("atlas packs sprites into padded cells", () => {
+  const drawn = [];
+  const canvas = { getContext: () => ({ drawImage: (...args) => drawn.push(args) }) };
+  const atlas = new SpriteAtlas(
+    new Map([
+      ["images/apple.png", "apple"],
+      ["images/bomb.png", "bomb"],
+    ]),
+    { createCanvas: () => canvas }
+  );
+  assert.equal(atlas.canvas, canvas);
+  assert.deepEqual(atlas.frame("images/bomb.png"), SpriteAtlas.frameAt(1));
+  assert.ok(SpriteAtlas.frameAt(1).x > SpriteAtlas.frameAt(0).x + SpriteAtlas.frameAt(0).width);
+  assert.deepEqual(drawn[1], ["bomb", ...Object.values(SpriteAtlas.frameAt(1))]);
+  assert.throws(() => atlas.frame("images/kiwi.png"), /Sprite images\/kiwi.png is not in the atlas/);
+});
@@ -0,0 +1,255 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Board } from "../scripts/core/board.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { Point, Size } from "../scripts/core/geometry.js";
+import { PhysicsStep, SwipeIdleTime } from "../scripts/core/constants.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+import { BoardSize, addFruit, createBoard } from "./helpers.js";
+
+const FruitFlyingInterval = 6;
+
+test("random position stays within margins", () => {
+  assert.equal(Board.randomPosition(1000, 800, () => 0, new Size(90, 90)).x, 50);
+  assert.equal(Board.randomPosition(1000, 800, () => 0.999, new Size(90, 90)).x, 859);
+  assert.equal(Board.randomPosition(1000, 800, () => 0.5, new Size(90, 90)).y, 800);
+});
+
+test("random velocity throws a fruit up and back below the board in time", () => {
+  const gravity = GameEngine.calculateGravity(FruitFlyingInterval, BoardSize.height);
+  for (const random of [0, 0.5, 0.99]) {
+    const start = Board.randomPosition(BoardSize.width, BoardSize.height, () => random, fruitKind("apple").size);
+    const velocity = Board.randomVelocity(start, BoardSize.width, BoardSize.height, gravity, () => random, fruitKind("apple").size);
+    const fruit = new Fruit(start, velocity, gravity, fruitKind("apple"));
+    let highest = fruit.position.y;
+    let time = 0;
+    do {
+      fruit.move(PhysicsStep);
+      highest = Math.min(highest, fruit.position.y);
+      time += PhysicsStep;
+    } while (fruit.position.y <= BoardSize.height);
+
+    const peekHeight = (BoardSize.height / 2) * (0.05 + random * 0.95);
+    assert.ok(Math.abs(highest - peekHeight) < 1, `fruit peaks at ${peekHeight} (${highest})`);
+    assert.ok(time <= FruitFlyingInterval, `fruit lands within the flying interval (${time})`);
+  }
+});
+
+test("random velocity aims at the board center", () => {
+  const gravity = GameEngine.calculateGravity(FruitFlyingInterval, BoardSize.height);
+  assert.ok(Board.randomVelocity(new Point(100, 800), 1000, 800, gravity, () => 0.5, new Size(90, 90)).vx > 0);
+  assert.ok(Board.randomVelocity(new Point(900, 800), 1000, 800, gravity, () => 0.5, new Size(90, 90)).vx < 0);
+});
+
+test("slice angle follows the blade", () => {
+  assert.equal(Board.sliceAngle(new Point(0, 0), new Point(10, 0)), 0);
+  assert.equal(Board.sliceAngle(new Point(0, 0), new Point(0, 10)), Math.PI / 2);
+  assert.equal(Board.sliceAngle(new Point(0, 0), new Point(-10, -10)), (-3 * Math.PI) / 4);
+});
+
+test("segment crossings report entry and exit points", () => {
+  const center = new Point(0, 0);
+  const through = Board.segmentCircleCrossings(new Point(-20, 0), new Point(20, 0), center, 10);
+  assert.deepEqual(through, { entry: new Point(-10, 0), exit: new Point(10, 0) });
+
+  const into = Board.segmentCircleCrossings(new Point(-20, 0), new Point(0, 0), center, 10);
+  assert.deepEqual(into, { entry: new Point(-10, 0), exit: null });
+
+  const miss = Board.segmentCircleCrossings(new Point(-20, 15), new Point(20, 15), center, 10);
+  assert.deepEqual(miss, { entry: null, exit: null });
+});
+
+test("moveFruits reports missed fruits and removes them", () => {
+  const { board, events } = createBoard();
+  addFruit(board, 100, BoardSize.height + 1);
+  addFruit(board, 300, BoardSize.height + 1, "bomb");
+  const sliced = addFruit(board, 500, BoardSize.height + 1);
+  sliced.slice();
+  addFruit(board, 700, 100);
+
+  board.moveFruits(PhysicsStep);
+  assert.equal(events.missed, 1);
+  assert.equal(board.fruits.length, 1);
+});
+
+test("a swipe through a fruit slices it into two halves", () => {
+  const { board, events } = createBoard();
+  const fruit = addFruit(board, 100, 100);
+
+  board.pressBlade(1, new Point(50, 145));
+  board.moveBlade(1, new Point(250, 145));
+  assert.deepEqual(events.sliced, [fruit]);
+  assert.equal(board.fruits.length, 2);
+  assert.ok(board.fruits.every((half) => half.isSliced()));
+  assert.ok(board.fruits.every((half) => half.imagePath() === "images/apple.png"));
+  // cut along the blade, through the fruit center
+  assert.deepEqual(
+    board.fruits.map((half) => half.cut),
+    [
+      { angle: 0, offset: 0, side: -1 },
+      { angle: 0, offset: 0, side: 1 },
+    ]
+  );
+});
+
+test("a blade has to enter and leave a fruit to slice it", () => {
+  const { board, events } = createBoard();
+  addFruit(board, 100, 100);
+
+  // pressed inside the fruit, leaves it without entering
+  board.pressBlade(1, new Point(145, 145));
+  board.moveBlade(1, new Point(250, 145));
+  // enters and rests inside
+  board.moveBlade(1, new Point(145, 145));
+  board.moveBlade(1, new Point(145, 145));
+  assert.equal(events.sliced.length, 0);
+
+  // leaves after entering
+  board.moveBlade(1, new Point(145, 300));
+  assert.equal(events.sliced.length, 1);
+});
+
+test("fruits cut in one swipe are reported together when the blade is lifted", () => {
+  const { board, events } = createBoard();
+  const first = addFruit(board, 100, 100);
+  const second = addFruit(board, 300, 100);
+
+  board.pressBlade(1, new Point(50, 145));
+  board.moveBlade(1, new Point(250, 145));
+  board.moveBlade(1, new Point(450, 145));
+  assert.deepEqual(events.swipes, []);
+
+  board.releaseBlade(1);
+  assert.equal(events.swipes.length, 1);
+  assert.deepEqual(events.swipes[0].fruits, [first, second]);
+  assert.deepEqual(events.swipes[0].position, new Point(381, 145));
+});
+
+test("a resting blade ends its swipe", () => {
+  const { board, events } = createBoard();
+  addFruit(board, 100, 100);
+  addFruit(board, 300, 100);
+
+  board.pressBlade(1, new Point(50, 145));
+  board.moveBlade(1, new Point(250, 145));
+  board.update(SwipeIdleTime / 2);
+  // a tiny movement doesn't keep the swipe going
+  board.moveBlade(1, new Point(251, 145));
+  board.update(SwipeIdleTime / 2);
+  assert.equal(events.swipes.length, 1);
+  assert.equal(events.swipes[0].fruits.length, 1);
+
+  // the next movement starts a new swipe
+  board.moveBlade(1, new Point(450, 145));
+  board.releaseBlade(1);
+  assert.equal(events.swipes.length, 2);
+  assert.notEqual(events.swipes[0].id, events.swipes[1].id);
+});
+
+test("a moving blade keeps its swipe going", () => {
+  const { board, events } = createBoard();
+  addFruit(board, 100, 100);
+
+  board.pressBlade(1, new Point(50, 145));
+  for (let x = 60; x < 600; x += 10) {
+    board.moveBlade(1, new Point(x, 145));
+    board.update(SwipeIdleTime / 2);
+  }
+  assert.equal(events.swipes.length, 0);
+});
+
+test("every blade has its own swipe", () => {
+  const { board, events } = createBoard();
+  addFruit(board, 100, 100);
+  addFruit(board, 100, 300);
+
+  board.pressBlade(1, new Point(50, 145));
+  board.pressBlade(2, new Point(50, 345));
+  board.moveBlade(1, new Point(250, 145));
+  board.moveBlade(2, new Point(250, 345));
+  board.releaseBlade(1);
+  board.releaseBlade(2);
+  assert.deepEqual(
+    events.swipes.map((swipe) => swipe.fruits.length),
+    [1, 1]
+  );
+});
+
+test("pressing a blade again ends its swipe", () => {
+  const { board, events } = createBoard();
+  const first = addFruit(board, 100, 100);
+  const second = addFruit(board, 300, 100);
+
+  // a hovering mouse cuts a fruit, then it's clicked
+  board.pressBlade(1, new Point(50, 145));
+  board.moveBlade(1, new Point(250, 145));
+  board.pressBlade(1, new Point(250, 145));
+  assert.equal(events.swipes.length, 1);
+  assert.deepEqual(events.swipes[0].fruits, [first]);
+
+  board.moveBlade(1, new Point(450, 145));
+  board.releaseBlade(1);
+  assert.equal(events.swipes.length, 2);
+  assert.deepEqual(events.swipes[1].fruits, [second]);
+});
+
+test("swipes without sliced fruits aren't reported", () => {
+  const { board, events } = createBoard();
+  board.pressBlade(1, new Point(50, 145));
+  board.moveBlade(1, new Point(250, 145));
+  board.releaseBlade(1);
+  assert.deepEqual(events.swipes, []);
+});
+
+test("slicing a bomb reports it", () => {
+  const { board, events } = createBoard();
+  addFruit(board, 100, 100, "bomb");
+
+  board.pressBlade(1, new Point(50, 145));
+  board.moveBlade(1, new Point(250, 145));
+  assert.equal(events.bombs.length, 1);
+  board.releaseBlade(1);
+  assert.equal(events.swipes.length, 0);
+});
+
+test("released blades don't slice", () => {
+  const { board, events } = createBoard();
+  addFruit(board, 100, 100);
+
+  board.pressBlade(1, new Point(50, 145));
+  board.releaseBlade(1);
+  board.moveBlade(1, new Point(250, 145));
+  assert.equal(events.sliced.length, 0);
+});
+
+test("a launched fruit peaks at its apex halfway through its flight", () => {
+  const { board } = createBoard();
+  const start = new Point(100, 800);
+  const apex = new Point(400, 200);
+  const fruit = board.launch(fruitKind("apple"), start, apex, 3);
+  assert.equal(board.fruits.length, 1);
+  for (let i = 0; i < 1.5 / PhysicsStep; i++) {
+    fruit.move(PhysicsStep);
+  }
+  assert.ok(Math.abs(fruit.position.x - 400) < 1e-6);
+  assert.ok(Math.abs(fruit.position.y - 200) < 1e-6);
+  assert.ok(Math.abs(fruit.velocity.vy) < 1e-6);
+});
+
+test("a resized board keeps its fruits in place and in the air as long", () => {
+  const { board } = createBoard();
+  const fruit = board.launch(fruitKind("apple"), new Point(455, 800), new Point(455, 200), 3);
+  const landing = fruit.centerAt(3);
+  board.pressBlade(1, new Point(500, 400));
+  board.resize(new Size(800, 1600));
+
+  // the center keeps its place relative to the board, the image its size
+  assert.deepEqual(fruit.center(), new Point(400, 845 * 2));
+  assert.deepEqual(fruit.imageSize, new Size(90, 90));
+  assert.deepEqual(board.blades.get(1).position, new Point(400, 800));
+  const resizedLanding = fruit.centerAt(3);
+  assert.ok(Math.abs(resizedLanding.x - landing.x * 0.8) < 1e-6);
+  assert.ok(Math.abs(resizedLanding.y - landing.y * 2) < 1e-6);
+  assert.ok(Math.abs(fruit.centerAt(1.5).y - (200 + 45) * 2) < 1e-6);
+});
@@ -0,0 +1,220 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { Board } from "../scripts/core/board.js";
+import { BombClearance, BombSafeTime, BombSettings, BombType } from "../scripts/core/bombs.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { Point } from "../scripts/core/geometry.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { createRng } from "../scripts/core/random.js";
+import { WavePlayback, WaveScript } from "../scripts/core/waves.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+import { BoardSize, addFruit, createBoard } from "./helpers.js";
+
+const FuseTime = BombSettings[BombType.Fuse].fuseTime;
+
+function run(target, duration) {
+  for (let time = 0; time < duration - 1e-9; time += PhysicsStep) {
+    target.update(PhysicsStep);
+  }
+}
+
+/**
+ * @brief Slices whatever sits at a board position with a horizontal swipe.
+ */
+function swipeAt(target, center) {
+  target.pressBlade(1, new Point(center.x - 80, center.y));
+  target.moveBlade(1, new Point(center.x + 80, center.y));
+  target.releaseBlade(1);
+}
+
+test("the catalog has a kind of every bomb type", () => {
+  assert.deepEqual(fruitKind("bomb").bomb, BombType.Classic);
+  assert.deepEqual(fruitKind("penaltyBomb").bomb, BombType.Penalty);
+  assert.deepEqual(fruitKind("fuseBomb").bomb, BombType.Fuse);
+});
+
+test("a fuse bomb goes off by itself and blows up the fruits nearby", () => {
+  const { board, events } = createBoard();
+  const bomb = addFruit(board, 400, 300, "fuseBomb");
+  const near = addFruit(board, 520, 300);
+  const far = addFruit(board, 800, 300);
+  run(board, FuseTime - 0.1);
+  assert.equal(events.detonated.length, 0);
+
+  run(board, 0.2);
+  assert.deepEqual(events.detonated, [{ bomb: bomb, blasted: [near] }]);
+  assert.ok(!board.fruits.includes(bomb));
+  assert.equal(board.fruits.filter((fruit) => fruit.cut).length, 2);
+  assert.ok(board.fruits.includes(far) && !far.isSliced());
+});
+
+test("freeze slows fuses down too", () => {
+  const { board, events } = createBoard();
+  addFruit(board, 400, 300, "fuseBomb");
+  board.fruitTimeScale = 0.5;
+  run(board, FuseTime + 0.1);
+  assert.equal(events.detonated.length, 0);
+});
+
+test("a tap defuses a fuse bomb for good", () => {
+  const { board, events } = createBoard();
+  const bomb = addFruit(board, 400, 300, "fuseBomb");
+  const center = bomb.center();
+  board.pressBlade(1, center);
+  board.releaseBlade(1);
+  assert.deepEqual(events.defused, [bomb]);
+
+  // a defused bomb can't be sliced and never goes off
+  swipeAt(board, center);
+  run(board, FuseTime + 0.1);
+  assert.deepEqual(events.bombs, []);
+  assert.deepEqual(events.detonated, []);
+  assert.ok(board.fruits.includes(bomb));
+});
+
+test("only fuse bombs can be tapped", () => {
+  const { board, events } = createBoard();
+  const bomb = addFruit(board, 400, 300, "penaltyBomb");
+  board.pressBlade(1, bomb.center());
+  assert.deepEqual(events.defused, []);
+});
+
+test("a sliced fuse bomb goes off right away", () => {
+  const { board, events } = createBoard();
+  const bomb = addFruit(board, 400, 300, "fuseBomb");
+  const near = addFruit(board, 400, 420);
+  swipeAt(board, bomb.center());
+  assert.deepEqual(events.bombs, [bomb]);
+  assert.deepEqual(events.detonated, [{ bomb: bomb, blasted: [near] }]);
+});
+
+test("classic penalty bombs cost a chance and points", () => {
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [], { rng: () => 0.5 });
+  engine.start();
+  engine.updateScore(100);
+  for (let i = 0; i < 3; i++) {
+    engine.board.fruits = [];
+    swipeAt(engine, addFruit(engine.board, 400, 300, "penaltyBomb").center());
+    assert.equal(engine.missedFruits, i + 1);
+  }
+  assert.equal(engine.currentScore, 100 - 3 * BombSettings[BombType.Penalty].points);
+  assert.ok(engine.isGameOver);
+});
+
+test("fruits blown up by a fuse bomb count as missed", () => {
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [], { rng: () => 0.5 });
+  engine.start();
+  engine.board.fruits = [];
+  addFruit(engine.board, 400, 300, "fuseBomb");
+  addFruit(engine.board, 520, 300);
+  addFruit(engine.board, 280, 300).bonus = true;
+  engine.board.update(FuseTime + PhysicsStep);
+  assert.equal(engine.missedFruits, 1);
+  assert.ok(!engine.isGameOver);
+});
+
+test("arcade penalty bombs cost points but no time", () => {
+  const engine = new GameEngine(BoardSize, gameMode("arcade"), [], { rng: () => 0.5 });
+  engine.start();
+  engine.updateScore(100);
+  engine.board.fruits = [];
+  swipeAt(engine, addFruit(engine.board, 400, 300, "penaltyBomb").center());
+  assert.equal(engine.currentScore, 100 - BombSettings[BombType.Penalty].points);
+  assert.equal(engine.timeLeft, 60);
+  assert.equal(engine.missedFruits, 0);
+});
+
+test("random bombs leave every fruit time to be cut", () => {
+  for (let seed = 1; seed <= 40; seed++) {
+    const { board } = createBoard(createRng(seed));
+    const gravity = GameEngine.calculateGravity(5, BoardSize.height);
+    const fruits = [board.generateRandomFruit(gravity), board.generateRandomFruit(gravity)];
+    const bombs = [board.generateBomb(gravity), board.generateBomb(gravity)];
+    fruits.forEach((fruit) => assert.ok(Board.safeTime(fruit, bombs, BoardSize.height) >= BombSafeTime, `seed ${seed}`));
+  }
+});
+
+/**
+ * @brief Creates a board whose first bomb aim shares the path of a fruit, the next aims are random.
+ */
+function boardWithFruitOnBombPath(gravity, bonus = false) {
+  const values = [0.5, 0.5, 0, 0.5, 0.5];
+  const rng = createRng(7);
+  const { board } = createBoard(() => (values.length > 0 ? values.shift() : rng()));
+  const aim = board.aimKind(fruitKind("bomb"), gravity);
+  const fruit = new Fruit(aim.position, aim.velocity, gravity, fruitKind("apple"));
+  fruit.bonus = bonus;
+  board.add(fruit);
+  return { board, aim };
+}
+
+test("a bomb aimed right at a fruit is thrown elsewhere", () => {
+  const gravity = GameEngine.calculateGravity(5, BoardSize.height);
+  const { board, aim } = boardWithFruitOnBombPath(gravity);
+  const bomb = board.generateBomb(gravity);
+  assert.equal(bomb.kind.id, "bomb");
+  assert.notEqual(bomb.position.x, aim.position.x);
+  assert.ok(Board.safeTime(board.fruits[0], [bomb], BoardSize.height) >= BombSafeTime);
+});
+
+test("a bomb uses the rng the same way whatever was sliced", () => {
+  const gravity = GameEngine.calculateGravity(5, BoardSize.height);
+  const idle = boardWithFruitOnBombPath(gravity);
+  const busy = boardWithFruitOnBombPath(gravity);
+  swipeAt(busy.board, busy.board.fruits[0].center());
+  assert.ok(busy.board.fruits.every((fruit) => fruit.isSliced()));
+
+  // the sliced fruit leaves the first aim free
+  const [first, second] = [idle.board.generateBomb(gravity), busy.board.generateBomb(gravity)];
+  assert.notEqual(first.position.x, idle.aim.position.x);
+  assert.deepEqual(second.position, busy.aim.position);
+  assert.equal(idle.board.rng(), busy.board.rng());
+});
+
+test("bombs keep off bonus fruits", () => {
+  const gravity = GameEngine.calculateGravity(5, BoardSize.height);
+  const { board, aim } = boardWithFruitOnBombPath(gravity, true);
+  const bomb = board.generateBomb(gravity);
+  assert.notEqual(bomb.position.x, aim.position.x);
+  assert.ok(Board.safeTime(board.fruits[0], [bomb], BoardSize.height) >= BombSafeTime);
+});
+
+test("bombs thrown on a frozen board keep off the fruits", () => {
+  const gravity = GameEngine.calculateGravity(5, BoardSize.height);
+  const { board, aim } = boardWithFruitOnBombPath(gravity);
+  board.fruitTimeScale = 0.35;
+  run(board, 0.5);
+  const bomb = board.generateBomb(gravity);
+  assert.notEqual(bomb.position.x, aim.position.x);
+  assert.ok(Board.safeTime(board.fruits[0], [bomb], BoardSize.height) >= BombSafeTime);
+});
+
+test("set-pieces leave every fruit time to be cut", () => {
+  const script = new WaveScript(JSON.parse(readFileSync(new URL("../waves/set-pieces.json", import.meta.url))));
+  script.waves.forEach((wave) => {
+    const engine = new GameEngine(BoardSize, gameMode("arcade"), [], { seed: 3, waves: script });
+    engine.board.fruits = [];
+    const playback = new WavePlayback(wave);
+    const safe = new Map();
+    for (let step = 0; step < 8 / PhysicsStep; step++) {
+      playback.update(step === 0 ? 0 : PhysicsStep).forEach((spawn) => engine.launchSpawn(spawn));
+      engine.board.moveFruits(PhysicsStep);
+      const bombs = engine.board.fruits.filter((fruit) => fruit.isBomb());
+      engine.board.fruits
+        .filter((fruit) => fruit.isFruit())
+        .forEach((fruit) => {
+          const circle = fruit.hitCircle();
+          const clear = bombs.every((bomb) => {
+            const bombCircle = bomb.hitCircle();
+            return Math.hypot(circle.center.x - bombCircle.center.x, circle.center.y - bombCircle.center.y) - circle.radius - bombCircle.radius >= BombClearance;
+          });
+          safe.set(fruit, (safe.get(fruit) || 0) + (clear ? PhysicsStep : 0));
+        });
+    }
+    assert.ok(safe.size > 0);
+    safe.forEach((time) => assert.ok(time >= BombSafeTime, `${wave.name}: ${time.toFixed(2)} sec`));
+  });
+});
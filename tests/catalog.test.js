@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DefaultCatalog, FruitCatalog, fruitKind } from "../scripts/core/catalog.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { EffectKind } from "../scripts/core/effects.js";
+import { FruitEntries } from "../scripts/data/fruits.js";
+
+const BoardSize = new Size(1000, 800);
+const Kiwi = { id: "kiwi", sprites: ["images/kiwi.png"], size: [60, 60], hitRadius: 0.45, juiceColor: "#8ee000", points: 40, weight: 1, bomb: null, special: false };
+
+test("the designed catalog is valid", () => {
+  assert.doesNotThrow(() => FruitCatalog.validate(FruitEntries));
+  assert.ok(DefaultCatalog.fruits.length > 0 && DefaultCatalog.bombs.length > 0);
+  assert.ok(fruitKind("cherry").points > fruitKind("pineapple").points);
+  assert.ok(fruitKind("cherry").size.width < fruitKind("pineapple").size.width);
+});
+
+test("broken entries are rejected", () => {
+  assert.throws(() => new FruitCatalog([...FruitEntries, { ...Kiwi, id: "apple" }]), /id apple is used twice/);
+  assert.throws(() => new FruitCatalog([{ ...Kiwi, size: [60] }]), /entry 0: size must be \[width, height\]/);
+  assert.throws(() => new FruitCatalog([{ ...Kiwi, bomb: true }]), /entry 0: bomb must be null or one of classic, penalty, fuse/);
+  assert.throws(() => new FruitCatalog([Kiwi]), /must have a bomb with a positive weight/);
+  assert.throws(() => fruitKind("kiwi"), /Unknown fruit kind kiwi/);
+});
+
+test("kinds are picked in proportion to their weights", () => {
+  const catalog = new FruitCatalog([
+    { ...Kiwi, weight: 3 },
+    { ...Kiwi, id: "lime", weight: 1 },
+    { ...Kiwi, id: "mine", weight: 1, bomb: "classic" },
+  ]);
+  assert.equal(catalog.pickFruit(() => 0).id, "kiwi");
+  assert.equal(catalog.pickFruit(() => 0.74).id, "kiwi");
+  assert.equal(catalog.pickFruit(() => 0.76).id, "lime");
+  assert.equal(catalog.pickBomb(() => 0.5).id, "mine");
+  assert.deepEqual(catalog.sprites(), ["images/kiwi.png"]);
+});
+
+test("the hit circle follows the size and radius of the kind", () => {
+  const cherry = new Fruit(new Point(0, 0), new Velocity(0, 0), 1, fruitKind("cherry"));
+  const pineapple = new Fruit(new Point(0, 0), new Velocity(0, 0), 1, fruitKind("pineapple"));
+  assert.equal(cherry.hitCircle().radius, 70 * fruitKind("cherry").hitRadius);
+  assert.ok(cherry.hitCircle().radius < pineapple.hitCircle().radius);
+});
+
+test("a scaled catalog makes every kind bigger", () => {
+  const scaled = DefaultCatalog.scaled(1.5);
+  assert.equal(DefaultCatalog.scaled(1), DefaultCatalog);
+  assert.deepEqual(scaled.get("cherry").size, new Size(105, 105));
+  assert.equal(scaled.get("cherry").points, fruitKind("cherry").points);
+  assert.equal(fruitKind("cherry").size.width, 70);
+
+  const engine = new GameEngine(BoardSize, gameMode("zen"), [], { rng: () => 0.5, fruitScale: 1.5 });
+  engine.start();
+  const [fruit] = engine.board.fruits;
+  assert.equal(fruit.imageSize.width, fruitKind(fruit.kind.id).size.width * 1.5);
+  assert.equal(engine.snapshot().fruitScale, 1.5);
+});
+
+test("a fruit added to the catalog is thrown and scored by its entry", () => {
+  const catalog = new FruitCatalog([Kiwi, ...FruitEntries.filter((entry) => entry.bomb !== null)]);
+  const engine = new GameEngine(BoardSize, gameMode("zen"), [], { rng: () => 0.5, catalog: catalog });
+  engine.start();
+  const [kiwi] = engine.board.fruits;
+  assert.equal(kiwi.kind.id, "kiwi");
+  assert.equal(kiwi.imagePath(), "images/kiwi.png");
+  assert.equal(kiwi.imageSize.width, 60);
+
+  kiwi.position = new Point(100, 100);
+  const center = kiwi.center();
+  engine.pressBlade(1, new Point(center.x - 50, center.y));
+  engine.moveBlade(1, new Point(center.x + 50, center.y));
+  engine.releaseBlade(1);
+  assert.equal(engine.currentScore, 40);
+});
+
+test("kinds that can't be special are thrown plain", () => {
+  const catalog = new FruitCatalog([Kiwi, ...FruitEntries.filter((entry) => entry.bomb !== null)]);
+  const engine = new GameEngine(BoardSize, gameMode("zen"), [], { rng: () => 0.5, catalog: catalog });
+  assert.equal(engine.board.generateRandomFruit(engine.gravity, EffectKind.Freeze).special, null);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ManualClock } from "../scripts/core/clock.js";
+
+test("timers fire in due order while advancing", () => {
+  const clock = new ManualClock();
+  const fired = [];
+  clock.setTimeout(() => fired.push(`timeout@${clock.now()}`), 25);
+  const id = clock.setInterval(() => fired.push(`interval@${clock.now()}`), 10);
+  clock.advance(30);
+  assert.deepEqual(fired, ["interval@10", "interval@20", "timeout@25", "interval@30"]);
+  assert.equal(clock.now(), 30);
+
+  clock.clearInterval(id);
+  clock.advance(100);
+  assert.equal(fired.length, 4);
+});
+
+test("cleared timeouts never fire", () => {
+  const clock = new ManualClock();
+  let fired = false;
+  const id = clock.setTimeout(() => (fired = true), 5);
+  clock.clearTimeout(id);
+  clock.advance(10);
+  assert.ok(!fired);
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CursorInput } from "../scripts/input/cursor-input.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { Viewport } from "../scripts/core/viewport.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+
+const BoardSize = new Size(1000, 800);
+
+function createCursor(gamepads = []) {
+  const keyboard = new EventTarget();
+  const cursor = new CursorInput({ keyboard: keyboard, gamepads: () => gamepads });
+  cursor.setViewport(new Viewport(BoardSize, BoardSize));
+  cursor.setEnabled(true);
+  const key = (type, code) => keyboard.dispatchEvent(Object.assign(new Event(type), { code: code, repeat: false }));
+  return { cursor, key };
+}
+
+function run(cursor, seconds) {
+  for (let step = 0; step < seconds / PhysicsStep; step++) {
+    cursor.update(PhysicsStep);
+  }
+}
+
+/**
+ * @brief Records the blade input sent by the cursor.
+ */
+function createTarget() {
+  const calls = [];
+  return {
+    calls: calls,
+    pressBlade: (id, position) => calls.push(["press", id, position]),
+    moveBlade: (id, position) => calls.push(["move", id, position]),
+    releaseBlade: (id) => calls.push(["release", id]),
+  };
+}
+
+test("the cursor is steered with the keys and stays on the board", () => {
+  const { cursor, key } = createCursor();
+  cursor.attach(createTarget());
+  assert.deepEqual(cursor.position, new Point(500, 400));
+
+  key("keydown", "ArrowRight");
+  run(cursor, 0.25);
+  key("keyup", "ArrowRight");
+  run(cursor, 0.25);
+  assert.ok(Math.abs(cursor.position.x - 700) < 1);
+  assert.equal(cursor.position.y, 400);
+
+  key("keydown", "KeyW");
+  run(cursor, 2);
+  assert.equal(cursor.position.y, 0);
+  assert.deepEqual(cursor.direction, new Point(0, -1));
+});
+
+test("a slash cuts through the cursor along its direction", () => {
+  const { cursor, key } = createCursor();
+  const engine = new GameEngine(BoardSize, gameMode("zen"), [], { seed: 1 });
+  engine.start();
+  engine.board.fruits = [new Fruit(new Point(455, 355), new Velocity(0, 0), 0, fruitKind("apple"))];
+  cursor.attach(engine);
+
+  key("keydown", "Space");
+  run(cursor, 0.2);
+  assert.equal(engine.board.fruits[0].isSliced(), true);
+  assert.equal(engine.board.blades.size, 0);
+});
+
+test("a tap under the cursor puts out a fuse bomb", () => {
+  const { cursor, key } = createCursor();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [], { seed: 1 });
+  engine.start();
+  const bomb = new Fruit(new Point(455, 355), new Velocity(0, 0), 0, fruitKind("fuseBomb"));
+  engine.board.fruits = [bomb];
+  cursor.attach(engine);
+
+  key("keydown", "KeyE");
+  run(cursor, PhysicsStep);
+  assert.equal(bomb.defused, true);
+  assert.equal(bomb.isSliced(), false);
+  assert.equal(engine.board.blades.size, 0);
+});
+
+test("a gamepad steers with its stick and slashes once per press", () => {
+  const gamepad = { axes: [0, 0.1], buttons: Array.from({ length: 16 }, () => ({ pressed: false })) };
+  const { cursor } = createCursor([null, gamepad]);
+  const target = createTarget();
+  cursor.attach(target);
+
+  // the stick rests in its dead zone
+  run(cursor, 0.1);
+  assert.deepEqual(cursor.position, new Point(500, 400));
+  gamepad.axes = [0, 1];
+  run(cursor, 0.1);
+  assert.ok(cursor.position.y > 400);
+  assert.deepEqual(cursor.direction, new Point(0, 1));
+
+  gamepad.axes = [0, 0];
+  gamepad.buttons[0].pressed = true;
+  run(cursor, 0.5);
+  const presses = () => target.calls.filter(([kind]) => kind === "press");
+  assert.equal(presses().length, 1);
+  assert.equal(presses()[0][2].x, 500);
+  assert.ok(presses()[0][2].y < cursor.position.y);
+  assert.deepEqual(target.calls[target.calls.length - 1], ["release", "cursor"]);
+
+  gamepad.buttons[0].pressed = false;
+  run(cursor, PhysicsStep);
+  gamepad.buttons[0].pressed = true;
+  run(cursor, PhysicsStep);
+  assert.equal(presses().length, 2);
+});
+
+test("a turned off cursor sends nothing and lets go of its slash", () => {
+  const { cursor, key } = createCursor();
+  const target = createTarget();
+  cursor.attach(target);
+  key("keydown", "Enter");
+  run(cursor, PhysicsStep);
+  cursor.setEnabled(false);
+  assert.deepEqual(target.calls[target.calls.length - 1], ["release", "cursor"]);
+  assert.equal(cursor.isActive(), false);
+
+  cursor.attach(target);
+  key("keydown", "Space");
+  run(cursor, 0.2);
+  assert.equal(target.calls.filter(([kind]) => kind === "press").length, 1);
+});
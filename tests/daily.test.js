@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DailyChallenge, dailySeed, dayOf, parseResultCode, resultCode } from "../scripts/core/daily.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { MemoryStorage } from "../scripts/core/storage.js";
+import { GameEvent } from "../scripts/core/events.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+
+const BoardSize = new Size(1000, 800);
+
+/**
+ * @brief Creates a daily challenge on a clock that can be moved between days.
+ */
+function createDaily(storage = new MemoryStorage()) {
+  const clock = { date: new Date(2026, 9, 18, 12) };
+  const daily = new DailyChallenge(storage, { now: () => clock.date });
+  const nextDay = (days = 1) => (clock.date = new Date(clock.date.getFullYear(), clock.date.getMonth(), clock.date.getDate() + days, 12));
+  return { daily: daily, nextDay: nextDay };
+}
+
+/**
+ * @brief Plays a whole daily run.
+ *
+ * @param slice Function telling from the index of a thrown fruit whether
+ *        it's sliced as soon as it's on the board.
+ * @return Launch time and image path of every thrown fruit and bomb, in
+ *         order, with the launch position and velocity of the fruits.
+ *         Bombs are aimed around the fruits still whole, bonus fruits are
+ *         left out, they're earned.
+ */
+function dailyWaves(seed, slice) {
+  const engine = new GameEngine(BoardSize, gameMode("daily"), [], { seed: seed });
+  const thrown = new Map();
+  const waves = [];
+  let pointer = 1;
+  engine.events.on(GameEvent.FruitSpawned, ({ fruit }) => {
+    if (!fruit.bonus) {
+      thrown.set(fruit, waves.length);
+      const launch = fruit.isBomb() ? "" : ` ${fruit.position.x.toFixed(3)} ${fruit.position.y.toFixed(3)} ${fruit.velocity.vx.toFixed(3)} ${fruit.velocity.vy.toFixed(3)}`;
+      waves.push(`${engine.board.time.toFixed(3)} ${fruit.path}${launch}`);
+    }
+  });
+  engine.start();
+  while (!engine.isGameOver) {
+    const target = engine.board.fruits.find((fruit) => thrown.has(fruit) && slice(thrown.get(fruit)) && fruit.isFruit() && !fruit.isSliced() && fruit.center().y < BoardSize.height);
+    if (target) {
+      const center = target.center();
+      engine.pressBlade(pointer, new Point(center.x - 60, center.y));
+      engine.moveBlade(pointer, new Point(center.x + 60, center.y));
+      engine.releaseBlade(pointer++);
+    }
+    engine.update(PhysicsStep);
+  }
+  return { waves: waves, score: engine.currentScore };
+}
+
+test("days are local calendar dates", () => {
+  assert.equal(dayOf(new Date(2026, 0, 5, 23, 59)), "2026-01-05");
+  assert.equal(dayOf(new Date(2026, 11, 31, 0, 0)), "2026-12-31");
+});
+
+test("every day has its own seed", () => {
+  assert.equal(dailySeed("2026-10-18"), dailySeed("2026-10-18"));
+  assert.notEqual(dailySeed("2026-10-18"), dailySeed("2026-10-19"));
+  assert.ok(Number.isInteger(dailySeed("2026-10-18")) && dailySeed("2026-10-18") >= 0);
+});
+
+test("everyone gets the same waves whatever they slice", () => {
+  const idle = dailyWaves(dailySeed("2026-10-18"), () => false);
+  const busy = dailyWaves(dailySeed("2026-10-18"), () => true);
+  assert.ok(busy.score > 0);
+  assert.ok(idle.waves.length > 10);
+  assert.deepEqual(busy.waves, idle.waves);
+  assert.notDeepEqual(dailyWaves(dailySeed("2026-10-19"), () => false).waves, idle.waves);
+});
+
+test("the waves stay the same when some fruits are left whole", () => {
+  // seeds whose bombs once changed the waves after them
+  [0, 3, 10, 12, 16].forEach((seed) => {
+    const idle = dailyWaves(seed, () => false);
+    const some = dailyWaves(seed, (index) => index % 3 === 0);
+    assert.ok(some.score > 0);
+    assert.ok(idle.waves.some((wave) => wave.endsWith("images/bomb.png")));
+    assert.deepEqual(some.waves, idle.waves);
+  });
+});
+
+test("a daily run lasts the full minute, bombs only cost points", () => {
+  const engine = new GameEngine(BoardSize, gameMode("daily"), [], { seed: 1 });
+  engine.start();
+  engine.updateScore(30);
+  engine.mode.bombSliced(engine, new Fruit(new Point(0, 0), new Velocity(0, 0), 0, fruitKind("bomb")));
+  assert.equal(engine.currentScore, 0);
+  assert.equal(engine.timeLeft, 60);
+  assert.ok(!gameMode("daily").listed);
+});
+
+test("only the first attempt of a day is scored", () => {
+  const { daily, nextDay } = createDaily();
+  assert.ok(!daily.hasPlayedToday());
+  assert.equal(daily.result(), null);
+
+  daily.begin();
+  assert.ok(daily.hasPlayedToday());
+  assert.throws(() => daily.begin(), /The daily challenge of 2026-10-18 was already played/);
+  assert.deepEqual(daily.finish(1250), { day: "2026-10-18", score: 1250, code: resultCode("2026-10-18", 1250) });
+
+  nextDay();
+  assert.ok(!daily.hasPlayedToday());
+  daily.begin();
+  assert.equal(daily.result().score, 0);
+  assert.equal(daily.best(), 1250);
+});
+
+test("the streak grows on consecutive days and breaks after a gap", () => {
+  const storage = new MemoryStorage();
+  const { daily, nextDay } = createDaily(storage);
+  daily.begin();
+  nextDay();
+  daily.begin();
+  nextDay();
+  daily.begin();
+  assert.equal(daily.streak(), 3);
+
+  // the streak lasts through the next day, it's kept in the storage
+  nextDay();
+  assert.equal(new DailyChallenge(storage, { now: daily.now }).streak(), 3);
+  nextDay();
+  assert.equal(daily.streak(), 0);
+  daily.begin();
+  assert.equal(daily.streak(), 1);
+});
+
+test("result codes carry the day and score with a checksum", () => {
+  const code = resultCode("2026-10-18", 1250);
+  assert.match(code, /^FND-20261018-1250-[0-9A-Z]{4}$/);
+  assert.deepEqual(parseResultCode(code), { day: "2026-10-18", score: 1250, valid: true });
+  assert.deepEqual(parseResultCode(` ${code.toLowerCase()} `), { day: "2026-10-18", score: 1250, valid: true });
+  assert.equal(parseResultCode(code.replace("-1250-", "-9250-")).valid, false);
+  assert.equal(parseResultCode("1250 points"), null);
+});
+
+test("unreadable progress starts over", () => {
+  const storage = new MemoryStorage();
+  storage.setItem("daily", "{broken");
+  const { daily } = createDaily(storage);
+  assert.equal(daily.streak(), 0);
+  assert.ok(!daily.hasPlayedToday());
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Difficulty } from "../scripts/core/difficulty.js";
+import { DifficultySchedule } from "../scripts/data/difficulty.js";
+
+const Schedule = [
+  { time: 0, score: 0, spawnInterval: 3, fruitsPerWave: [1, 3], flyingInterval: 6, bombRatio: 0.2, bombsPerWave: [1, 1] },
+  { time: 100, score: 1000, spawnInterval: 2, fruitsPerWave: [2, 5], flyingInterval: 4, bombRatio: 0.4, bombsPerWave: [1, 3] },
+];
+
+test("the designed schedule is valid", () => {
+  assert.doesNotThrow(() => Difficulty.validate(DifficultySchedule));
+});
+
+test("settings start at the first keyframe", () => {
+  const settings = new Difficulty(Schedule).at(0, 0);
+  assert.equal(settings.spawnInterval, 3);
+  assert.deepEqual(settings.fruitsPerWave, [1, 3]);
+});
+
+test("settings are interpolated between keyframes", () => {
+  const settings = new Difficulty(Schedule).at(50, 0);
+  assert.equal(settings.spawnInterval, 2.5);
+  assert.equal(settings.flyingInterval, 5);
+  assert.deepEqual(settings.fruitsPerWave, [1.5, 4]);
+});
+
+test("whichever of time and score is further along wins", () => {
+  const difficulty = new Difficulty(Schedule);
+  assert.equal(difficulty.progress(10, 500), 0.5);
+  assert.equal(difficulty.progress(75, 500), 0.75);
+});
+
+test("the last keyframe caps the difficulty", () => {
+  const settings = new Difficulty(Schedule).at(1000, 100000);
+  assert.equal(settings.spawnInterval, 2);
+  assert.equal(settings.bombRatio, 0.4);
+  assert.deepEqual(settings.bombsPerWave, [1, 3]);
+});
+
+test("ranges are picked as whole numbers", () => {
+  assert.equal(Difficulty.pick([1, 3], () => 0), 1);
+  assert.equal(Difficulty.pick([1, 3], () => 0.999), 3);
+  assert.equal(Difficulty.pick([1.4, 3.6], () => 0.999), 4);
+});
+
+test("invalid schedules are reported", () => {
+  assert.throws(() => new Difficulty([]), /non-empty array/);
+  assert.throws(() => new Difficulty([{ ...Schedule[0], time: 5 }]), /keyframe 0: time must be 0/);
+  assert.throws(() => new Difficulty([Schedule[0], { ...Schedule[1], score: 0 }]), /keyframe 1: score must be greater/);
+  assert.throws(() => new Difficulty([{ ...Schedule[0], spawnInterval: -1 }]), /spawnInterval must be a positive number/);
+  assert.throws(() => new Difficulty([{ ...Schedule[0], fruitsPerWave: [3, 1] }]), /fruitsPerWave must be a \[min, max\] range/);
+});
@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EffectKind, EffectSettings, EffectTimers } from "../scripts/core/effects.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { GameEvent, GamePlugin } from "../scripts/core/events.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+
+const BoardSize = new Size(1000, 800);
+
+/**
+ * @brief Plugin recording the shown effects.
+ */
+class RecordingView extends GamePlugin {
+  constructor() {
+    super("recording");
+    this.effects = [];
+  }
+
+  attach(events) {
+    events.on(GameEvent.EffectsChanged, ({ effects }) => this.effects.push(effects));
+  }
+}
+
+function createEngine() {
+  const view = new RecordingView();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [view], { rng: () => 0.5 });
+  engine.start();
+  engine.board.fruits = [];
+  return { engine, view };
+}
+
+function run(engine, duration) {
+  for (let time = 0; time < duration - 1e-9; time += PhysicsStep) {
+    engine.update(PhysicsStep);
+  }
+}
+
+function sliceFruit(engine, special = null) {
+  const fruit = new Fruit(new Point(100, 100), new Velocity(0, 0), 0, fruitKind("apple"));
+  fruit.special = special;
+  engine.board.fruits.push(fruit);
+  engine.pressBlade(1, new Point(50, 145));
+  engine.moveBlade(1, new Point(250, 145));
+  engine.releaseBlade(1);
+  return fruit;
+}
+
+test("effects stack up to their maximum duration and expire", () => {
+  const timers = new EffectTimers();
+  const settings = EffectSettings[EffectKind.Freeze];
+  timers.activate(EffectKind.Freeze);
+  assert.deepEqual(timers.active(), [{ kind: EffectKind.Freeze, seconds: settings.duration }]);
+
+  timers.activate(EffectKind.Freeze);
+  timers.activate(EffectKind.Freeze);
+  assert.deepEqual(timers.active(), [{ kind: EffectKind.Freeze, seconds: settings.maxDuration }]);
+
+  assert.ok(!timers.update(0.5));
+  assert.ok(timers.update(0.5));
+  assert.ok(timers.update(settings.maxDuration));
+  assert.ok(!timers.isActive(EffectKind.Freeze));
+});
+
+test("slicing a special fruit starts its effect", () => {
+  const { engine, view } = createEngine();
+  sliceFruit(engine, EffectKind.DoubleScore);
+  assert.ok(engine.effects.isActive(EffectKind.DoubleScore));
+  assert.deepEqual(view.effects.at(-1), [{ kind: EffectKind.DoubleScore, seconds: EffectSettings[EffectKind.DoubleScore].duration }]);
+});
+
+test("double score multiplies sliced fruit points", () => {
+  const { engine } = createEngine();
+  sliceFruit(engine, EffectKind.DoubleScore);
+  assert.equal(engine.currentScore, fruitKind("apple").points * 2);
+});
+
+test("freeze slows fruits down until it expires", () => {
+  const { engine } = createEngine();
+  sliceFruit(engine, EffectKind.Freeze);
+  assert.equal(engine.board.fruitTimeScale, EffectSettings[EffectKind.Freeze].timeScale);
+
+  engine.board.fruits = [new Fruit(new Point(100, 100), new Velocity(100, 0), 0, fruitKind("apple"))];
+  run(engine, 1);
+  assert.ok(Math.abs(engine.board.fruits[0].position.x - (100 + 100 * EffectSettings[EffectKind.Freeze].timeScale)) < 1e-6);
+
+  run(engine, EffectSettings[EffectKind.Freeze].duration);
+  assert.equal(engine.board.fruitTimeScale, 1);
+});
+
+test("frenzy throws bonus fruits from the sides", () => {
+  const { engine } = createEngine();
+  sliceFruit(engine, EffectKind.Frenzy);
+  engine.board.fruits = [];
+  // no regular fruits
+  engine.timeUntilSpawn = Infinity;
+  run(engine, PhysicsStep);
+  const burst = engine.board.fruits;
+  assert.equal(burst.length, EffectSettings[EffectKind.Frenzy].burstSize);
+  assert.ok(burst.every((fruit) => fruit.bonus && !fruit.isSpecial()));
+
+  // missed bonus fruits don't cost a chance
+  run(engine, EffectSettings[EffectKind.Frenzy].duration + 5);
+  assert.equal(engine.missedFruits, 0);
+});
+
+test("effects don't expire while the game is paused", () => {
+  const { engine } = createEngine();
+  sliceFruit(engine, EffectKind.Freeze);
+  engine.pause();
+  run(engine, 60);
+  engine.resume();
+  assert.ok(engine.effects.isActive(EffectKind.Freeze));
+});
+
+test("game over clears the effects", () => {
+  const { engine, view } = createEngine();
+  sliceFruit(engine, EffectKind.Freeze);
+  engine.gameOver();
+  assert.deepEqual(view.effects.at(-1), []);
+  assert.equal(engine.board.fruitTimeScale, 1);
+});
@@ -0,0 +1,267 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameEngine } from "../scripts/core/engine.js";
+import { GameEvent, GamePlugin } from "../scripts/core/events.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { MemoryStorage } from "../scripts/core/storage.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { DifficultySchedule } from "../scripts/data/difficulty.js";
+import { Leaderboard } from "../scripts/core/leaderboard.js";
+import { ComboBonusPerFruit, PhysicsStep, SwipeIdleTime } from "../scripts/core/constants.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+
+const BoardSize = new Size(1000, 800);
+const FruitSpawnInterval = DifficultySchedule[0].spawnInterval;
+
+/**
+ * @brief Plugin recording the events shown by the HUD.
+ */
+class RecordingView extends GamePlugin {
+  constructor() {
+    super("recording");
+    this.scores = [];
+    this.highScores = [];
+    this.missed = [];
+    this.gameOvers = [];
+    this.combos = [];
+    this.bombs = [];
+  }
+
+  attach(events) {
+    events.on(GameEvent.FruitSpawned, ({ fruit }) => {
+      if (fruit.isBomb()) {
+        this.bombs.push(fruit);
+      }
+    });
+    events.on(GameEvent.ComboEnded, ({ count, bonus }) => this.combos.push({ count: count, bonus: bonus }));
+    events.on(GameEvent.ScoreChanged, ({ score }) => this.scores.push(score));
+    events.on(GameEvent.HighScoreChanged, ({ highScore }) => this.highScores.push(highScore));
+    events.on(GameEvent.ChanceLost, ({ missedFruits }) => this.missed.push(missedFruits));
+    events.on(GameEvent.GameOver, (result) => {
+      this.gameOvers.push(result.score);
+      this.result = result;
+    });
+  }
+}
+
+function createEngine(storage = new MemoryStorage()) {
+  const view = new RecordingView();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [view], { rng: () => 0.5, storage: storage });
+  return { engine, view, storage };
+}
+
+/**
+ * @brief Runs the game for a while in physics steps.
+ */
+function run(engine, duration) {
+  for (let time = 0; time < duration - 1e-9; time += PhysicsStep) {
+    engine.update(PhysicsStep);
+  }
+}
+
+function dropFruit(engine, kind = "apple") {
+  const fruit = new Fruit(new Point(100, BoardSize.height - 1), new Velocity(0, 500), 0, fruitKind(kind));
+  engine.board.fruits.push(fruit);
+  return fruit;
+}
+
+test("a new engine shows the saved high score", () => {
+  const storage = new MemoryStorage();
+  storage.setItem("highScore", "120");
+  const { engine, view } = createEngine(storage);
+  assert.equal(engine.highScore, 120);
+  assert.deepEqual(view.highScores, [120]);
+  assert.deepEqual(view.scores, [0]);
+});
+
+test("scoring updates the high score, the run is saved once it's over", () => {
+  const { engine, view, storage } = createEngine();
+  engine.updateScore(10);
+  engine.updateScore(40);
+  assert.equal(engine.currentScore, 50);
+  assert.deepEqual(view.scores, [0, 10, 50]);
+  assert.deepEqual(view.highScores, [0, 10, 50]);
+  assert.deepEqual(new Leaderboard(storage).entries("classic"), []);
+
+  engine.gameOver();
+  assert.equal(view.result.rank, 0);
+  const [entry] = new Leaderboard(storage).entries("classic");
+  assert.equal(entry.score, 50);
+  assert.equal(entry.mode, "classic");
+});
+
+test("runs record sliced fruits and the best combo", () => {
+  const { engine, view } = createEngine();
+  engine.start();
+  run(engine, 1);
+  engine.board.fruits = [];
+  for (let x = 100; x <= 500; x += 200) {
+    engine.board.fruits.push(new Fruit(new Point(x, 100), new Velocity(0, 0), 0, fruitKind("apple")));
+  }
+  engine.pressBlade(1, new Point(50, 145));
+  engine.moveBlade(1, new Point(650, 145));
+  engine.releaseBlade(1);
+  engine.gameOver();
+  assert.equal(view.result.entry.fruitsSliced, 3);
+  assert.equal(view.result.entry.bestCombo, 3);
+  assert.ok(Math.abs(view.result.entry.duration - 1) < 1e-9);
+});
+
+test("combo bonus starts at three fruits", () => {
+  assert.equal(GameEngine.comboBonus(1), 0);
+  assert.equal(GameEngine.comboBonus(2), 0);
+  assert.equal(GameEngine.comboBonus(3), 3 * ComboBonusPerFruit);
+  assert.equal(GameEngine.comboBonus(5), 5 * ComboBonusPerFruit);
+});
+
+test("points are awarded once per swipe with a combo bonus", () => {
+  const { engine, view } = createEngine();
+  engine.start();
+  engine.board.fruits = [];
+  for (let x = 100; x <= 500; x += 200) {
+    engine.board.fruits.push(new Fruit(new Point(x, 100), new Velocity(0, 0), 0, fruitKind("apple")));
+  }
+
+  engine.pressBlade(1, new Point(50, 145));
+  engine.moveBlade(1, new Point(350, 145));
+  engine.moveBlade(1, new Point(650, 145));
+  assert.equal(engine.currentScore, 0);
+
+  run(engine, SwipeIdleTime + PhysicsStep);
+  assert.equal(engine.currentScore, 3 * fruitKind("apple").points + 3 * ComboBonusPerFruit);
+  assert.deepEqual(view.combos, [{ count: 3, bonus: 3 * ComboBonusPerFruit }]);
+  assert.deepEqual(view.scores, [0, engine.currentScore]);
+});
+
+test("the difficulty schedule ramps up at the next wave", () => {
+  const { engine } = createEngine();
+  engine.start();
+  const gravity = engine.gravity;
+  engine.updateScore(DifficultySchedule[1].score);
+  assert.equal(engine.gravity, gravity);
+
+  run(engine, FruitSpawnInterval + PhysicsStep);
+  assert.equal(engine.fruitFlyingInterval, DifficultySchedule[1].flyingInterval);
+  assert.equal(engine.fruitSpawnInterval, DifficultySchedule[1].spawnInterval);
+  assert.ok(engine.gravity > gravity);
+});
+
+test("the difficulty ramps up with the time played", () => {
+  const { engine } = createEngine();
+  engine.start();
+  run(engine, 1);
+  assert.ok(Math.abs(engine.elapsed - 1) < 1e-9);
+
+  const [first, second] = DifficultySchedule;
+  engine.elapsed = second.time / 2;
+  engine.applyDifficulty();
+  assert.equal(engine.fruitSpawnInterval, (first.spawnInterval + second.spawnInterval) / 2);
+});
+
+test("a custom schedule can throw several bombs together", () => {
+  const schedule = [{ time: 0, score: 0, spawnInterval: 1, fruitsPerWave: [2, 2], flyingInterval: 4, bombRatio: 1, bombsPerWave: [3, 3] }];
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [], { rng: () => 0.5, difficulty: schedule });
+  engine.spawnFruit();
+  assert.equal(engine.board.fruits.filter((fruit) => fruit.isBomb()).length, 3);
+  assert.equal(engine.board.fruits.filter((fruit) => fruit.isFruit()).length, 2);
+});
+
+test("start spawns fruits and keeps them moving", () => {
+  const { engine } = createEngine();
+  engine.start();
+  assert.equal(engine.board.fruits.length, 1);
+  const y = engine.board.fruits[0].position.y;
+
+  run(engine, PhysicsStep);
+  assert.ok(engine.board.fruits[0].position.y < y);
+
+  run(engine, FruitSpawnInterval);
+  // rng() = 0.5 throws two more fruits
+  assert.equal(engine.board.fruits.length, 3);
+});
+
+test("a bomb is thrown after a few fruits", () => {
+  const { engine, view } = createEngine();
+  // rng() = 0.5 waits for 6 fruits, every wave has 2 fruits
+  engine.spawnFruit();
+  engine.spawnFruit();
+  assert.ok(engine.board.fruits.every((fruit) => fruit.isFruit()));
+  engine.spawnFruit();
+  assert.equal(engine.board.fruits.filter((fruit) => fruit.isBomb()).length, 1);
+  assert.deepEqual(view.bombs, engine.board.fruits.filter((fruit) => fruit.isBomb()));
+});
+
+test("three missed fruits end the game", () => {
+  const { engine, view } = createEngine();
+  engine.start();
+  engine.board.fruits = [];
+  engine.updateScore(30);
+
+  for (let i = 0; i < 3; i++) {
+    dropFruit(engine);
+    run(engine, PhysicsStep);
+  }
+  assert.deepEqual(view.missed, [1, 2, 3]);
+  assert.ok(engine.isGameOver);
+  assert.deepEqual(view.gameOvers, [30]);
+  assert.equal(engine.board.fruits.length, 0);
+
+  // nothing moves or scores anymore
+  engine.updateScore(10);
+  assert.equal(engine.currentScore, 30);
+  run(engine, FruitSpawnInterval * 2);
+  assert.equal(engine.board.fruits.length, 0);
+});
+
+test("missed bombs don't count", () => {
+  const { engine, view } = createEngine();
+  engine.start();
+  engine.board.fruits = [];
+  dropFruit(engine, "bomb");
+  run(engine, PhysicsStep);
+  assert.deepEqual(view.missed, []);
+  assert.ok(!engine.isGameOver);
+});
+
+test("slicing a bomb ends the game", () => {
+  const { engine, view } = createEngine();
+  engine.start();
+  engine.board.fruits = [];
+  const bomb = new Fruit(new Point(100, 100), new Velocity(0, 0), 0, fruitKind("bomb"));
+  engine.board.fruits.push(bomb);
+
+  engine.pressBlade(1, new Point(50, 145));
+  engine.moveBlade(1, new Point(250, 145));
+  assert.ok(engine.isGameOver);
+  assert.deepEqual(view.gameOvers, [0]);
+});
+
+test("a paused game doesn't move or slice", () => {
+  const { engine } = createEngine();
+  engine.start();
+  const fruit = engine.board.fruits[0];
+  fruit.position = new Point(100, 100);
+  const y = fruit.position.y;
+
+  engine.pause();
+  run(engine, FruitSpawnInterval);
+  assert.equal(fruit.position.y, y);
+  assert.equal(engine.board.fruits.length, 1);
+
+  engine.pressBlade(1, new Point(50, 145));
+  engine.moveBlade(1, new Point(250, 145));
+  assert.ok(!fruit.isSliced());
+
+  engine.resume();
+  run(engine, PhysicsStep);
+  assert.notEqual(fruit.position.y, y);
+});
+
+test("pause and resume are ignored before the game starts", () => {
+  const { engine } = createEngine();
+  engine.pause();
+  engine.resume();
+  run(engine, FruitSpawnInterval);
+  assert.equal(engine.board.fruits.length, 0);
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventBus, GameEvent, GamePlugin } from "../scripts/core/events.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { GameState } from "../scripts/core/state-machine.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+
+const BoardSize = new Size(1000, 800);
+
+/**
+ * @brief Plugin recording the payloads of some events.
+ */
+class RecordingPlugin extends GamePlugin {
+  constructor(types, name = "recording") {
+    super(name);
+    this.types = types;
+    this.received = [];
+  }
+
+  attach(events) {
+    this.types.forEach((type) => events.on(type, (payload) => this.received.push({ type, ...payload })));
+  }
+}
+
+test("handlers get the payloads in the order they subscribed", () => {
+  const bus = new EventBus();
+  const calls = [];
+  bus.on(GameEvent.ScoreChanged, ({ score }) => calls.push(`first ${score}`));
+  const unsubscribe = bus.on(GameEvent.ScoreChanged, ({ score }) => calls.push(`second ${score}`));
+  bus.emit(GameEvent.ScoreChanged, { score: 10 });
+  unsubscribe();
+  bus.emit(GameEvent.ScoreChanged, { score: 20 });
+  assert.deepEqual(calls, ["first 10", "second 10", "first 20"]);
+
+  bus.clear();
+  bus.emit(GameEvent.ScoreChanged, { score: 30 });
+  assert.equal(calls.length, 3);
+});
+
+test("unknown events and incomplete payloads are rejected", () => {
+  const bus = new EventBus();
+  assert.throws(() => bus.on("fruitEaten", () => {}), /Unknown game event "fruitEaten"/);
+  assert.throws(() => bus.emit("fruitEaten", {}), /Unknown game event "fruitEaten"/);
+  assert.throws(() => bus.emit(GameEvent.FruitSliced, { fruit: null, kind: "apple" }), /Game event "fruitSliced" is missing position, swipeId/);
+});
+
+test("a sliced fruit reports its kind, position and swipe", () => {
+  const plugin = new RecordingPlugin([GameEvent.FruitSliced, GameEvent.BombSliced]);
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [plugin], { rng: () => 0.5 });
+  engine.start();
+  engine.board.fruits = [new Fruit(new Point(100, 100), new Velocity(0, 0), 0, fruitKind("pear")), new Fruit(new Point(400, 100), new Velocity(0, 0), 0, fruitKind("penaltyBomb"))];
+  const [pear, bomb] = engine.board.fruits;
+  engine.pressBlade(1, new Point(50, 145));
+  engine.moveBlade(1, new Point(600, 145));
+
+  assert.deepEqual(plugin.received, [
+    { type: GameEvent.FruitSliced, fruit: pear, kind: "pear", position: pear.center(), swipeId: 1 },
+    // the bomb was cut by the swipe that cut the pear
+    { type: GameEvent.FruitSliced, fruit: bomb, kind: "penaltyBomb", position: bomb.center(), swipeId: 1 },
+    { type: GameEvent.BombSliced, bomb: bomb, bombType: "penalty" },
+  ]);
+});
+
+test("thrown fruits and state changes are reported", () => {
+  const plugin = new RecordingPlugin([GameEvent.FruitSpawned, GameEvent.StateChanged]);
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [plugin], { rng: () => 0.5 });
+  engine.start();
+  engine.pause();
+  engine.resume();
+  engine.gameOver();
+
+  const spawned = plugin.received.filter((event) => event.type === GameEvent.FruitSpawned);
+  assert.equal(spawned.length, 1);
+  assert.equal(spawned[0].kind, spawned[0].fruit.kind.id);
+  assert.deepEqual(
+    plugin.received.filter((event) => event.type === GameEvent.StateChanged).map((event) => [event.previous, event.state]),
+    [
+      [null, GameState.Playing],
+      [GameState.Playing, GameState.Paused],
+      [GameState.Paused, GameState.Playing],
+      [GameState.Playing, GameState.GameOver],
+    ]
+  );
+});
+
+test("plugins attach to every new game and leave a disposed one", () => {
+  const plugin = new RecordingPlugin([GameEvent.ScoreChanged]);
+  const first = new GameEngine(BoardSize, gameMode("classic"), [plugin], { rng: () => 0.5 });
+  first.updateScore(10);
+  first.dispose();
+  first.updateScore(10);
+  const second = new GameEngine(BoardSize, gameMode("classic"), [plugin], { rng: () => 0.5 });
+  second.updateScore(5);
+  assert.deepEqual(
+    plugin.received.map((event) => event.score),
+    [0, 10, 0, 5]
+  );
+
+  assert.throws(() => new GameEngine(BoardSize, gameMode("classic"), [plugin, new RecordingPlugin([], "recording")]), /Plugin "recording" is attached twice/);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Fruit } from "../scripts/core/fruit.js";
+import { Point, Velocity } from "../scripts/core/geometry.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+
+test("move applies velocity and gravity", () => {
+  const fruit = new Fruit(new Point(10, 100), new Velocity(2, -4), 2, fruitKind("apple"));
+  fruit.move(1);
+  assert.deepEqual(fruit.position, new Point(12, 97));
+  assert.equal(fruit.velocity.vy, -2);
+  fruit.move(1);
+  assert.deepEqual(fruit.position, new Point(14, 96));
+  assert.deepEqual(fruit.previousPosition, new Point(12, 97));
+});
+
+test("trajectory doesn't depend on the step length", () => {
+  const coarse = new Fruit(new Point(0, 800), new Velocity(100, -600), 400, fruitKind("apple"));
+  const fine = new Fruit(new Point(0, 800), new Velocity(100, -600), 400, fruitKind("apple"));
+  coarse.move(0.5);
+  for (let i = 0; i < 60; i++) {
+    fine.move(0.5 / 60);
+  }
+  assert.ok(Math.abs(coarse.position.x - fine.position.x) < 1e-9);
+  assert.ok(Math.abs(coarse.position.y - fine.position.y) < 1e-9);
+});
+
+test("interpolated position lies between the last two steps", () => {
+  const fruit = new Fruit(new Point(0, 0), new Velocity(10, 20), 0, fruitKind("apple"));
+  fruit.move(1);
+  assert.deepEqual(fruit.interpolatedPosition(0), new Point(0, 0));
+  assert.deepEqual(fruit.interpolatedPosition(0.5), new Point(5, 10));
+  assert.deepEqual(fruit.interpolatedPosition(1), new Point(10, 20));
+});
+
+test("hit circle is centered and smaller than the image", () => {
+  const fruit = new Fruit(new Point(10, 20), new Velocity(0, 0), 1, fruitKind("apple"));
+  const circle = fruit.hitCircle();
+  assert.deepEqual(circle.center, new Point(55, 65));
+  assert.ok(circle.radius < 45);
+});
+
+test("bombs are detected by their kind", () => {
+  const bomb = new Fruit(new Point(0, 0), new Velocity(0, 0), 1, fruitKind("bomb"));
+  const apple = new Fruit(new Point(0, 0), new Velocity(0, 0), 1, fruitKind("apple"));
+  assert.ok(bomb.isBomb());
+  assert.ok(!bomb.isFruit());
+  assert.ok(apple.isFruit());
+});
+
+test("slice marks a fruit as sliced", () => {
+  const fruit = new Fruit(new Point(0, 0), new Velocity(0, 0), 1, fruitKind("apple"));
+  assert.ok(!fruit.isSliced());
+  fruit.slice();
+  assert.ok(fruit.isSliced());
+});
+
+test("fruits roll towards their flying direction", () => {
+  const fruit = new Fruit(new Point(0, 0), new Velocity(90, 0), 0, fruitKind("apple"));
+  fruit.move(0.5);
+  assert.equal(fruit.angle, 0.5);
+  assert.equal(fruit.interpolatedAngle(0.5), 0.25);
+});
+
+test("split halves fly apart perpendicular to the cut and spin", () => {
+  const fruit = new Fruit(new Point(0, 0), new Velocity(0, -100), 0, fruitKind("apple"));
+  fruit.angle = Math.PI / 2;
+  // vertical cut through the center
+  const [right, left] = fruit.split(Math.PI / 2, new Point(45, 0));
+  assert.ok(right.isSliced() && left.isSliced());
+  assert.equal(right.cut.angle, 0);
+  assert.deepEqual([right.cut.side, left.cut.side], [-1, 1]);
+  assert.ok(Math.abs(right.cut.offset) < 1e-9);
+  // the cut line points down, its normal left, the right half keeps side -1
+  assert.ok(right.velocity.vx > 0 && left.velocity.vx < 0);
+  assert.equal(right.velocity.vx, -left.velocity.vx);
+  assert.ok(Math.abs(right.velocity.vy + 100) < 1e-9);
+  assert.ok(right.spin < fruit.spin && left.spin > fruit.spin);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameLoop } from "../scripts/core/game-loop.js";
+import { ManualClock } from "../scripts/core/clock.js";
+
+function createLoop(step) {
+  const clock = new ManualClock();
+  const frames = [];
+  const calls = { steps: [], alphas: [] };
+  const loop = new GameLoop(
+    step,
+    (dt) => calls.steps.push(dt),
+    (alpha) => calls.alphas.push(alpha),
+    {
+      clock: clock,
+      requestFrame: (callback) => frames.push(callback),
+      cancelFrame: () => frames.splice(0),
+    }
+  );
+  // runs the pending animation frame after some time
+  const nextFrame = (duration) => {
+    clock.advance(duration);
+    frames.shift()();
+  };
+  return { loop, calls, nextFrame, frames };
+}
+
+test("elapsed time is consumed in fixed steps", () => {
+  const { loop, calls, nextFrame } = createLoop(0.01);
+  loop.start();
+  nextFrame(25);
+  assert.deepEqual(calls.steps, [0.01, 0.01]);
+  assert.equal(calls.alphas.length, 1);
+  assert.ok(Math.abs(calls.alphas[0] - 0.5) < 1e-9);
+
+  // the leftover time is carried to the next frame
+  nextFrame(5);
+  assert.equal(calls.steps.length, 3);
+  assert.ok(calls.alphas[1] < 1e-6);
+});
+
+test("the number of steps doesn't depend on the frame rate", () => {
+  const slow = createLoop(0.01);
+  const fast = createLoop(0.01);
+  slow.loop.start();
+  fast.loop.start();
+  for (let i = 0; i < 30; i++) {
+    slow.nextFrame(100 / 3);
+  }
+  for (let i = 0; i < 144; i++) {
+    fast.nextFrame(1000 / 144);
+  }
+  assert.equal(slow.calls.steps.length, 100);
+  assert.equal(fast.calls.steps.length, 100);
+});
+
+test("a slower game runs fewer steps in the same time", () => {
+  const { loop, calls, nextFrame } = createLoop(0.01);
+  loop.speed = 0.5;
+  loop.start();
+  for (let i = 0; i < 10; i++) {
+    nextFrame(20);
+  }
+  assert.equal(calls.steps.length, 10);
+  assert.deepEqual(new Set(calls.steps), new Set([0.01]));
+});
+
+test("long frames are clamped", () => {
+  const { loop, calls, nextFrame } = createLoop(1 / 128);
+  loop.start();
+  nextFrame(10000);
+  assert.equal(calls.steps.length, 32);
+});
+
+test("a stopped loop doesn't request frames", () => {
+  const { loop, frames } = createLoop(0.01);
+  loop.start();
+  assert.ok(loop.isRunning());
+  loop.stop();
+  assert.ok(!loop.isRunning());
+  assert.equal(frames.length, 0);
+});
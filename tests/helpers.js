@@ -0,0 +1,34 @@
+import { Board } from "../scripts/core/board.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+import { EventBus, GameEvent } from "../scripts/core/events.js";
+
+// Board helpers shared by the board and bomb tests
+
+export const BoardSize = new Size(1000, 800);
+
+/**
+ * @brief Creates a board recording what its event bus reports.
+ */
+export function createBoard(rng = () => 0.5) {
+  const events = { missed: 0, sliced: [], bombs: [], swipes: [], detonated: [], defused: [] };
+  const bus = new EventBus();
+  bus.on(GameEvent.FruitMissed, () => events.missed++);
+  bus.on(GameEvent.FruitSliced, ({ fruit }) => events.sliced.push(fruit));
+  bus.on(GameEvent.BombSliced, ({ bomb }) => events.bombs.push(bomb));
+  bus.on(GameEvent.SwipeEnded, ({ swipe }) => events.swipes.push(swipe));
+  bus.on(GameEvent.BombDetonated, ({ bomb, blasted }) => events.detonated.push({ bomb, blasted }));
+  bus.on(GameEvent.BombDefused, ({ bomb }) => events.defused.push(bomb));
+  const board = new Board(BoardSize, { rng: rng }, bus);
+  return { board, events };
+}
+
+/**
+ * @brief Puts a resting object of a kind on a board.
+ */
+export function addFruit(board, x, y, kind = "apple") {
+  const fruit = new Fruit(new Point(x, y), new Velocity(0, 0), 0, fruitKind(kind));
+  board.fruits.push(fruit);
+  return fruit;
+}
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DefaultPlayerName, Leaderboard, LeaderboardSize } from "../scripts/core/leaderboard.js";
+import { MemoryStorage } from "../scripts/core/storage.js";
+
+const Now = new Date("2026-05-01T12:00:00Z");
+
+function createLeaderboard(storage = new MemoryStorage()) {
+  return new Leaderboard(storage, { now: () => Now });
+}
+
+function run(score, mode = "classic") {
+  return { score: score, duration: 42, fruitsSliced: 12, bestCombo: 4, mode: mode };
+}
+
+test("runs are ranked best first and saved", () => {
+  const storage = new MemoryStorage();
+  const leaderboard = createLeaderboard(storage);
+  assert.equal(leaderboard.add(run(50)).rank, 0);
+  assert.equal(leaderboard.add(run(80)).rank, 0);
+  assert.equal(leaderboard.add(run(50)).rank, 2);
+
+  const entries = createLeaderboard(storage).entries("classic");
+  assert.deepEqual(
+    entries.map((entry) => entry.score),
+    [80, 50, 50]
+  );
+  assert.deepEqual(entries[0], { name: DefaultPlayerName, score: 80, date: Now.toISOString(), duration: 42, fruitsSliced: 12, bestCombo: 4, mode: "classic" });
+});
+
+test("every mode has its own table of the top runs", () => {
+  const leaderboard = createLeaderboard();
+  for (let score = 10; score <= 10 * (LeaderboardSize + 2); score += 10) {
+    leaderboard.add(run(score));
+  }
+  leaderboard.add(run(5, "zen"));
+  assert.equal(leaderboard.entries("classic").length, LeaderboardSize);
+  assert.equal(leaderboard.best("classic"), 10 * (LeaderboardSize + 2));
+  assert.equal(leaderboard.best("zen"), 5);
+  assert.equal(leaderboard.best("arcade"), 0);
+
+  assert.ok(!leaderboard.qualifies("classic", 30));
+  assert.equal(leaderboard.add(run(30)).rank, -1);
+  assert.ok(!leaderboard.qualifies("arcade", 0));
+});
+
+test("renamed entries keep the name for the next runs", () => {
+  const storage = new MemoryStorage();
+  const leaderboard = createLeaderboard(storage);
+  const { entry } = leaderboard.add(run(50));
+  leaderboard.rename(entry, "  Inna the Fruit Slayer of Zurich  ");
+  assert.equal(entry.name, "Inna the Fruit S");
+  assert.equal(leaderboard.add(run(60)).entry.name, "Inna the Fruit S");
+  assert.equal(createLeaderboard(storage).entries("classic")[1].name, "Inna the Fruit S");
+
+  leaderboard.rename(entry, "   ");
+  assert.equal(entry.name, DefaultPlayerName);
+});
+
+test("old high scores are migrated", () => {
+  const storage = new MemoryStorage();
+  storage.setItem("highScore", "120");
+  storage.setItem("highScore.arcade", "70");
+  const leaderboard = createLeaderboard(storage);
+  assert.equal(leaderboard.best("classic"), 120);
+  assert.equal(leaderboard.entries("arcade")[0].date, null);
+  assert.equal(storage.getItem("highScore"), null);
+  assert.equal(createLeaderboard(storage).best("arcade"), 70);
+});
+
+test("corrupt data is set aside", () => {
+  for (const raw of ["{not json", "null", JSON.stringify({ version: 99, tables: {} })]) {
+    const storage = new MemoryStorage();
+    storage.setItem("leaderboard", raw);
+    const leaderboard = createLeaderboard(storage);
+    assert.deepEqual(leaderboard.entries("classic"), []);
+    assert.equal(storage.getItem("leaderboard.corrupt"), raw);
+    leaderboard.add(run(10));
+    assert.equal(createLeaderboard(storage).best("classic"), 10);
+  }
+});
+
+test("broken entries are dropped", () => {
+  const storage = new MemoryStorage();
+  const tables = { classic: [{ name: "Ann", score: 20, mode: "classic" }, { name: 5, score: "lots" }, null], zen: "nope" };
+  storage.setItem("leaderboard", JSON.stringify({ version: 1, playerName: "Ann", tables: tables }));
+  const leaderboard = createLeaderboard(storage);
+  assert.equal(leaderboard.entries("classic").length, 1);
+  assert.deepEqual(leaderboard.entries("zen"), []);
+  assert.equal(leaderboard.playerName(), "Ann");
+});
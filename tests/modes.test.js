@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameEngine } from "../scripts/core/engine.js";
+import { GameEvent, GamePlugin } from "../scripts/core/events.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { MemoryStorage } from "../scripts/core/storage.js";
+import { GameMode, GameModes, HudElement, gameMode, registerGameMode } from "../scripts/core/modes.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+
+const BoardSize = new Size(1000, 800);
+
+/**
+ * @brief Plugin recording the timer and chances.
+ */
+class RecordingView extends GamePlugin {
+  constructor() {
+    super("recording");
+    this.times = [];
+    this.missed = [];
+  }
+
+  attach(events) {
+    events.on(GameEvent.TimeChanged, ({ seconds }) => this.times.push(seconds));
+    events.on(GameEvent.ChanceLost, ({ missedFruits }) => this.missed.push(missedFruits));
+  }
+}
+
+function createEngine(mode, storage = new MemoryStorage()) {
+  const view = new RecordingView();
+  const engine = new GameEngine(BoardSize, mode, [view], { rng: () => 0.5, storage: storage });
+  return { engine, view, storage };
+}
+
+function run(engine, duration) {
+  for (let time = 0; time < duration - 1e-9; time += PhysicsStep) {
+    engine.update(PhysicsStep);
+  }
+}
+
+function sliceBomb(engine) {
+  engine.board.fruits = [new Fruit(new Point(100, 100), new Velocity(0, 0), 0, fruitKind("bomb"))];
+  engine.pressBlade(1, new Point(50, 145));
+  engine.moveBlade(1, new Point(250, 145));
+  engine.releaseBlade(1);
+}
+
+function missFruit(engine) {
+  engine.board.fruits = [new Fruit(new Point(100, BoardSize.height - 1), new Velocity(0, 500), 0, fruitKind("apple"))];
+  run(engine, PhysicsStep);
+}
+
+test("the built-in modes are registered in picker order", () => {
+  assert.deepEqual([...GameModes.keys()].slice(0, 3), ["classic", "arcade", "zen"]);
+  assert.equal(gameMode("unknown").id, "classic");
+  assert.deepEqual(gameMode("classic").hud, [HudElement.Chances]);
+  assert.deepEqual(gameMode("arcade").hud, [HudElement.Timer]);
+});
+
+test("classic games aren't timed", () => {
+  const { engine, view } = createEngine(gameMode("classic"));
+  engine.start();
+  assert.ok(!engine.isTimed());
+  run(engine, 1);
+  assert.deepEqual(view.times, []);
+});
+
+test("arcade games end when the time is up", () => {
+  const { engine, view } = createEngine(gameMode("arcade"));
+  engine.start();
+  assert.deepEqual(view.times, [60]);
+  run(engine, 1);
+  assert.deepEqual(view.times, [60, 59]);
+  run(engine, 58.5);
+  assert.ok(!engine.isGameOver);
+  run(engine, 0.5);
+  assert.ok(engine.isGameOver);
+  assert.equal(view.times.at(-1), 0);
+});
+
+test("arcade bombs cost points and time instead of ending the game", () => {
+  const { engine } = createEngine(gameMode("arcade"));
+  engine.start();
+  engine.updateScore(80);
+  sliceBomb(engine);
+  assert.ok(!engine.isGameOver);
+  assert.equal(engine.currentScore, 30);
+  assert.equal(engine.timeLeft, 55);
+
+  // the score never drops below zero
+  sliceBomb(engine);
+  assert.equal(engine.currentScore, 0);
+});
+
+test("arcade misses have no penalty", () => {
+  const { engine, view } = createEngine(gameMode("arcade"));
+  engine.start();
+  for (let i = 0; i < 3; i++) {
+    missFruit(engine);
+  }
+  assert.deepEqual(view.missed, []);
+  assert.ok(!engine.isGameOver);
+});
+
+test("zen games don't throw bombs", () => {
+  const { engine } = createEngine(gameMode("zen"));
+  engine.start();
+  assert.equal(engine.timeLeft, 90);
+  for (let i = 0; i < 10; i++) {
+    engine.spawnFruit();
+  }
+  assert.ok(engine.board.fruits.every((fruit) => fruit.isFruit()));
+});
+
+test("every mode keeps its own high score", () => {
+  const storage = new MemoryStorage();
+  storage.setItem("highScore", "300");
+  const arcade = createEngine(gameMode("arcade"), storage).engine;
+  assert.equal(arcade.highScore, 0);
+  arcade.updateScore(50);
+  arcade.gameOver();
+  assert.equal(createEngine(gameMode("arcade"), storage).engine.highScore, 50);
+  assert.equal(createEngine(gameMode("classic"), storage).engine.highScore, 300);
+});
+
+test("custom modes plug into the engine", () => {
+  class SuddenDeathMode extends GameMode {
+    constructor() {
+      super("suddenDeath", "Sudden death", "A single miss ends the game");
+      this.hud = [HudElement.Chances];
+    }
+
+    fruitMissed(engine) {
+      engine.loseChance();
+      engine.gameOver();
+    }
+  }
+  registerGameMode(new SuddenDeathMode());
+  assert.throws(() => registerGameMode(new SuddenDeathMode()));
+
+  const { engine } = createEngine(gameMode("suddenDeath"));
+  engine.start();
+  missFruit(engine);
+  assert.ok(engine.isGameOver);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ParticlePool, ParticleQuality, ParticleSettings } from "../scripts/render/particles.js";
+
+test("particles move, age and die", () => {
+  const pool = new ParticlePool(4);
+  pool.emit(0, 0, 10, -20, 40, 2, "red", 1);
+  pool.update(0.5);
+  const [particle] = pool.particles;
+  assert.equal(particle.x, 5);
+  assert.equal(particle.y, -5);
+  assert.equal(pool.aliveCount(), 1);
+
+  pool.update(0.5);
+  assert.equal(pool.aliveCount(), 0);
+});
+
+test("a full pool reuses its oldest particle", () => {
+  const pool = new ParticlePool(2);
+  const first = pool.emit(0, 0, 0, 0, 0, 1, "red", 1);
+  pool.emit(0, 0, 0, 0, 0, 1, "green", 1);
+  const third = pool.emit(0, 0, 0, 0, 0, 1, "blue", 1);
+  assert.equal(third, first);
+  assert.equal(pool.particles.length, 2);
+  assert.equal(pool.aliveCount(), 2);
+});
+
+test("an empty pool ignores particles", () => {
+  const pool = new ParticlePool(ParticleSettings[ParticleQuality.Off].poolSize);
+  assert.equal(pool.emit(0, 0, 0, 0, 0, 1, "red", 1), null);
+  assert.equal(pool.aliveCount(), 0);
+});
+
+test("clear kills every particle", () => {
+  const pool = new ParticlePool(3);
+  pool.emit(0, 0, 0, 0, 0, 1, "red", 1);
+  pool.emit(0, 0, 0, 0, 0, 1, "red", 1);
+  pool.clear();
+  assert.equal(pool.aliveCount(), 0);
+});
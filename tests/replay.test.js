@@ -0,0 +1,174 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GameEngine } from "../scripts/core/engine.js";
+import { GameEvent, GamePlugin } from "../scripts/core/events.js";
+import { Point, Size } from "../scripts/core/geometry.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { createRng } from "../scripts/core/random.js";
+import { ReplayInput, ReplayPlayer, parseReplay, verifyReplay } from "../scripts/core/replay.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+
+const BoardSize = new Size(1000, 800);
+
+/**
+ * @brief Plugin keeping the result of the run.
+ */
+class ResultView extends GamePlugin {
+  constructor() {
+    super("result");
+  }
+
+  attach(events) {
+    events.on(GameEvent.GameOver, (result) => (this.result = result));
+  }
+}
+
+/**
+ * @brief Plays an arcade run with a bot swiping through a fruit every quarter second.
+ *
+ * @param seed Seed of the run.
+ * @param resizes Optional map of physics steps to board sizes the screen is turned to.
+ * @param fruitScale Optional size factor of the thrown objects.
+ * @return Result of the run, see GameEvent.GameOver.
+ */
+function playRun(seed, resizes = new Map(), fruitScale = 1) {
+  const view = new ResultView();
+  const engine = new GameEngine(BoardSize, gameMode("arcade"), [view], { seed: seed, fruitScale: fruitScale });
+  engine.start();
+  let pointer = 1;
+  for (let step = 0; !engine.isGameOver; step++) {
+    if (resizes.has(step)) {
+      engine.resize(resizes.get(step));
+    }
+    if (step % 30 === 0) {
+      const target = engine.board.fruits.find((fruit) => !fruit.isSliced() && fruit.center().y < engine.board.size.height);
+      if (target) {
+        // odd positions check that the recorded input is what the game used
+        const center = target.center();
+        engine.pressBlade(pointer, new Point(center.x - 60.123456, center.y + 0.987654));
+        engine.moveBlade(pointer, new Point(center.x + 60.123456, center.y - 0.333333));
+        engine.releaseBlade(pointer++);
+      }
+    }
+    engine.update(PhysicsStep);
+  }
+  return view.result;
+}
+
+test("seeded random number generators repeat their sequence", () => {
+  const first = createRng(1234);
+  const second = createRng(1234);
+  const other = createRng(4321);
+  const sequence = Array.from({ length: 5 }, () => first());
+  assert.deepEqual(Array.from({ length: 5 }, () => second()), sequence);
+  assert.notDeepEqual(Array.from({ length: 5 }, () => other()), sequence);
+  sequence.forEach((value) => assert.ok(value >= 0 && value < 1));
+});
+
+test("a finished run comes with its replay", () => {
+  const result = playRun(7);
+  const replay = result.replay;
+  assert.ok(result.score > 0);
+  assert.equal(replay.mode, "arcade");
+  assert.equal(replay.seed, 7);
+  assert.deepEqual(replay.size, [1000, 800]);
+  assert.equal(replay.score, result.score);
+  // sliced bombs take time off the 60 seconds
+  assert.ok(replay.steps > 0 && replay.steps <= 60 / PhysicsStep);
+  assert.deepEqual(
+    replay.input.slice(0, 3).map((entry) => entry.slice(1, 3)),
+    [
+      [ReplayInput.Press, 1],
+      [ReplayInput.Move, 1],
+      [ReplayInput.Release, 1],
+    ]
+  );
+  // positions are kept to 1/100 of a pixel
+  replay.input.filter((entry) => entry.length === 5).forEach((entry) => assert.equal(Math.round(entry[3] * 100) / 100, entry[3]));
+});
+
+test("playing a replay back reproduces the score", () => {
+  const result = playRun(99);
+  const replay = parseReplay(JSON.stringify(result.replay));
+  assert.deepEqual(verifyReplay(replay, (recorded) => GameEngine.fromReplay(recorded)), { score: result.score, valid: true });
+});
+
+test("a replay resizes its board at the recorded steps", () => {
+  const result = playRun(21, new Map([[400, new Size(800, 1400)], [2000, BoardSize]]));
+  const replay = parseReplay(JSON.stringify(result.replay));
+  assert.deepEqual(replay.size, [1000, 800]);
+  assert.deepEqual(
+    replay.input.filter((entry) => entry[1] === ReplayInput.Resize),
+    [
+      [400, ReplayInput.Resize, 800, 1400],
+      [2000, ReplayInput.Resize, 1000, 800],
+    ]
+  );
+  assert.deepEqual(verifyReplay(replay, (recorded) => GameEngine.fromReplay(recorded)), { score: result.score, valid: true });
+
+  const player = new ReplayPlayer(replay, (recorded) => GameEngine.fromReplay(recorded));
+  player.seek(1000);
+  assert.deepEqual(player.engine.board.size, new Size(800, 1400));
+});
+
+test("a replay keeps the fruit size of the run", () => {
+  const result = playRun(13, new Map(), 1.5);
+  const replay = parseReplay(JSON.stringify(result.replay));
+  assert.equal(replay.fruitScale, 1.5);
+  assert.deepEqual(verifyReplay(replay, (recorded) => GameEngine.fromReplay(recorded)), { score: result.score, valid: true });
+  delete replay.fruitScale;
+  assert.equal(GameEngine.fromReplay(replay).fruitScale, 1);
+});
+
+test("a tampered replay fails the check", () => {
+  const replay = playRun(5).replay;
+  replay.score += 100;
+  assert.equal(verifyReplay(replay, (recorded) => GameEngine.fromReplay(recorded)).valid, false);
+});
+
+test("a played back run isn't added to the leaderboard", () => {
+  const replay = playRun(3).replay;
+  const view = new ResultView();
+  const player = new ReplayPlayer(replay, (recorded) => GameEngine.fromReplay(recorded, [view]));
+  player.seek(replay.steps);
+  assert.ok(player.isFinished());
+  assert.equal(view.result.rank, -1);
+  assert.equal(view.result.replay, null);
+  assert.deepEqual(player.engine.leaderboard.entries("arcade"), []);
+});
+
+test("the player follows the speed, pauses and seeks back", () => {
+  const replay = playRun(11).replay;
+  const player = new ReplayPlayer(replay, (recorded) => GameEngine.fromReplay(recorded));
+  player.speed = 2;
+  player.update(PhysicsStep * 10);
+  assert.equal(player.step, 20);
+
+  player.isPaused = true;
+  player.update(PhysicsStep * 10);
+  assert.equal(player.step, 20);
+
+  player.isPaused = false;
+  player.speed = 0.5;
+  player.update(PhysicsStep);
+  player.update(PhysicsStep);
+  assert.equal(player.step, 21);
+
+  player.seek(3000);
+  const score = player.engine.currentScore;
+  player.seek(100);
+  assert.equal(player.step, 100);
+  player.seek(3000);
+  assert.equal(player.engine.currentScore, score);
+});
+
+test("broken replay files are rejected", () => {
+  const replay = playRun(1).replay;
+  assert.throws(() => parseReplay("{"), /Invalid replay/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, version: 99 })), /Invalid replay: version 99 isn't supported/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, mode: "speedrun" })), /unknown game mode "speedrun"/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, input: [[0, "x", 1]] })), /input 0 is malformed/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, input: [[5, "u", 1], [2, "u", 1]] })), /input 1 is malformed/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, input: [[0, "r", 800, 0]] })), /input 0 is malformed/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, fruitScale: 0 })), /fruitScale has to be a positive number/);
+});
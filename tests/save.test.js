@@ -0,0 +1,165 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CheckpointInterval, RunSave } from "../scripts/core/save.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { GameEvent, GamePlugin } from "../scripts/core/events.js";
+import { EffectKind } from "../scripts/core/effects.js";
+import { Size } from "../scripts/core/geometry.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { MemoryStorage } from "../scripts/core/storage.js";
+import { GameState } from "../scripts/core/state-machine.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+
+const BoardSize = new Size(1000, 800);
+const Now = new Date("2026-10-18T12:00:00Z");
+
+/**
+ * @brief Plays a game for a while without touching the fruits.
+ */
+function play(engine, seconds) {
+  for (let step = 0; step < seconds / PhysicsStep; step++) {
+    engine.update(PhysicsStep);
+  }
+}
+
+/**
+ * @brief Plugin recording the payloads of some events.
+ */
+class RecordingPlugin extends GamePlugin {
+  constructor(types) {
+    super("recording");
+    this.types = types;
+    this.received = [];
+  }
+
+  attach(events) {
+    this.types.forEach((type) => events.on(type, (payload) => this.received.push({ type, ...payload })));
+  }
+}
+
+/**
+ * @brief Creates a run save on a clock that can be moved forward.
+ */
+function createSave(storage = new MemoryStorage()) {
+  const clock = { date: Now };
+  const save = new RunSave(storage, { now: () => clock.date });
+  const wait = (hours) => (clock.date = new Date(clock.date.getTime() + hours * 60 * 60 * 1000));
+  return { save: save, storage: storage, wait: wait };
+}
+
+test("a resumed run goes on exactly like the saved one", () => {
+  const engine = new GameEngine(BoardSize, gameMode("zen"), [], { seed: 42 });
+  engine.start();
+  play(engine, 7);
+  engine.activateEffect(EffectKind.Frenzy);
+  play(engine, 0.5);
+  engine.pause();
+
+  const resumed = GameEngine.fromSnapshot(JSON.parse(JSON.stringify(engine.snapshot())), [], { seed: 1 });
+  assert.ok(resumed.board.fruits.length > 0);
+  assert.equal(resumed.recorder, null);
+  engine.resume();
+  resumed.resume();
+  play(engine, 5);
+  play(resumed, 5);
+  assert.deepEqual(resumed.snapshot(), engine.snapshot());
+});
+
+test("a resumed run starts paused and shows its score, chances and time", () => {
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [], { seed: 7 });
+  engine.start();
+  play(engine, 2);
+  engine.updateScore(30);
+  engine.loseChance();
+  engine.loseChance();
+
+  const plugin = new RecordingPlugin([GameEvent.ScoreChanged, GameEvent.ChanceLost, GameEvent.StateChanged]);
+  const resumed = GameEngine.fromSnapshot(engine.snapshot(), [plugin]);
+  assert.ok(resumed.isStarted && resumed.isPaused);
+  assert.equal(resumed.fruitsTillNextBomb, engine.fruitsTillNextBomb);
+  assert.equal(resumed.gravity, engine.gravity);
+  assert.deepEqual(plugin.received.slice(-3), [
+    { type: GameEvent.ScoreChanged, score: 30 },
+    { type: GameEvent.ChanceLost, missedFruits: 2 },
+    { type: GameEvent.StateChanged, state: GameState.Paused, previous: null },
+  ]);
+
+  resumed.resume();
+  assert.equal(resumed.state, GameState.Playing);
+});
+
+test("a run is saved when paused and at checkpoints, and forgotten once over", () => {
+  const { save } = createSave();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [save], { seed: 3 });
+  assert.equal(save.load(), null);
+
+  engine.start();
+  play(engine, CheckpointInterval - 1);
+  save.checkpoint();
+  assert.equal(save.load(), null);
+  play(engine, 1);
+  save.checkpoint();
+  assert.equal(save.load().steps, engine.steps);
+
+  play(engine, 1);
+  engine.pause();
+  assert.deepEqual(save.load(), JSON.parse(JSON.stringify(engine.snapshot())));
+
+  engine.resume();
+  engine.gameOver();
+  assert.equal(save.load(), null);
+});
+
+test("a new run replaces the saved one", () => {
+  const { save } = createSave();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [save], { seed: 3 });
+  engine.start();
+  engine.pause();
+  assert.notEqual(save.load(), null);
+
+  // a resumed run is kept
+  const resumed = GameEngine.fromSnapshot(save.load(), [save]);
+  resumed.resume();
+  assert.notEqual(save.load(), null);
+
+  new GameEngine(BoardSize, gameMode("classic"), [save]).start();
+  assert.equal(save.load(), null);
+});
+
+test("stale, corrupt and other version saves are discarded", () => {
+  const { save, storage, wait } = createSave();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [save], { seed: 3 });
+  engine.start();
+  play(engine, 1);
+  engine.pause();
+  const saved = storage.getItem("savedRun");
+
+  wait(23);
+  assert.notEqual(save.load(), null);
+  wait(2);
+  assert.equal(save.load(), null);
+  assert.equal(storage.getItem("savedRun"), null);
+
+  const { save: fresh, storage: freshStorage } = createSave();
+  const corrupt = (data) => {
+    freshStorage.setItem("savedRun", data);
+    assert.equal(fresh.load(), null);
+    assert.equal(freshStorage.getItem("savedRun"), null);
+  };
+  const edit = (change) => {
+    const data = JSON.parse(saved);
+    change(data);
+    return JSON.stringify(data);
+  };
+  corrupt("{not json");
+  corrupt("null");
+  corrupt(edit((data) => (data.version = 0)));
+  corrupt(edit((data) => (data.date = Now.getTime() + 60000)));
+  corrupt(edit((data) => (data.run.mode = "survival")));
+  corrupt(edit((data) => (data.run.score = "12")));
+  corrupt(edit((data) => (data.run.board.fruits[0].kind = "dragonfruit")));
+  corrupt(edit((data) => (data.run.board.fruits[0].cut = { angle: 1 })));
+
+  freshStorage.setItem("savedRun", saved);
+  assert.equal(fresh.load().mode, "classic");
+});
@@ -0,0 +1,189 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SoundManager } from "../scripts/audio/sound-manager.js";
+import { MemoryStorage } from "../scripts/core/storage.js";
+
+/**
+ * @brief Audio parameter recording its automation.
+ */
+class FakeParam {
+  constructor() {
+    this.value = 1;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    this.events.push(["set", value, time]);
+  }
+
+  exponentialRampToValueAtTime(value, time) {
+    this.events.push(["ramp", value, time]);
+  }
+}
+
+/**
+ * @brief Audio node recording its connections and playback.
+ */
+class FakeNode {
+  constructor(kind) {
+    this.kind = kind;
+    this.outputs = [];
+    this.gain = new FakeParam();
+    this.frequency = new FakeParam();
+    this.playbackRate = new FakeParam();
+    this.started = false;
+  }
+
+  connect(node) {
+    this.outputs.push(node);
+  }
+
+  start() {
+    this.started = true;
+  }
+
+  stop() {}
+}
+
+/**
+ * @brief Audio context keeping every node it creates.
+ */
+class FakeContext {
+  constructor() {
+    this.state = "suspended";
+    this.currentTime = 10;
+    this.sampleRate = 100;
+    this.destination = new FakeNode("destination");
+    this.nodes = [];
+  }
+
+  create(kind) {
+    const node = new FakeNode(kind);
+    this.nodes.push(node);
+    return node;
+  }
+
+  createGain() {
+    return this.create("gain");
+  }
+
+  createBufferSource() {
+    return this.create("buffer");
+  }
+
+  createOscillator() {
+    return this.create("oscillator");
+  }
+
+  createBiquadFilter() {
+    return this.create("filter");
+  }
+
+  createBuffer(channels, length) {
+    const samples = new Float32Array(length);
+    return { getChannelData: () => samples };
+  }
+
+  decodeAudioData(data) {
+    return data === "corrupt" ? Promise.reject(new Error("bad data")) : Promise.resolve({ decoded: data });
+  }
+
+  resume() {
+    this.state = "running";
+  }
+
+  suspend() {
+    this.state = "suspended";
+  }
+}
+
+const SoundSets = {
+  slice: { volume: 0.5, pitch: [1, 2], variants: [{ sound: "slice" }] },
+  combo: { volume: 1, pitch: [1, 1], variants: [{ wave: "sine", from: 400, to: 800, duration: 0.5 }] },
+  explosion: { volume: 1, pitch: [1, 1], variants: [{ wave: "noise", from: 1000, to: 50, duration: 1 }] },
+};
+
+function createManager(storage = new MemoryStorage()) {
+  const context = new FakeContext();
+  const sounds = new SoundManager({ createContext: () => context, storage: storage, rng: () => 0.5, soundSets: SoundSets });
+  return { sounds, context, storage };
+}
+
+test("quick effects overlap on separate sources", async () => {
+  const { sounds, context } = createManager();
+  await sounds.load(new Map([["slice", "wav"]]));
+  sounds.play("slice");
+  sounds.play("slice");
+  const sources = context.nodes.filter((node) => node.kind === "buffer");
+  assert.equal(sources.length, 2);
+  assert.ok(sources.every((source) => source.started && source.buffer.decoded === "wav"));
+  assert.equal(sources[0].playbackRate.value, 1.5);
+});
+
+test("sounds that weren't loaded are skipped", () => {
+  const { sounds, context } = createManager();
+  sounds.play("slice");
+  assert.equal(context.nodes.filter((node) => node.kind === "buffer").length, 0);
+  assert.throws(() => sounds.play("kazoo"), /Unknown sound set "kazoo"/);
+});
+
+test("synthesized sweeps ramp the frequency and fade out", () => {
+  const { sounds, context } = createManager();
+  sounds.play("combo");
+  const oscillator = context.nodes.find((node) => node.kind === "oscillator");
+  assert.equal(oscillator.type, "sine");
+  assert.deepEqual(oscillator.frequency.events, [
+    ["set", 400, 10],
+    ["ramp", 800, 10.5],
+  ]);
+
+  sounds.play("explosion");
+  const filter = context.nodes.find((node) => node.kind === "filter");
+  assert.equal(filter.type, "lowpass");
+  assert.deepEqual(filter.frequency.events[1], ["ramp", 50, 11]);
+});
+
+test("the effects volume is clamped and saved", () => {
+  const { sounds, storage } = createManager();
+  assert.equal(sounds.effectsVolume, 0.8);
+  sounds.setEffectsVolume(2);
+  assert.equal(sounds.effectsGain.gain.value, 1);
+  sounds.setEffectsVolume("0.25");
+  assert.equal(sounds.effectsGain.gain.value, 0.25);
+
+  const restored = createManager(storage).sounds;
+  assert.equal(restored.effectsVolume, 0.25);
+});
+
+test("mute silences every sound", () => {
+  const { sounds } = createManager();
+  sounds.setMuted(true);
+  assert.equal(sounds.masterGain.gain.value, 0);
+  sounds.setMuted(false);
+  assert.equal(sounds.masterGain.gain.value, 1);
+});
+
+test("audio is suspended while the page is hidden", () => {
+  const { sounds, context } = createManager();
+  const page = new EventTarget();
+  sounds.attach(page);
+  page.dispatchEvent(new Event("pointerdown"));
+  assert.equal(context.state, "running");
+
+  page.hidden = true;
+  page.dispatchEvent(new Event("visibilitychange"));
+  assert.equal(context.state, "suspended");
+  page.hidden = false;
+  page.dispatchEvent(new Event("visibilitychange"));
+  assert.equal(context.state, "running");
+
+  sounds.detach();
+  page.hidden = true;
+  page.dispatchEvent(new Event("visibilitychange"));
+  assert.equal(context.state, "running");
+});
+
+test("undecodable sounds are named", async () => {
+  const { sounds } = createManager();
+  await assert.rejects(sounds.load(new Map([["slice", "corrupt"]])), /Sound "slice" could not be decoded: bad data/);
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ManualClock } from "../scripts/core/clock.js";
+import { GameState, GameTransitions, StateMachine, StateScope } from "../scripts/core/state-machine.js";
+
+/**
+ * @brief Creates a machine over the game states recording enter and exit calls.
+ */
+function createMachine(clock, calls) {
+  const states = {};
+  Object.values(GameState).forEach((name) => {
+    states[name] = {
+      enter: (scope, params) => calls.push(`enter ${name}`),
+      exit: () => calls.push(`exit ${name}`),
+    };
+  });
+  return new StateMachine(states, GameTransitions, { clock: clock, stateChanged: (state, previous) => calls.push(`${previous} -> ${state}`) });
+}
+
+test("a scope removes its listeners and clears its timers on release", () => {
+  const clock = new ManualClock();
+  const target = new EventTarget();
+  const scope = new StateScope(clock);
+  let events = 0;
+  let ticks = 0;
+  let timeouts = 0;
+  scope.listen(target, "ping", () => events++);
+  scope.setInterval(() => ticks++, 10);
+  scope.setTimeout(() => timeouts++, 50);
+
+  target.dispatchEvent(new Event("ping"));
+  clock.advance(20);
+  assert.equal(events, 1);
+  assert.equal(ticks, 2);
+
+  scope.release();
+  target.dispatchEvent(new Event("ping"));
+  clock.advance(100);
+  assert.equal(events, 1);
+  assert.equal(ticks, 2);
+  assert.equal(timeouts, 0);
+});
+
+test("a scope releases in reverse order", () => {
+  const scope = new StateScope(new ManualClock());
+  const released = [];
+  scope.add(() => released.push(1));
+  scope.add(() => released.push(2));
+  scope.release();
+  scope.release();
+  assert.deepEqual(released, [2, 1]);
+});
+
+test("transitions exit the old state before entering the new one", () => {
+  const calls = [];
+  const machine = createMachine(new ManualClock(), calls);
+  machine.transition(GameState.Menu);
+  machine.transition(GameState.Countdown);
+  assert.ok(machine.is(GameState.Countdown));
+  assert.deepEqual(calls, ["null -> menu", "enter menu", "exit menu", "menu -> countdown", "enter countdown"]);
+});
+
+test("transitions that aren't allowed throw", () => {
+  const machine = createMachine(new ManualClock(), []);
+  machine.transition(GameState.Menu);
+  assert.ok(!machine.can(GameState.Playing));
+  assert.throws(() => machine.transition(GameState.Playing), /Can't change from state "menu" to "playing"/);
+  assert.throws(() => machine.transition("credits"), /Unknown state "credits"/);
+  assert.ok(machine.is(GameState.Menu));
+});
+
+test("paused and game over states restart through the countdown", () => {
+  const machine = createMachine(new ManualClock(), []);
+  machine.transition(GameState.Menu);
+  machine.transition(GameState.Countdown);
+  machine.transition(GameState.Playing);
+  machine.transition(GameState.Paused);
+  machine.transition(GameState.Countdown);
+  machine.transition(GameState.Playing);
+  machine.transition(GameState.GameOver);
+  assert.ok(machine.can(GameState.Countdown));
+  assert.ok(machine.can(GameState.Menu));
+  assert.ok(!machine.can(GameState.Paused));
+});
+
+test("listeners and timers of a state don't outlive it", () => {
+  const clock = new ManualClock();
+  const page = new EventTarget();
+  let count = 3;
+  let keys = 0;
+  const machine = new StateMachine(
+    {
+      [GameState.Menu]: {},
+      [GameState.Countdown]: {
+        enter: (scope) => {
+          scope.listen(page, "keydown", () => keys++);
+          scope.setInterval(() => {
+            count--;
+            if (count === 0) {
+              machine.transition(GameState.Playing);
+            }
+          }, 1000);
+        },
+      },
+      [GameState.Playing]: {},
+    },
+    GameTransitions,
+    { clock: clock }
+  );
+
+  machine.transition(GameState.Menu);
+  machine.transition(GameState.Countdown);
+  page.dispatchEvent(new Event("keydown"));
+  clock.advance(3000);
+  assert.ok(machine.is(GameState.Playing));
+
+  clock.advance(5000);
+  page.dispatchEvent(new Event("keydown"));
+  assert.equal(count, 0);
+  assert.equal(keys, 1);
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Achievements, LifetimeStats } from "../scripts/core/stats.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { MemoryStorage } from "../scripts/core/storage.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+
+const BoardSize = new Size(1000, 800);
+const Now = new Date("2026-10-18T12:00:00Z");
+
+function createStats(storage = new MemoryStorage()) {
+  const unlocked = [];
+  const stats = new LifetimeStats(storage, { now: () => Now, unlocked: (achievement) => unlocked.push(achievement.id) });
+  return { stats: stats, unlocked: unlocked };
+}
+
+function play(engine, seconds) {
+  for (let step = 0; step < seconds / PhysicsStep; step++) {
+    engine.update(PhysicsStep);
+  }
+}
+
+/**
+ * @brief Slices a row of resting objects of some kinds with one swipe.
+ */
+function sliceRow(engine, kinds) {
+  engine.board.fruits = kinds.map((kind, i) => new Fruit(new Point(100 + i * 150, 100), new Velocity(0, 0), 0, fruitKind(kind)));
+  engine.pressBlade(1, new Point(50, 145));
+  engine.moveBlade(1, new Point(150 * kinds.length + 100, 145));
+  engine.releaseBlade(1);
+}
+
+test("games are counted with their slices, bombs, misses and time", () => {
+  const storage = new MemoryStorage();
+  const { stats } = createStats(storage);
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [stats], { rng: () => 0.5 });
+  engine.start();
+  play(engine, 2);
+  sliceRow(engine, ["apple", "apple", "pear", "penaltyBomb"]);
+  engine.board.fruits = [new Fruit(new Point(100, BoardSize.height), new Velocity(0, 10), 0, fruitKind("mango"))];
+  play(engine, 0.5);
+  engine.pause();
+  engine.resume();
+  play(engine, 0.5);
+  engine.gameOver();
+
+  const saved = createStats(storage).stats;
+  assert.equal(saved.data.gamesPlayed, 1);
+  assert.equal(saved.slices("apple"), 2);
+  assert.equal(saved.slices("pear"), 1);
+  assert.equal(saved.slices("penaltyBomb"), 0);
+  assert.equal(saved.totalSlices(), 3);
+  assert.equal(saved.data.bombsHit, 1);
+  assert.equal(saved.data.misses, 1);
+  assert.equal(saved.data.bestCombo, 3);
+  assert.ok(Math.abs(saved.data.longestRun - 3) < 1e-6);
+  assert.ok(Math.abs(saved.data.playTime - 3) < 1e-6);
+});
+
+test("a resumed run isn't counted twice", () => {
+  const { stats } = createStats();
+  const engine = new GameEngine(BoardSize, gameMode("zen"), [stats], { seed: 5 });
+  engine.start();
+  play(engine, 2);
+  engine.pause();
+
+  const resumed = GameEngine.fromSnapshot(engine.snapshot(), [stats]);
+  resumed.resume();
+  play(resumed, 1);
+  resumed.gameOver();
+  assert.equal(stats.data.gamesPlayed, 1);
+  assert.ok(Math.abs(stats.data.playTime - 3) < 1e-6);
+});
+
+test("a resumed run keeps its misses", () => {
+  const { stats, unlocked } = createStats();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [stats], { seed: 5 });
+  engine.start();
+  engine.board.fruits = [new Fruit(new Point(100, BoardSize.height), new Velocity(0, 10), 0, fruitKind("mango"))];
+  play(engine, 0.5);
+  engine.pause();
+
+  const resumed = GameEngine.fromSnapshot(engine.snapshot(), [stats]);
+  resumed.resume();
+  resumed.updateScore(500);
+  sliceRow(resumed, ["apple"]);
+  assert.equal(resumed.missedFruits, 1);
+  assert.ok(!unlocked.includes("cleanBlade"));
+});
+
+test("achievements unlock once as soon as they're earned", () => {
+  const { stats, unlocked } = createStats();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [stats], { rng: () => 0.5 });
+  engine.start();
+  sliceRow(engine, ["apple", "banana", "cherry", "coconut", "grapes"]);
+  assert.deepEqual(unlocked, ["comboFive"]);
+  assert.equal(stats.unlockedOn("comboFive"), Now.toISOString());
+  assert.equal(stats.unlockedOn("cleanBlade"), null);
+
+  engine.updateScore(500);
+  sliceRow(engine, ["mango", "pear", "pineapple", "apple", "apple"]);
+  assert.deepEqual(unlocked, ["comboFive", "cleanBlade", "fruitSalad"]);
+});
+
+test("a game without touching a bomb needs bombs thrown at it", () => {
+  const { stats, unlocked } = createStats();
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [stats], { rng: () => 0.5 });
+  engine.start();
+  for (let i = 0; i < 5; i++) {
+    engine.board.generateBomb(engine.gravity);
+  }
+  engine.gameOver();
+  assert.deepEqual(unlocked, ["bombDodger"]);
+
+  const touched = createStats();
+  const other = new GameEngine(BoardSize, gameMode("classic"), [touched.stats], { rng: () => 0.5 });
+  other.start();
+  for (let i = 0; i < 5; i++) {
+    other.board.generateBomb(other.gravity);
+  }
+  sliceRow(other, ["penaltyBomb"]);
+  other.gameOver();
+  assert.deepEqual(touched.unlocked, []);
+});
+
+test("unreadable statistics start over", () => {
+  const storage = new MemoryStorage();
+  storage.setItem("stats", JSON.stringify({ version: 1, gamesPlayed: -1 }));
+  assert.equal(createStats(storage).stats.data.gamesPlayed, 0);
+  storage.setItem("stats", "{");
+  assert.equal(createStats(storage).stats.totalSlices(), 0);
+
+  storage.setItem("stats", JSON.stringify({ ...createStats().stats.data, slices: { apple: 3, pear: "x" }, achievements: { comboFive: Now.toISOString(), retired: Now.toISOString() } }));
+  const { stats } = createStats(storage);
+  assert.equal(stats.totalSlices(), 3);
+  assert.deepEqual(Object.keys(stats.data.achievements), ["comboFive"]);
+  assert.ok(Achievements.every((achievement) => achievement.name && achievement.description));
+});
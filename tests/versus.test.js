@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { VersusMatch, versusBoardSize } from "../scripts/core/versus.js";
+import { EffectKind, EffectSettings } from "../scripts/core/effects.js";
+import { Fruit } from "../scripts/core/fruit.js";
+import { Point, Size, Velocity } from "../scripts/core/geometry.js";
+import { fruitKind } from "../scripts/core/catalog.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+
+const BoardSize = new Size(500, 800);
+
+function play(match, seconds) {
+  for (let step = 0; step < seconds / PhysicsStep; step++) {
+    match.update(PhysicsStep);
+  }
+}
+
+/**
+ * @brief Puts a resting fruit on a player's board, special if an effect is given.
+ */
+function placeFruit(engine, kind, special = null) {
+  const fruit = new Fruit(new Point(200, 100), new Velocity(0, 0), 0, fruitKind(kind));
+  fruit.special = special;
+  engine.board.fruits = [fruit];
+  return fruit;
+}
+
+test("the boards of a match split the screen", () => {
+  const match = new VersusMatch(versusBoardSize(1600, 900), [[], []], { seed: 1 });
+  assert.equal(match.size().width, match.players[0].board.size.width * 2);
+  assert.equal(match.size().height, match.players[0].board.size.height);
+  assert.equal(match.mode.id, "versus");
+  assert.ok(match.players.every((engine) => !engine.ranked));
+});
+
+test("both players get the same fruits", () => {
+  const match = new VersusMatch(BoardSize, [[], []], { seed: 42 });
+  match.start();
+  play(match, 3);
+  const [left, right] = match.boards().map((board) => board.fruits.map((fruit) => [fruit.kind.id, fruit.x, fruit.y]));
+  assert.ok(left.length > 0);
+  assert.deepEqual(left, right);
+});
+
+test("a blade cuts on the half it's pressed on", () => {
+  const match = new VersusMatch(BoardSize, [[], []], { seed: 1 });
+  match.start();
+  const [left, right] = match.players;
+  placeFruit(left, "apple");
+  placeFruit(right, "apple");
+
+  // pressed on the right half, the blade keeps cutting the right board when crossing over
+  match.pressBlade(1, new Point(BoardSize.width + 150, 145));
+  match.moveBlade(1, new Point(100, 145));
+  match.moveBlade(1, new Point(BoardSize.width + 350, 145));
+  match.releaseBlade(1);
+  assert.equal(left.currentScore, 0);
+  assert.equal(right.currentScore, 10);
+
+  match.pressBlade(2, new Point(150, 145));
+  match.moveBlade(2, new Point(350, 145));
+  match.releaseBlade(2);
+  assert.equal(left.currentScore, 10);
+  assert.equal(match.owners.size, 0);
+});
+
+test("special fruits send attacks to the opponent", () => {
+  const match = new VersusMatch(BoardSize, [[], []], { seed: 1 });
+  match.start();
+  const [left, right] = match.players;
+
+  placeFruit(left, "apple", EffectKind.Freeze);
+  right.board.fruits = [];
+  match.pressBlade(1, new Point(150, 145));
+  match.moveBlade(1, new Point(350, 145));
+  match.releaseBlade(1);
+  assert.equal(left.effects.isActive(EffectKind.Freeze), false);
+  assert.equal(right.effects.isActive(EffectKind.SpeedUp), true);
+  assert.equal(right.board.fruitTimeScale, EffectSettings[EffectKind.SpeedUp].timeScale);
+
+  placeFruit(right, "apple", EffectKind.Frenzy);
+  left.board.fruits = [];
+  match.pressBlade(2, new Point(BoardSize.width + 150, 145));
+  match.moveBlade(2, new Point(BoardSize.width + 350, 145));
+  match.releaseBlade(2);
+  assert.equal(left.board.fruits.length, 1);
+  assert.ok(left.board.fruits[0].isBomb());
+  assert.equal(right.effects.isActive(EffectKind.Frenzy), false);
+});
+
+test("the round ends with the first player out of chances", () => {
+  const match = new VersusMatch(BoardSize, [[], []], { seed: 1 });
+  match.start();
+  const [left, right] = match.players;
+  right.updateScore(5);
+  // a classic bomb costs a chance instead of the game
+  for (let i = 0; i < 3; i++) {
+    placeFruit(left, "bomb");
+    match.pressBlade(i, new Point(150, 145));
+    match.moveBlade(i, new Point(350, 145));
+    match.releaseBlade(i);
+    assert.equal(left.missedFruits, i + 1);
+  }
+  assert.equal(match.isGameOver, false);
+
+  play(match, PhysicsStep);
+  assert.equal(match.isGameOver, true);
+  assert.equal(match.winner, 1);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Point, Size } from "../scripts/core/geometry.js";
+import { Viewport, WorldShortSide, worldSize } from "../scripts/core/viewport.js";
+
+test("the shorter side of the world has the same length on every screen", () => {
+  assert.deepEqual(worldSize(1600, 1000), new Size(1280, WorldShortSide));
+  assert.deepEqual(worldSize(360, 640), new Size(WorldShortSide, 1422));
+  assert.deepEqual(worldSize(500, 500), new Size(WorldShortSide, WorldShortSide));
+  // screens of one shape get the same world whatever their size
+  assert.deepEqual(worldSize(3200, 2000), worldSize(800, 500));
+});
+
+test("very long screens are letterboxed", () => {
+  assert.deepEqual(worldSize(3000, 1000), new Size(2 * WorldShortSide, WorldShortSide));
+  assert.deepEqual(worldSize(300, 1000), new Size(WorldShortSide, 2 * WorldShortSide));
+});
+
+test("a viewport centers the whole world on the screen", () => {
+  const viewport = new Viewport(new Size(1600, 800), new Size(800, 600), 2);
+  assert.equal(viewport.scale, 0.5);
+  assert.deepEqual(viewport.offset, new Point(0, 100));
+  assert.deepEqual(viewport.toWorld(0, 100), new Point(0, 0));
+  assert.deepEqual(viewport.toWorld(400, 300), new Point(800, 400));
+  assert.equal(viewport.withWorld(new Size(800, 800)).pixelRatio, 2);
+});
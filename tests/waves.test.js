@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { WavePattern, WavePlayback, WaveScript } from "../scripts/core/waves.js";
+import { GameEngine } from "../scripts/core/engine.js";
+import { Size } from "../scripts/core/geometry.js";
+import { gameMode } from "../scripts/core/modes.js";
+import { PhysicsStep } from "../scripts/core/constants.js";
+
+const BoardSize = new Size(1000, 800);
+
+/**
+ * @brief Returns a wave file with a single wave.
+ */
+function waveFile(spawns, fillerWaves = [0, 0]) {
+  return { version: 1, fillerWaves: fillerWaves, waves: [{ name: "Test", spawns: spawns }] };
+}
+
+test("the shipped wave file is valid", () => {
+  const data = JSON.parse(readFileSync(new URL("../waves/set-pieces.json", import.meta.url)));
+  assert.deepEqual(WaveScript.validate(data), []);
+  const patterns = new Set(data.waves.flatMap((wave) => wave.spawns.map((spawn) => spawn.pattern)));
+  Object.values(WavePattern).forEach((pattern) => assert.ok(patterns.has(pattern), `${pattern} isn't used`));
+});
+
+test("the validator reports every problem with its place", () => {
+  const errors = WaveScript.validate({
+    version: 2,
+    fillerWaves: [3, 1],
+    waves: [
+      {
+        name: "Broken",
+        spawns: [
+          { time: -1, x: 0.5, apex: [0.5, 1.2], flightTime: 2 },
+          { pattern: "spiral", time: 0 },
+          { pattern: "volley", time: 0, count: 0, x: 0.5, spread: 0.4, apexHeight: 0.2, flightTime: 2, colour: "red" },
+          { pattern: "bombWall", time: 0, count: 3, from: 0.2, to: 0.8, apexHeight: 0.4, flightTime: 2, gap: 3 },
+          { time: 0, kind: "durian", apex: [0.5, 0.2], flightTime: 2 },
+        ],
+      },
+      { spawns: [] },
+    ],
+  });
+  assert.deepEqual(errors, [
+    "version has to be 1",
+    "fillerWaves has to be a [min, max] range of whole numbers with 0 <= min <= max",
+    'waves[0] "Broken" spawns[0]: time has to be a number of seconds >= 0',
+    'waves[0] "Broken" spawns[0]: apex has to be [x, y] fractions of the board above its bottom',
+    'waves[0] "Broken" spawns[1]: unknown pattern "spiral", use one of arc, volley, bombWall, fruitBehindBomb',
+    'waves[0] "Broken" spawns[2]: count has to be a whole number >= 1',
+    'waves[0] "Broken" spawns[2]: unknown field colour',
+    'waves[0] "Broken" spawns[3]: gap has to be the index of a bomb',
+    'waves[0] "Broken" spawns[4]: x is missing',
+    'waves[0] "Broken" spawns[4]: kind has to be "fruit", "bomb" or one of apple, banana, cherry, coconut, grapes, mango, pear, pineapple, penaltyBomb, fuseBomb',
+    "waves[1]: name has to be a non-empty string",
+    "waves[1]: spawns has to be a non-empty array",
+  ]);
+  assert.throws(() => new WaveScript({ version: 1 }, "waves/broken.json"), /Invalid waves\/broken.json: fillerWaves has to be/);
+});
+
+test("an arc throws one fruit after another, the middle one highest", () => {
+  const script = new WaveScript(waveFile([{ pattern: "arc", time: 1, count: 3, from: 0.2, to: 0.8, interval: 0.5, apexHeight: 0.2, depth: 0.3, flightTime: 3 }]));
+  const spawns = script.waves[0].spawns;
+  assert.deepEqual(
+    spawns.map((spawn) => spawn.time),
+    [1, 1.5, 2]
+  );
+  assert.deepEqual(
+    spawns.map((spawn) => spawn.x),
+    [0.2, 0.5, 0.8]
+  );
+  assert.ok(Math.abs(spawns[0].apex[1] - 0.5) < 1e-9);
+  assert.ok(Math.abs(spawns[1].apex[1] - 0.2) < 1e-9);
+});
+
+test("volleys fan out, bomb walls leave a gap and bombs hide fruits", () => {
+  const script = new WaveScript(
+    waveFile([
+      { pattern: "volley", time: 0, count: 3, x: 0.5, spread: 0.4, apexHeight: 0.2, flightTime: 2 },
+      { pattern: "bombWall", time: 1, count: 3, from: 0.2, to: 0.8, apexHeight: 0.4, flightTime: 2, gap: 1 },
+      { pattern: "fruitBehindBomb", time: 2, kind: "apple", x: 0.3, apex: [0.4, 0.3], flightTime: 2, delay: 0.3 },
+    ])
+  );
+  const spawns = script.waves[0].spawns;
+  assert.deepEqual(
+    spawns.slice(0, 3).map((spawn) => [spawn.x, spawn.apex[0]]),
+    [
+      [0.5, 0.3],
+      [0.5, 0.5],
+      [0.5, 0.7],
+    ]
+  );
+  assert.deepEqual(
+    spawns.slice(3, 6).map((spawn) => spawn.kind),
+    ["bomb", "fruit", "bomb"]
+  );
+  assert.deepEqual(
+    spawns.slice(6).map((spawn) => [spawn.time, spawn.kind]),
+    [
+      [2, "apple"],
+      [2.3, "bomb"],
+    ]
+  );
+});
+
+test("a wave playback hands out spawns when they're due", () => {
+  const script = new WaveScript(waveFile([0, 0.5, 0.5, 1].map((time) => ({ time: time, x: 0.5, apex: [0.5, 0.2], flightTime: 2 }))));
+  const playback = new WavePlayback(script.waves[0]);
+  assert.equal(playback.update(0).length, 1);
+  assert.equal(playback.update(0.25).length, 0);
+  assert.equal(playback.update(0.25).length, 2);
+  assert.ok(!playback.isDone());
+  assert.equal(playback.update(0.5).length, 1);
+  assert.ok(playback.isDone());
+});
+
+test("the engine alternates set-pieces with random waves", () => {
+  const waves = new WaveScript(
+    waveFile(
+      [
+        { time: 0, kind: "cherry", x: 0.5, apex: [0.5, 0.2], flightTime: 2, special: "freeze" },
+        { time: 0.5, kind: "bomb", x: 0.3, apex: [0.3, 0.3], flightTime: 2 },
+      ],
+      [1, 1]
+    )
+  );
+  const engine = new GameEngine(BoardSize, gameMode("classic"), [], { rng: () => 0.5, waves: waves });
+  engine.start();
+  const spawnInterval = engine.fruitSpawnInterval;
+  // the first fruit, then one random wave before the set-piece
+  for (let i = 0; i < (2 * spawnInterval) / PhysicsStep + 1; i++) {
+    engine.update(PhysicsStep);
+  }
+  const cherry = engine.board.fruits.find((fruit) => fruit.kind.id === "cherry" && !fruit.cut);
+  assert.ok(cherry);
+  assert.equal(cherry.special, "freeze");
+  assert.ok(engine.wave);
+
+  for (let i = 0; i < 0.5 / PhysicsStep; i++) {
+    engine.update(PhysicsStep);
+  }
+  assert.ok(engine.board.fruits.some((fruit) => fruit.isBomb()));
+  assert.equal(engine.wave, null);
+  assert.equal(engine.fillerWavesLeft, 1);
+});
+
+test("set-piece bombs are left out in modes without bombs", () => {
+  const waves = new WaveScript(waveFile([{ pattern: "bombWall", time: 0, count: 3, from: 0.2, to: 0.8, apexHeight: 0.4, flightTime: 2, gap: 0 }]));
+  const engine = new GameEngine(BoardSize, gameMode("zen"), [], { rng: () => 0.5, waves: waves });
+  engine.startWave();
+  assert.deepEqual(
+    engine.board.fruits.map((fruit) => fruit.isBomb()),
+    [false]
+  );
+});